@@ -0,0 +1,31 @@
+import { IdeaStage, IdeaStatus } from '../models/enums.js';
+
+// The idea pipeline. Change the tables below to fit how the innovation
+// program runs; ideaService refuses any stage change not listed here.
+
+// Stage given to newly created ideas
+export const INITIAL_IDEA_STAGE = IdeaStage.OPEN;
+
+// Stages each stage may move to. New ideas start open, so the review stages
+// are reached by sending an open idea back for review, or an archived one
+// back to draft.
+export const IDEA_STAGE_TRANSITIONS = {
+  [IdeaStage.DRAFT]: [IdeaStage.SUBMITTED, IdeaStage.ARCHIVED],
+  [IdeaStage.SUBMITTED]: [IdeaStage.UNDER_REVIEW, IdeaStage.DRAFT, IdeaStage.ARCHIVED],
+  [IdeaStage.UNDER_REVIEW]: [IdeaStage.OPEN, IdeaStage.SUBMITTED, IdeaStage.ARCHIVED],
+  [IdeaStage.OPEN]: [IdeaStage.IN_PROTOTYPING, IdeaStage.UNDER_REVIEW, IdeaStage.ARCHIVED],
+  [IdeaStage.IN_PROTOTYPING]: [IdeaStage.PILOT, IdeaStage.OPEN, IdeaStage.ARCHIVED],
+  [IdeaStage.PILOT]: [IdeaStage.IMPLEMENTED, IdeaStage.IN_PROTOTYPING, IdeaStage.ARCHIVED],
+  [IdeaStage.IMPLEMENTED]: [IdeaStage.ARCHIVED],
+  [IdeaStage.ARCHIVED]: [IdeaStage.OPEN, IdeaStage.DRAFT]
+};
+
+// Stages in which an idea takes new sub-ideas; its status is OPEN in these
+// stages and CLOSED in all others
+export const OPEN_IDEA_STAGES = [IdeaStage.OPEN, IdeaStage.IN_PROTOTYPING];
+
+// Stage an idea moves to when a client still changes only its status
+export const IDEA_STATUS_STAGES = {
+  [IdeaStatus.OPEN]: IdeaStage.OPEN,
+  [IdeaStatus.CLOSED]: IdeaStage.ARCHIVED
+};
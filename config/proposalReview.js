@@ -0,0 +1,26 @@
+// Proposal reviews. Change the rubric and the decision rule below to fit how
+// proposals are judged; proposalReviewService applies them.
+
+// Every criterion is scored from REVIEW_SCORE_MIN to REVIEW_SCORE_MAX
+export const REVIEW_SCORE_MIN = 1;
+export const REVIEW_SCORE_MAX = 5;
+
+// Criteria scored in each review. For criteria where a low score is the good
+// outcome, such as little effort, the score is flipped before it counts
+// toward the overall score.
+export const REVIEW_CRITERIA = {
+  feasibility: { lowerIsBetter: false },
+  impact: { lowerIsBetter: false },
+  effort: { lowerIsBetter: true }
+};
+
+// Most reviewers one proposal can have
+export const MAX_REVIEWERS = 5;
+
+// Once `quorum` reviews are submitted (null: every assigned reviewer), the
+// proposal is accepted if its average overall score is at least
+// `acceptThreshold` and rejected otherwise
+export const REVIEW_DECISION_RULE = {
+  quorum: null,
+  acceptThreshold: 3.5
+};
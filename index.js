@@ -9,17 +9,35 @@ import 'dotenv/config';
 // Database connection
 import connectDB from './config/database.js';
 
+// Mail delivery and accounts
+import mailService from './services/mailService.js';
+import authService from './services/authService.js';
+
 // Route imports
 import authRouter from './routes/auth.js';
 import ideationRoutes from './routes/ideas.js';
 import proposalsRouter from './routes/proposals.js';
 import prototypesRouter from './routes/prototypes.js';
 import subideaRouter from './routes/subideas.js';
+import usersRouter from './routes/users.js';
+import notificationsRouter from './routes/notifications.js';
+import adminRouter from './routes/admin.js';
+import streamRouter from './routes/stream.js';
+import moderationRouter from './routes/moderation.js';
+import draftsRouter from './routes/drafts.js';
+
+// Background jobs
+import notificationEmailService from './services/notificationEmailService.js';
+import streamService from './services/streamService.js';
+import eventBus from './services/eventBus.js';
+import webhookService from './services/webhookService.js';
+import trashService from './services/trashService.js';
 
 // Middleware imports
 import { errorHandler } from './middleware/errorHandler.js';
 import { notFoundHandler } from './middleware/notFoundHandler.js';
 import { requestLogger } from './middleware/requestLogger.js';
+import { requestContext } from './middleware/requestContext.js';
 
 // --- ENVIRONMENT VALIDATION ---
 const requiredEnvVars = [
@@ -34,13 +52,21 @@ if (missingEnvVars.length > 0) {
   process.exit(1);
 }
 
+// Fail at startup rather than on the first email when mail is misconfigured
+try {
+  mailService.getTransport();
+} catch (error) {
+  console.error('❌', error.message);
+  process.exit(1);
+}
+
 // --- INITIALIZATION ---
 const app = express();
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
 // --- DATABASE CONNECTION ---
-connectDB();
+connectDB().then(() => authService.markExistingUsersVerified());
 
 // --- SECURITY MIDDLEWARE ---
 app.use(helmet({
@@ -94,7 +120,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Last-Event-ID'],
   exposedHeaders: ['X-Total-Count', 'X-Page-Count']
 };
 
@@ -127,6 +153,7 @@ if (NODE_ENV === 'production') {
 }
 
 app.use(requestLogger);
+app.use(requestContext);
 
 // --- HEALTH CHECK ENDPOINT ---
 app.get('/api/health', async (req, res) => {
@@ -189,6 +216,12 @@ app.get('/api', (req, res) => {
         subideas: '/api/subideas',
         proposals: '/api/proposals',
         prototypes: '/api/prototypes',
+        users: '/api/users',
+        notifications: '/api/notifications',
+        admin: '/api/admin',
+        stream: '/api/stream',
+        moderation: '/api/moderation',
+        drafts: '/api/drafts',
         health: '/api/health'
       },
       documentation: '/api/docs' // You can add API documentation here
@@ -202,6 +235,12 @@ app.use('/api/ideas', ideationRoutes);
 app.use('/api/subideas', subideaRouter); // Fixed the missing '/' in original code
 app.use('/api/proposals', proposalsRouter);
 app.use('/api/prototypes', prototypesRouter);
+app.use('/api/users', usersRouter);
+app.use('/api/notifications', notificationsRouter);
+app.use('/api/admin', adminRouter);
+app.use('/api/stream', streamRouter);
+app.use('/api/moderation', moderationRouter);
+app.use('/api/drafts', draftsRouter);
 
 // --- ERROR HANDLING MIDDLEWARE ---
 app.use(notFoundHandler);
@@ -210,6 +249,9 @@ app.use(errorHandler);
 // --- GRACEFUL SHUTDOWN ---
 const gracefulShutdown = async (signal) => {
   console.log(`\n🔄 Received ${signal}. Starting graceful shutdown...`);
+
+  // Open event streams would otherwise keep the server from closing
+  streamService.closeAll();
   
   server.close(async (err) => {
     if (err) {
@@ -218,6 +260,11 @@ const gracefulShutdown = async (signal) => {
     }
     
     console.log('🔌 HTTP server closed');
+
+    notificationEmailService.stop();
+    eventBus.stop();
+    webhookService.stop();
+    trashService.stop();
     
     try {
       const mongoose = await import('mongoose');
@@ -248,6 +295,18 @@ const server = app.listen(PORT, () => {
 📚 API Info: http://localhost:${PORT}/api
 🕐 Started at: ${new Date().toISOString()}
   `);
+
+  // Send immediate notification emails and digests in the background
+  notificationEmailService.start();
+
+  // Retry domain events whose subscribers failed
+  eventBus.start();
+
+  // Retry failed webhook deliveries
+  webhookService.start();
+
+  // Purge deleted content once its retention period has passed
+  trashService.start();
 });
 
 // Handle unhandled promise rejections
@@ -1,15 +1,19 @@
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import rateLimit from 'express-rate-limit';
 import { promisify } from 'util';
 
-// Import your User model and any token blacklist service
-import { User } from '../models/index.js';
+// Import your User model and the persistent token revocation list
+import { User, RevokedToken } from '../models/index.js';
+
+// Methods that never modify data and stay open to unverified users
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Routers unverified users can always write to (verification, logout, profile)
+const VERIFICATION_EXEMPT_PATHS = ['/api/auth'];
 
 class AuthMiddleware {
   constructor() {
-    // Token blacklist - in production, use Redis or database
-    this.tokenBlacklist = new Set();
-    
     // Suspicious activity tracking
     this.suspiciousActivity = new Map();
     
@@ -106,10 +110,17 @@ class AuthMiddleware {
       'INVALID_TOKEN': 'medium',
       'TOKEN_EXPIRED': 'low',
       'BLACKLISTED_TOKEN': 'high',
+      'TOKEN_BLACKLISTED': 'low',
+      'ALL_TOKENS_REVOKED': 'medium',
+      'REFRESH_TOKEN_REUSE': 'critical',
       'MALFORMED_TOKEN': 'medium',
       'AUTH_RATE_LIMIT_EXCEEDED': 'high',
       'SUSPICIOUS_ACTIVITY_DETECTED': 'critical',
       'USER_NOT_FOUND': 'medium',
+      'SUSPENDED_USER_ACCESS': 'medium',
+      'USER_SUSPENDED': 'medium',
+      'USER_ROLE_CHANGED': 'medium',
+      'PASSWORD_RESET_FORCED': 'medium',
       'INVALID_TOKEN_FORMAT': 'medium'
     };
     return severityMap[eventType] || 'low';
@@ -139,34 +150,77 @@ class AuthMiddleware {
   }
 
   /**
-   * Checks if token is blacklisted
+   * Checks if token is blacklisted, either individually or because it was
+   * issued before the user logged out of all devices
    */
-  isTokenBlacklisted(token) {
-    // In production, check against Redis or database
-    return this.tokenBlacklist.has(token);
+  async isTokenBlacklisted(token, decodedToken, user) {
+    if (user.tokensValidAfter && decodedToken.iat * 1000 < user.tokensValidAfter.getTime()) {
+      return true;
+    }
+
+    const revoked = await RevokedToken.exists({ tokenHash: this.digestToken(token) });
+    return Boolean(revoked);
   }
 
   /**
-   * Adds token to blacklist
+   * Adds token to blacklist until it expires
    */
-  blacklistToken(token) {
-    this.tokenBlacklist.add(token);
-    
-    // In production, store in Redis with expiration
-    // redis.setex(`blacklist:${token}`, tokenExpiry, '1');
-    
+  async blacklistToken(token, reason = 'logout') {
+    const decoded = jwt.decode(token);
+
+    // Tokens without an expiry are kept for the longest lifetime we issue
+    const expiresAt = decoded?.exp
+      ? new Date(decoded.exp * 1000)
+      : new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+    await RevokedToken.updateOne(
+      { tokenHash: this.digestToken(token) },
+      {
+        $setOnInsert: {
+          userId: decoded?.userId || null,
+          reason,
+          expiresAt
+        }
+      },
+      { upsert: true }
+    ).exec();
+
     this.logSecurityEvent('TOKEN_BLACKLISTED', { 
       tokenHash: this.hashToken(token),
-      reason: 'Manual blacklist'
+      userId: decoded?.userId,
+      reason
     });
   }
 
+  /**
+   * Decides whether an unverified user must be stopped from this request.
+   * Enabled with REQUIRE_EMAIL_VERIFICATION=true; only write requests are blocked.
+   * Accounts from before email verification have no value yet and are let through.
+   */
+  shouldBlockUnverified(req, user) {
+    if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true' || user.emailVerified !== false) {
+      return false;
+    }
+
+    if (READ_ONLY_METHODS.includes(req.method)) {
+      return false;
+    }
+
+    return !VERIFICATION_EXEMPT_PATHS.includes(req.baseUrl);
+  }
+
+  /**
+   * Creates the SHA-256 digest stored for revoked tokens
+   */
+  digestToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
   /**
    * Creates a hash of the token for logging (security)
    */
   hashToken(token) {
-    const crypto = require('crypto');
-    return crypto.createHash('sha256').update(token).digest('hex').substring(0, 16);
+    return this.digestToken(token).substring(0, 16);
   }
 
   /**
@@ -255,21 +309,6 @@ class AuthMiddleware {
         });
       }
 
-      // Check if token is blacklisted
-      if (this.isTokenBlacklisted(token)) {
-        this.logSecurityEvent('BLACKLISTED_TOKEN', {
-          ip: req.ip,
-          tokenHash: this.hashToken(token)
-        });
-
-        return res.status(401).json({
-          success: false,
-          message: 'Token has been revoked.',
-          data: null,
-          code: 'TOKEN_REVOKED'
-        });
-      }
-
       // Verify JWT token
       let decodedPayload;
       try {
@@ -325,7 +364,7 @@ class AuthMiddleware {
 
       // Verify user still exists and is active
       const user = await User.findById(decodedPayload.userId)
-        .select('_id email role createdAt updatedAt')
+        .select('_id email role emailVerified tokensValidAfter suspendedAt createdAt updatedAt')
         .exec();
 
       if (!user) {
@@ -343,6 +382,38 @@ class AuthMiddleware {
         });
       }
 
+      // Check if token is blacklisted
+      if (await this.isTokenBlacklisted(token, decodedPayload, user)) {
+        this.logSecurityEvent('BLACKLISTED_TOKEN', {
+          ip: req.ip,
+          userId: decodedPayload.userId,
+          tokenHash: this.hashToken(token)
+        });
+
+        return res.status(401).json({
+          success: false,
+          message: 'Token has been revoked.',
+          data: null,
+          code: 'TOKEN_REVOKED'
+        });
+      }
+
+      // Reject suspended accounts even while their tokens are still valid
+      if (user.suspendedAt) {
+        this.logSecurityEvent('SUSPENDED_USER_ACCESS', {
+          ip: req.ip,
+          userId: decodedPayload.userId,
+          path: req.originalUrl
+        });
+
+        return res.status(403).json({
+          success: false,
+          message: 'This account has been suspended.',
+          data: null,
+          code: 'ACCOUNT_SUSPENDED'
+        });
+      }
+
       // Check if user email matches token
       if (user.email !== decodedPayload.email) {
         this.logSecurityEvent('EMAIL_MISMATCH', {
@@ -360,6 +431,22 @@ class AuthMiddleware {
         });
       }
 
+      // Block writes from users who have not verified their email
+      if (this.shouldBlockUnverified(req, user)) {
+        this.logSecurityEvent('UNVERIFIED_EMAIL_WRITE', {
+          ip: req.ip,
+          userId: decodedPayload.userId,
+          path: req.originalUrl
+        });
+
+        return res.status(403).json({
+          success: false,
+          message: 'Please verify your email address before making changes.',
+          data: null,
+          code: 'EMAIL_NOT_VERIFIED'
+        });
+      }
+
       // Validate request context
       const contextIssues = this.validateRequestContext(req, decodedPayload);
       if (contextIssues.length > 0) {
@@ -371,12 +458,14 @@ class AuthMiddleware {
         });
       }
 
-      // Add user information to request
+      // Add user information to request; the stored role wins over the token's
+      // so role changes apply without waiting for the token to expire
       req.user = {
+        ...decodedPayload,
         userId: user._id.toString(),
         email: user.email,
         role: user.role || 'user',
-        ...decodedPayload
+        emailVerified: user.emailVerified
       };
 
       // Add token information for potential blacklisting
@@ -469,11 +558,26 @@ class AuthMiddleware {
   /**
    * Logout middleware (blacklists token)
    */
-  logout = (req, res, next) => {
-    if (req.token) {
-      this.blacklistToken(req.token);
+  logout = async (req, res, next) => {
+    try {
+      if (req.token) {
+        await this.blacklistToken(req.token);
+      }
+      next();
+    } catch (error) {
+      this.logSecurityEvent('AUTH_MIDDLEWARE_ERROR', {
+        ip: req.ip,
+        error: error.message,
+        stack: error.stack
+      });
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke token. Please try again.',
+        data: null,
+        code: 'AUTH_SERVICE_ERROR'
+      });
     }
-    next();
   };
 }
 
@@ -481,10 +585,10 @@ class AuthMiddleware {
 const authmiddleware = new AuthMiddleware();
 
 // Export the middleware functions
-export const authMiddleware = authMiddleware.authenticate;
-export const requireRole = authMiddleware.requireRole;
-export const optionalAuth = authMiddleware.optionalAuth;
-export const logout = authMiddleware.logout;
+export const authMiddleware = authmiddleware.authenticate;
+export const requireRole = authmiddleware.requireRole;
+export const optionalAuth = authmiddleware.optionalAuth;
+export const logout = authmiddleware.logout;
 
 // Export the class for testing or advanced usage
 export default authmiddleware;
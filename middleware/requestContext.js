@@ -0,0 +1,23 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Holds details of the request being handled for code that has no access to req
+const storage = new AsyncLocalStorage();
+
+/**
+ * Makes the request's IP, user agent and id available to the services layer
+ */
+export const requestContext = (req, res, next) => {
+  const context = {
+    requestId: crypto.randomUUID(),
+    ip: req.ip,
+    userAgent: req.get('User-Agent') || null
+  };
+
+  storage.run(context, next);
+};
+
+/**
+ * Returns the current request's context, or null outside a request
+ */
+export const getRequestContext = () => storage.getStore() || null;
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+import { AuditAction, AuditEntityType, DomainEventType } from './enums.js';
+
+const auditLogSchema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  action: {
+    type: String,
+    enum: Object.values(AuditAction),
+    required: true
+  },
+  entityType: {
+    type: String,
+    enum: Object.values(AuditEntityType),
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  eventType: {
+    type: String,
+    enum: Object.values(DomainEventType),
+    required: true
+  },
+  // The domain event the entry was recorded from; keeps retried events from being logged twice
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Changed fields as { field: { from, to } }
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  requestId: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'audit_logs'
+});
+
+// Indexes
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Virtual for actor
+auditLogSchema.virtual('actor', {
+  ref: 'User',
+  localField: 'actorId',
+  foreignField: '_id',
+  justOne: true
+});
+
+// Virtual for id
+auditLogSchema.virtual('id').get(function() {
+  return this._id.toHexString();
+});
+
+auditLogSchema.set('toJSON', { virtuals: true });
+
+export default mongoose.model('AuditLog', auditLogSchema);
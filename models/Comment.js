@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 
+export const MAX_COMMENT_DEPTH = 5;
+
 const commentSchema = new mongoose.Schema({
   content: {
     type: String,
@@ -22,6 +24,32 @@ const commentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Prototype',
     default: null
+  },
+  // Threading: top-level comments have no parent and depth 0
+  parentCommentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  depth: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: MAX_COMMENT_DEPTH
+  },
+  mentionedUserIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Moderation: set while hidden from lists
+  hiddenAt: {
+    type: Date,
+    default: null
+  },
+  hiddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
 }, {
   timestamps: true
@@ -31,6 +59,8 @@ const commentSchema = new mongoose.Schema({
 commentSchema.index({ authorId: 1 });
 commentSchema.index({ subIdeaId: 1 });
 commentSchema.index({ prototypeId: 1 });
+commentSchema.index({ parentCommentId: 1, createdAt: 1 });
+commentSchema.index({ mentionedUserIds: 1 });
 commentSchema.index({ createdAt: -1 });
 
 // Validation to ensure exactly one target is set
@@ -72,6 +102,21 @@ commentSchema.virtual('prototype', {
   justOne: true
 });
 
+// Virtual to populate parent comment
+commentSchema.virtual('parentComment', {
+  ref: 'Comment',
+  localField: 'parentCommentId',
+  foreignField: '_id',
+  justOne: true
+});
+
+// Virtual to populate mentioned users
+commentSchema.virtual('mentionedUsers', {
+  ref: 'User',
+  localField: 'mentionedUserIds',
+  foreignField: '_id'
+});
+
 commentSchema.set('toJSON', { virtuals: true });
 
 export default mongoose.model('Comment', commentSchema);
\ No newline at end of file
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+import { DraftEntityType, IdeaType, SubIdeaStatus } from './enums.js';
+
+// Unpublished ideas, sub-ideas and proposals. Every content field is optional;
+// the full validation runs when the draft is published.
+const draftSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    enum: Object.values(DraftEntityType),
+    required: true
+  },
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Parent idea of a sub-idea draft
+  ideaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Idea',
+    default: null
+  },
+  // Parent sub-idea of a proposal draft
+  subIdeaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SubIdea',
+    default: null
+  },
+  title: {
+    type: String,
+    default: '',
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: 2000
+  },
+  type: {
+    type: String,
+    enum: [...Object.values(IdeaType), null],
+    default: null
+  },
+  potentialDollarValue: {
+    type: Number,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: [...Object.values(SubIdeaStatus), null],
+    default: null
+  },
+  presentationUrl: {
+    type: String,
+    default: null
+  },
+  // Bumped on every save so an autosave from a stale copy can be refused
+  revision: {
+    type: Number,
+    default: 1
+  }
+}, {
+  timestamps: true,
+  collection: 'drafts'
+});
+
+// Indexes
+draftSchema.index({ authorId: 1, updatedAt: -1 });
+
+// Virtual for id
+draftSchema.virtual('id').get(function() {
+  return this._id.toHexString();
+});
+
+draftSchema.set('toJSON', { virtuals: true });
+
+export default mongoose.model('Draft', draftSchema);
@@ -1,5 +1,41 @@
 import mongoose from 'mongoose';
-import { IdeaType, IdeaStatus } from './enums.js';
+import { IdeaType, IdeaStatus, IdeaStage } from './enums.js';
+import { INITIAL_IDEA_STAGE } from '../config/ideaStages.js';
+
+const stageChangeSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    enum: [...Object.values(IdeaStage), null],
+    default: null
+  },
+  to: {
+    type: String,
+    enum: Object.values(IdeaStage),
+    required: true
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  note: {
+    type: String,
+    maxlength: 500,
+    default: null
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Virtual for actor
+stageChangeSchema.virtual('actor', {
+  ref: 'User',
+  localField: 'actorId',
+  foreignField: '_id',
+  justOne: true
+});
 
 const ideaSchema = new mongoose.Schema({
   title: {
@@ -23,6 +59,15 @@ const ideaSchema = new mongoose.Schema({
     enum: Object.values(IdeaStatus),
     required: true
   },
+  // Ideas stored before stages existed get the stage matching their status
+  stage: {
+    type: String,
+    enum: Object.values(IdeaStage),
+    default: function() {
+      return this.status === IdeaStatus.CLOSED ? IdeaStage.ARCHIVED : INITIAL_IDEA_STAGE;
+    }
+  },
+  stageHistory: [stageChangeSchema],
   potentialDollarValue: {
     type: Number,
     min: 0,
@@ -42,6 +87,26 @@ const ideaSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
+  },
+  // Set when a moderator hides the content; hidden content is left out of lists
+  hiddenAt: {
+    type: Date,
+    default: null
+  },
+  hiddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Soft deletion: deleted documents stay until purged after the retention period
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
 }, {
   timestamps: true
@@ -50,8 +115,10 @@ const ideaSchema = new mongoose.Schema({
 // Indexes
 ideaSchema.index({ authorId: 1 });
 ideaSchema.index({ status: 1 });
+ideaSchema.index({ stage: 1 });
 ideaSchema.index({ type: 1 });
 ideaSchema.index({ createdAt: -1 });
+ideaSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
 ideaSchema.index({ potentialDollarValue: -1 });
 
 // Virtual for id
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import { ModerationTargetType, ModerationAction } from './enums.js';
+
+const moderationDecisionSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: Object.values(ModerationTargetType),
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: Object.values(ModerationAction),
+    required: true
+  },
+  moderatorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: null
+  },
+  // Open reports closed by this decision
+  resolvedReportCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true,
+  collection: 'moderation_decisions'
+});
+
+// Indexes
+moderationDecisionSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+moderationDecisionSchema.index({ moderatorId: 1, createdAt: -1 });
+
+// Virtual for moderator
+moderationDecisionSchema.virtual('moderator', {
+  ref: 'User',
+  localField: 'moderatorId',
+  foreignField: '_id',
+  justOne: true
+});
+
+// Virtual for id
+moderationDecisionSchema.virtual('id').get(function() {
+  return this._id.toHexString();
+});
+
+moderationDecisionSchema.set('toJSON', { virtuals: true });
+
+export default mongoose.model('ModerationDecision', moderationDecisionSchema);
@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+import { NotificationType, NotificationChannel } from './enums.js';
+
+const notificationSchema = new mongoose.Schema({
+  recipientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The user whose action triggered the notification
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: Object.values(NotificationType),
+    required: true
+  },
+  message: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  // References to the entities the event is about (set as applicable)
+  ideaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Idea',
+    default: null
+  },
+  subIdeaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SubIdea',
+    default: null
+  },
+  proposalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Proposal',
+    default: null
+  },
+  prototypeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Prototype',
+    default: null
+  },
+  commentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  // Channel chosen from the recipient's preferences when the event happened
+  channel: {
+    type: String,
+    enum: Object.values(NotificationChannel).filter(channel => channel !== NotificationChannel.OFF),
+    default: NotificationChannel.IN_APP
+  },
+  // Set once the notification went out by email (immediately or in a digest)
+  emailedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+notificationSchema.index({ recipientId: 1, createdAt: -1 });
+notificationSchema.index({ recipientId: 1, readAt: 1 });
+notificationSchema.index({ channel: 1, emailedAt: 1, recipientId: 1 });
+
+// Virtual for id
+notificationSchema.virtual('id').get(function() {
+  return this._id.toHexString();
+});
+
+// Virtual to populate actor
+notificationSchema.virtual('actor', {
+  ref: 'User',
+  localField: 'actorId',
+  foreignField: '_id',
+  justOne: true
+});
+
+notificationSchema.set('toJSON', { virtuals: true });
+
+export default mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import { DomainEventType } from './enums.js';
+
+const outboxEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(DomainEventType),
+    required: true
+  },
+  // Ids of the affected entities, the acting user and event-specific data
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Request the event came from (IP, user agent, request id), if any
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Subscribers that have not handled the event yet
+  pendingSubscribers: {
+    type: [String],
+    default: []
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null,
+    maxlength: 1000
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a process is dispatching the event so no one else picks it up
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  },
+  // Set once the retry limit is reached; the event is kept for inspection
+  failedAt: {
+    type: Date,
+    default: null
+  },
+  // Processed events are removed after the retention period
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'outbox_events'
+});
+
+// Indexes
+outboxEventSchema.index({ processedAt: 1, failedAt: 1, nextAttemptAt: 1 });
+outboxEventSchema.index({ type: 1, occurredAt: -1 });
+outboxEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for id
+outboxEventSchema.virtual('id').get(function() {
+  return this._id.toHexString();
+});
+
+outboxEventSchema.set('toJSON', { virtuals: true });
+
+export default mongoose.model('OutboxEvent', outboxEventSchema);
@@ -1,5 +1,30 @@
 import mongoose from 'mongoose';
 import { ProposalStatus } from './enums.js';
+import { REVIEW_CRITERIA } from '../config/proposalReview.js';
+
+// Review aggregate: how many reviewers there are, how many have submitted and
+// the average scores of the submitted reviews (null until there is one)
+const reviewSummarySchema = new mongoose.Schema({
+  reviewers: {
+    type: Number,
+    default: 0
+  },
+  submitted: {
+    type: Number,
+    default: 0
+  },
+  averages: {
+    type: new mongoose.Schema(
+      Object.fromEntries(Object.keys(REVIEW_CRITERIA).map(criterion => [criterion, { type: Number, default: null }])),
+      { _id: false }
+    ),
+    default: () => ({})
+  },
+  overall: {
+    type: Number,
+    default: null
+  }
+}, { _id: false });
 
 const proposalSchema = new mongoose.Schema({
   title: {
@@ -34,6 +59,24 @@ const proposalSchema = new mongoose.Schema({
     default: null,
     maxlength: 500
   },
+  score: {
+    type: Number,
+    default: 0
+  },
+  review: {
+    type: reviewSummarySchema,
+    default: () => ({})
+  },
+  upvotes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  downvotes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   authorId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -43,6 +86,26 @@ const proposalSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'SubIdea',
     required: true
+  },
+  // Moderation: set while hidden from lists
+  hiddenAt: {
+    type: Date,
+    default: null
+  },
+  hiddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Soft deletion
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
 }, {
   timestamps: true
@@ -53,6 +116,8 @@ proposalSchema.index({ authorId: 1 });
 proposalSchema.index({ subIdeaId: 1 });
 proposalSchema.index({ status: 1 });
 proposalSchema.index({ createdAt: -1 });
+proposalSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+proposalSchema.index({ score: -1 });
 
 // Virtual for id
 proposalSchema.virtual('id').get(function() {
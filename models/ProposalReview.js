@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+import { REVIEW_CRITERIA, REVIEW_SCORE_MIN, REVIEW_SCORE_MAX } from '../config/proposalReview.js';
+
+// One score per rubric criterion, all null until the review is submitted
+const scoresSchema = new mongoose.Schema(
+  Object.fromEntries(Object.keys(REVIEW_CRITERIA).map(criterion => [criterion, {
+    type: Number,
+    min: REVIEW_SCORE_MIN,
+    max: REVIEW_SCORE_MAX,
+    default: null
+  }])),
+  { _id: false }
+);
+
+// A reviewer assigned to a proposal, and their review once submitted
+const proposalReviewSchema = new mongoose.Schema({
+  proposalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Proposal',
+    required: true
+  },
+  reviewerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  scores: {
+    type: scoresSchema,
+    default: () => ({})
+  },
+  comment: {
+    type: String,
+    default: null,
+    maxlength: 2000
+  },
+  submittedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'proposal_reviews'
+});
+
+// Indexes
+proposalReviewSchema.index({ proposalId: 1, reviewerId: 1 }, { unique: true });
+proposalReviewSchema.index({ reviewerId: 1, submittedAt: 1 });
+
+// Virtual for reviewer
+proposalReviewSchema.virtual('reviewer', {
+  ref: 'User',
+  localField: 'reviewerId',
+  foreignField: '_id',
+  justOne: true
+});
+
+// Virtual for id
+proposalReviewSchema.virtual('id').get(function() {
+  return this._id.toHexString();
+});
+
+proposalReviewSchema.set('toJSON', { virtuals: true });
+
+export default mongoose.model('ProposalReview', proposalReviewSchema);
@@ -45,6 +45,25 @@ const prototypeSchema = new mongoose.Schema({
       message: 'Please provide a valid URL'
     }
   },
+  score: {
+    type: Number,
+    default: 0
+  },
+  upvotes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  downvotes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  commentCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   authorId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -55,7 +74,27 @@ const prototypeSchema = new mongoose.Schema({
     ref: 'Proposal',
     required: true
   },
-  team: [prototypeTeamMemberSchema]
+  team: [prototypeTeamMemberSchema],
+  // Moderation: set while hidden from lists
+  hiddenAt: {
+    type: Date,
+    default: null
+  },
+  hiddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Soft deletion
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
 }, {
   timestamps: true
 });
@@ -65,6 +104,8 @@ prototypeSchema.index({ authorId: 1 });
 prototypeSchema.index({ proposalId: 1 });
 prototypeSchema.index({ 'team.userId': 1 });
 prototypeSchema.index({ createdAt: -1 });
+prototypeSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+prototypeSchema.index({ score: -1 });
 
 // Virtual for id
 prototypeSchema.virtual('id').get(function() {
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+const refreshTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Every token produced by rotating the same login shares a family
+  familyId: {
+    type: String,
+    required: true
+  },
+  deviceId: {
+    type: String,
+    default: null,
+    maxlength: 200
+  },
+  userAgent: {
+    type: String,
+    default: null,
+    maxlength: 500
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'refresh_tokens'
+});
+
+// Indexes
+refreshTokenSchema.index({ userId: 1, deviceId: 1 });
+refreshTokenSchema.index({ familyId: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for id
+refreshTokenSchema.virtual('id').get(function() {
+  return this._id.toHexString();
+});
+
+refreshTokenSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.tokenHash;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+export default mongoose.model('RefreshToken', refreshTokenSchema);
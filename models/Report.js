@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import { ModerationTargetType, ReportStatus } from './enums.js';
+
+const reportSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: Object.values(ModerationTargetType),
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  reporterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: 3,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: Object.values(ReportStatus),
+    default: ReportStatus.OPEN
+  },
+  // The moderator decision that closed the report
+  decisionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ModerationDecision',
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'reports'
+});
+
+// Indexes
+reportSchema.index({ status: 1, targetType: 1, targetId: 1 });
+reportSchema.index({ reporterId: 1, createdAt: -1 });
+// A user can have one open report per piece of content
+reportSchema.index(
+  { targetType: 1, targetId: 1, reporterId: 1 },
+  { unique: true, partialFilterExpression: { status: ReportStatus.OPEN } }
+);
+
+// Virtual for reporter
+reportSchema.virtual('reporter', {
+  ref: 'User',
+  localField: 'reporterId',
+  foreignField: '_id',
+  justOne: true
+});
+
+// Virtual for id
+reportSchema.virtual('id').get(function() {
+  return this._id.toHexString();
+});
+
+reportSchema.set('toJSON', { virtuals: true });
+
+export default mongoose.model('Report', reportSchema);
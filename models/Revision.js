@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+import { AuditEntityType } from './enums.js';
+
+const revisionSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    enum: Object.values(AuditEntityType),
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Numbered from 1 per piece of content
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // The content fields as they were after this revision
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Fields that differ from the previous revision
+  changedFields: {
+    type: [String],
+    default: []
+  },
+  // Null when the editor is not known, for content from before it had a history
+  editorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // The revision this one restored, when it was made by a revert
+  revertedFrom: {
+    type: Number,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: 'revisions'
+});
+
+// Indexes
+revisionSchema.index({ entityType: 1, entityId: 1, revision: -1 }, { unique: true });
+
+// Virtual for editor
+revisionSchema.virtual('editor', {
+  ref: 'User',
+  localField: 'editorId',
+  foreignField: '_id',
+  justOne: true
+});
+
+// Virtual for id
+revisionSchema.virtual('id').get(function() {
+  return this._id.toHexString();
+});
+
+revisionSchema.set('toJSON', { virtuals: true });
+
+export default mongoose.model('Revision', revisionSchema);
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+const revokedTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    default: 'logout',
+    maxlength: 100
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  collection: 'revoked_tokens'
+});
+
+// Indexes
+revokedTokenSchema.index({ userId: 1 });
+// Remove the entry once the token would have expired anyway
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for id
+revokedTokenSchema.virtual('id').get(function() {
+  return this._id.toHexString();
+});
+
+revokedTokenSchema.set('toJSON', { virtuals: true });
+
+export default mongoose.model('RevokedToken', revokedTokenSchema);
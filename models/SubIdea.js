@@ -18,6 +18,25 @@ const subIdeaSchema = new mongoose.Schema({
     enum: Object.values(SubIdeaStatus),
     required: true
   },
+  score: {
+    type: Number,
+    default: 0
+  },
+  upvotes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  downvotes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  commentCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   authorId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -27,6 +46,26 @@ const subIdeaSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Idea',
     required: true
+  },
+  // Moderation: set while hidden from lists
+  hiddenAt: {
+    type: Date,
+    default: null
+  },
+  hiddenBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Soft deletion
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
 }, {
   timestamps: true
@@ -37,6 +76,8 @@ subIdeaSchema.index({ authorId: 1 });
 subIdeaSchema.index({ ideaId: 1 });
 subIdeaSchema.index({ status: 1 });
 subIdeaSchema.index({ createdAt: -1 });
+subIdeaSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+subIdeaSchema.index({ score: -1 });
 
 // Virtual for id
 subIdeaSchema.virtual('id').get(function() {
@@ -1,5 +1,15 @@
 import mongoose from 'mongoose';
-import { UserRole } from './enums.js';
+import { UserRole, NotificationType, NotificationChannel, DigestFrequency } from './enums.js';
+
+// One channel per notification type; everything starts in the in-app feed only
+const notificationPreferencesSchema = new mongoose.Schema(
+  Object.fromEntries(Object.values(NotificationType).map(type => [type, {
+    type: String,
+    enum: Object.values(NotificationChannel),
+    default: NotificationChannel.IN_APP
+  }])),
+  { _id: false }
+);
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -43,6 +53,20 @@ const userSchema = new mongoose.Schema({
     enum: Object.values(UserRole),
     default: UserRole.USER
   },
+  // Set to false at signup. No default: accounts from before email
+  // verification have no value until markExistingUsersVerified sets it.
+  emailVerified: {
+    type: Boolean
+  },
+  // SHA-256 hash of the token sent in the verification mail
+  emailVerificationToken: {
+    type: String,
+    default: null
+  },
+  emailVerificationExpiry: {
+    type: Date,
+    default: null
+  },
   resetToken: {
     type: String,
     default: null
@@ -50,6 +74,44 @@ const userSchema = new mongoose.Schema({
   resetTokenExpiry: {
     type: Date,
     default: null
+  },
+  notificationPreferences: {
+    type: notificationPreferencesSchema,
+    default: () => ({})
+  },
+  digestFrequency: {
+    type: String,
+    enum: Object.values(DigestFrequency),
+    default: DigestFrequency.DAILY
+  },
+  lastDigestSentAt: {
+    type: Date,
+    default: null
+  },
+  // Tokens issued before this moment are rejected ("log out of all devices")
+  tokensValidAfter: {
+    type: Date,
+    default: null
+  },
+  // Suspended users cannot log in or use existing tokens
+  suspendedAt: {
+    type: Date,
+    default: null
+  },
+  suspendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  suspensionReason: {
+    type: String,
+    default: null,
+    maxlength: 500
+  },
+  // Set by an admin; login is refused until the password is reset by email
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true,
@@ -58,8 +120,12 @@ const userSchema = new mongoose.Schema({
 
 // Indexes
 userSchema.index({ email: 1 });
+// Case-insensitive, for resolving @name mentions
+userSchema.index({ name: 1 }, { collation: { locale: 'en', strength: 2 } });
 userSchema.index({ resetToken: 1 });
+userSchema.index({ emailVerificationToken: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ role: 1, createdAt: -1 });
 
 // Virtual for full name (if you want to split name later)
 userSchema.virtual('id').get(function() {
@@ -71,6 +137,8 @@ userSchema.set('toJSON', {
   virtuals: true,
   transform: function(doc, ret) {
     delete ret.password;
+    delete ret.emailVerificationToken;
+    delete ret.emailVerificationExpiry;
     delete ret.__v;
     return ret;
   }
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import { DomainEventType } from './enums.js';
+
+const webhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true,
+    maxlength: [2000, 'Webhook URL cannot exceed 2000 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: ''
+  },
+  // Shared secret used to sign payloads; only shown when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  eventTypes: {
+    type: [{
+      type: String,
+      enum: Object.values(DomainEventType)
+    }],
+    validate: {
+      validator: (eventTypes) => eventTypes.length > 0,
+      message: 'At least one event type is required'
+    }
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastDeliveryAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookSchema.index({ active: 1, eventTypes: 1 });
+
+// Virtual for id
+webhookSchema.virtual('id').get(function() {
+  return this._id.toHexString();
+});
+
+webhookSchema.set('toJSON', { virtuals: true });
+
+export default mongoose.model('Webhook', webhookSchema);
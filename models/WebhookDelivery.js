@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+import { DomainEventType, WebhookDeliveryStatus } from './enums.js';
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  // The outbox event being delivered
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OutboxEvent',
+    required: true
+  },
+  eventType: {
+    type: String,
+    enum: Object.values(DomainEventType),
+    required: true
+  },
+  // JSON body sent to the webhook URL
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(WebhookDeliveryStatus),
+    default: WebhookDeliveryStatus.PENDING
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set while a process is sending the delivery so no one else picks it up
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: null
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  // Truncated response body, kept for debugging
+  responseBody: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  },
+  // Set on manual redeliveries to the delivery that was repeated
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'webhook_deliveries'
+});
+
+// Indexes
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+// One first delivery per webhook and event; redeliveries are extra rows
+webhookDeliverySchema.index(
+  { webhookId: 1, eventId: 1 },
+  {
+    name: 'webhookId_1_eventId_1_first_delivery',
+    unique: true,
+    partialFilterExpression: { redeliveryOf: { $type: 'null' } }
+  }
+);
+// Keep the delivery log for 30 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Virtual for id
+webhookDeliverySchema.virtual('id').get(function() {
+  return this._id.toHexString();
+});
+
+webhookDeliverySchema.set('toJSON', { virtuals: true });
+
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema);
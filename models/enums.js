@@ -4,6 +4,18 @@ export const IdeaStatus = {
   CLOSED: 'CLOSED'
 };
 
+// Lifecycle stages of an idea; config/ideaStages.js defines the moves between them
+export const IdeaStage = {
+  DRAFT: 'DRAFT',
+  SUBMITTED: 'SUBMITTED',
+  UNDER_REVIEW: 'UNDER_REVIEW',
+  OPEN: 'OPEN',
+  IN_PROTOTYPING: 'IN_PROTOTYPING',
+  PILOT: 'PILOT',
+  IMPLEMENTED: 'IMPLEMENTED',
+  ARCHIVED: 'ARCHIVED'
+};
+
 export const IdeaType = {
   IDEATION: 'IDEATION',
   SOLUTION_REQUEST: 'SOLUTION_REQUEST'
@@ -22,5 +34,121 @@ export const ProposalStatus = {
 
 export const UserRole = {
   USER: 'USER',
+  MODERATOR: 'MODERATOR',
   ADMIN: 'ADMIN'
-};
\ No newline at end of file
+};
+
+export const NotificationType = {
+  NEW_PROPOSAL: 'NEW_PROPOSAL',
+  PROPOSAL_ACCEPTED: 'PROPOSAL_ACCEPTED',
+  PROPOSAL_REJECTED: 'PROPOSAL_REJECTED',
+  TEAM_MEMBER_ADDED: 'TEAM_MEMBER_ADDED',
+  NEW_COMMENT: 'NEW_COMMENT',
+  MENTION: 'MENTION',
+  REVIEW_REQUESTED: 'REVIEW_REQUESTED'
+};
+
+// How a user receives each notification type
+export const NotificationChannel = {
+  IN_APP: 'IN_APP',
+  EMAIL: 'EMAIL',
+  DIGEST: 'DIGEST',
+  OFF: 'OFF'
+};
+
+export const DigestFrequency = {
+  DAILY: 'DAILY',
+  WEEKLY: 'WEEKLY'
+};
+
+// Domain events published by the services layer after a change is committed
+export const DomainEventType = {
+  IDEA_CREATED: 'IdeaCreated',
+  IDEA_UPDATED: 'IdeaUpdated',
+  IDEA_STATUS_CHANGED: 'IdeaStatusChanged',
+  IDEA_STAGE_CHANGED: 'IdeaStageChanged',
+  IDEA_DELETED: 'IdeaDeleted',
+  IDEA_RESTORED: 'IdeaRestored',
+  IDEA_HIDDEN: 'IdeaHidden',
+  IDEA_UNHIDDEN: 'IdeaUnhidden',
+  SUBIDEA_CREATED: 'SubIdeaCreated',
+  SUBIDEA_UPDATED: 'SubIdeaUpdated',
+  SUBIDEA_STATUS_CHANGED: 'SubIdeaStatusChanged',
+  SUBIDEA_DELETED: 'SubIdeaDeleted',
+  SUBIDEA_RESTORED: 'SubIdeaRestored',
+  SUBIDEA_HIDDEN: 'SubIdeaHidden',
+  SUBIDEA_UNHIDDEN: 'SubIdeaUnhidden',
+  PROPOSAL_CREATED: 'ProposalCreated',
+  PROPOSAL_UPDATED: 'ProposalUpdated',
+  PROPOSAL_ACCEPTED: 'ProposalAccepted',
+  PROPOSAL_REJECTED: 'ProposalRejected',
+  PROPOSAL_DELETED: 'ProposalDeleted',
+  PROPOSAL_RESTORED: 'ProposalRestored',
+  PROPOSAL_HIDDEN: 'ProposalHidden',
+  PROPOSAL_UNHIDDEN: 'ProposalUnhidden',
+  PROPOSAL_REVIEWER_ASSIGNED: 'ProposalReviewerAssigned',
+  PROPOSAL_REVIEWER_REMOVED: 'ProposalReviewerRemoved',
+  PROPOSAL_REVIEW_SUBMITTED: 'ProposalReviewSubmitted',
+  PROTOTYPE_CREATED: 'PrototypeCreated',
+  PROTOTYPE_UPDATED: 'PrototypeUpdated',
+  PROTOTYPE_DELETED: 'PrototypeDeleted',
+  PROTOTYPE_RESTORED: 'PrototypeRestored',
+  PROTOTYPE_HIDDEN: 'PrototypeHidden',
+  PROTOTYPE_UNHIDDEN: 'PrototypeUnhidden',
+  PROTOTYPE_TEAM_MEMBER_ADDED: 'PrototypeTeamMemberAdded',
+  PROTOTYPE_TEAM_MEMBER_REMOVED: 'PrototypeTeamMemberRemoved',
+  VOTE_CHANGED: 'VoteChanged',
+  COMMENT_CREATED: 'CommentCreated',
+  COMMENT_UPDATED: 'CommentUpdated',
+  COMMENT_DELETED: 'CommentDeleted',
+  COMMENT_HIDDEN: 'CommentHidden',
+  COMMENT_UNHIDDEN: 'CommentUnhidden'
+};
+
+export const WebhookDeliveryStatus = {
+  PENDING: 'PENDING',
+  SUCCEEDED: 'SUCCEEDED',
+  FAILED: 'FAILED'
+};
+
+export const AuditAction = {
+  CREATE: 'CREATE',
+  UPDATE: 'UPDATE',
+  DELETE: 'DELETE',
+  RESTORE: 'RESTORE',
+  HIDE: 'HIDE',
+  UNHIDE: 'UNHIDE'
+};
+
+export const AuditEntityType = {
+  IDEA: 'IDEA',
+  SUB_IDEA: 'SUB_IDEA',
+  PROPOSAL: 'PROPOSAL',
+  PROTOTYPE: 'PROTOTYPE'
+};
+
+export const ModerationTargetType = {
+  IDEA: 'IDEA',
+  SUB_IDEA: 'SUB_IDEA',
+  PROPOSAL: 'PROPOSAL',
+  PROTOTYPE: 'PROTOTYPE',
+  COMMENT: 'COMMENT'
+};
+
+export const ReportStatus = {
+  OPEN: 'OPEN',
+  RESOLVED: 'RESOLVED'
+};
+
+export const ModerationAction = {
+  HIDE: 'HIDE',
+  RESTORE: 'RESTORE',
+  DELETE: 'DELETE',
+  DISMISS: 'DISMISS'
+};
+
+export const DraftEntityType = {
+  IDEA: 'IDEA',
+  SUB_IDEA: 'SUB_IDEA',
+  PROPOSAL: 'PROPOSAL'
+};
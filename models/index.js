@@ -6,4 +6,16 @@ export { default as Proposal } from './Proposal.js';
 export { default as Prototype } from './Prototype.js';
 export { default as Vote } from './Vote.js';
 export { default as Comment } from './Comment.js';
+export { default as Notification } from './Notification.js';
+export { default as RevokedToken } from './RevokedToken.js';
+export { default as RefreshToken } from './RefreshToken.js';
+export { default as OutboxEvent } from './OutboxEvent.js';
+export { default as Webhook } from './Webhook.js';
+export { default as WebhookDelivery } from './WebhookDelivery.js';
+export { default as AuditLog } from './AuditLog.js';
+export { default as Report } from './Report.js';
+export { default as ModerationDecision } from './ModerationDecision.js';
+export { default as Draft } from './Draft.js';
+export { default as Revision } from './Revision.js';
+export { default as ProposalReview } from './ProposalReview.js';
 export * from './enums.js';
\ No newline at end of file
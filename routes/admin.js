@@ -0,0 +1,739 @@
+import express from 'express';
+import counterService from '../services/counterService.js';
+import webhookService from '../services/webhookService.js';
+import auditService from '../services/auditService.js';
+import userAdminService from '../services/userAdminService.js';
+import trashService from '../services/trashService.js';
+import { authMiddleware, requireRole } from '../middleware/authMiddleware.js';
+import { rateLimitMiddleware } from '../middleware/rateLimitMiddleware.js';
+import { validationMiddleware } from '../middleware/validationMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @route POST /api/admin/counters/recompute
+ * @desc Recompute vote, comment, proposal and prototype counters and repair drifted values
+ * @access Private (Admin only)
+ */
+router.post('/counters/recompute',
+  authMiddleware,
+  requireRole('ADMIN'),
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 5 }), // 5 recomputes per 15 minutes
+  async (req, res) => {
+    try {
+      const report = await counterService.recomputeCounters();
+
+      res.status(200).json({
+        success: true,
+        message: 'Counters recomputed successfully',
+        data: report
+      });
+    } catch (error) {
+      console.error('Recompute counters route error:', error.message);
+
+      res.status(500).json({
+        success: false,
+        message: error.message || 'Failed to recompute counters',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/admin/users
+ * @desc Search users by name or email, filter by role and status (active or suspended)
+ * @access Private (Admin only)
+ */
+router.get('/users',
+  authMiddleware,
+  requireRole('ADMIN'),
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20, search, role, status, sortBy, sortOrder } = req.query;
+
+      const result = await userAdminService.getUsers({
+        search,
+        role,
+        status,
+        sortBy,
+        sortOrder,
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit), 50)
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Users fetched successfully',
+        data: result.users,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      console.error('Get users route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while fetching users',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/admin/users/:id/activity
+ * @desc Get a user's activity summary: content counts, sessions and recent changes
+ * @access Private (Admin only)
+ */
+router.get('/users/:id/activity',
+  authMiddleware,
+  requireRole('ADMIN'),
+  async (req, res) => {
+    try {
+      const activity = await userAdminService.getUserActivity(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'User activity fetched successfully',
+        data: activity
+      });
+    } catch (error) {
+      console.error('Get user activity route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while fetching user activity',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route PATCH /api/admin/users/:id/role
+ * @desc Change a user's role
+ * @access Private (Admin only)
+ */
+router.patch('/users/:id/role',
+  authMiddleware,
+  requireRole('ADMIN'),
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 30 }), // 30 role changes per 15 minutes
+  validationMiddleware,
+  async (req, res) => {
+    try {
+      const user = await userAdminService.changeRole(req.params.id, req.body.role, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'User role updated successfully',
+        data: user
+      });
+    } catch (error) {
+      console.error('Change user role route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid') || error.message.includes('Cannot')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while changing the user role',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/users/:id/suspend
+ * @desc Suspend a user; their tokens stop working and they cannot log in
+ * @access Private (Admin only)
+ */
+router.post('/users/:id/suspend',
+  authMiddleware,
+  requireRole('ADMIN'),
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 30 }), // 30 suspensions per 15 minutes
+  validationMiddleware,
+  async (req, res) => {
+    try {
+      const user = await userAdminService.suspendUser(req.params.id, req.user.userId, req.body.reason);
+
+      res.status(200).json({
+        success: true,
+        message: 'User suspended successfully',
+        data: user
+      });
+    } catch (error) {
+      console.error('Suspend user route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid') ||
+          error.message.includes('must be') ||
+          error.message.includes('Cannot')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('already')) {
+        statusCode = 409;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while suspending the user',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/users/:id/unsuspend
+ * @desc Lift a user's suspension
+ * @access Private (Admin only)
+ */
+router.post('/users/:id/unsuspend',
+  authMiddleware,
+  requireRole('ADMIN'),
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 30 }), // 30 unsuspensions per 15 minutes
+  async (req, res) => {
+    try {
+      const user = await userAdminService.unsuspendUser(req.params.id, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'User unsuspended successfully',
+        data: user
+      });
+    } catch (error) {
+      console.error('Unsuspend user route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('not suspended')) {
+        statusCode = 409;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while unsuspending the user',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/users/:id/force-password-reset
+ * @desc Log a user out everywhere and require a password reset before their next login
+ * @access Private (Admin only)
+ */
+router.post('/users/:id/force-password-reset',
+  authMiddleware,
+  requireRole('ADMIN'),
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 10 }), // 10 forced resets per 15 minutes
+  async (req, res) => {
+    try {
+      const result = await userAdminService.forcePasswordReset(req.params.id, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Password reset required; a reset link has been sent to the user',
+        data: result
+      });
+    } catch (error) {
+      console.error('Force password reset route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while forcing a password reset',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/admin/audit
+ * @desc Audit log of idea, sub-idea, proposal and prototype changes, filterable by actor, entity and date range
+ * @access Private (Admin only)
+ */
+router.get('/audit',
+  authMiddleware,
+  requireRole('ADMIN'),
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20, actorId, entityType, entityId, action, from, to } = req.query;
+
+      const result = await auditService.getAuditLogs({
+        actorId,
+        entityType,
+        entityId,
+        action,
+        from,
+        to,
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit), 50)
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Audit log fetched successfully',
+        data: result.entries,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      console.error('Get audit log route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while fetching the audit log',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/admin/trash
+ * @desc Deleted ideas, sub-ideas, proposals and prototypes waiting to be purged, most recently deleted first
+ * @access Private (Admin only)
+ */
+router.get('/trash',
+  authMiddleware,
+  requireRole('ADMIN'),
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20, entityType } = req.query;
+
+      const result = await trashService.getTrash({
+        entityType,
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit), 50)
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Trash fetched successfully',
+        data: result.items,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      console.error('Get trash route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while fetching the trash',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/trash/:entityType/:id/restore
+ * @desc Restore a deleted idea, sub-idea, proposal or prototype
+ * @access Private (Admin only)
+ */
+router.post('/trash/:entityType/:id/restore',
+  authMiddleware,
+  requireRole('ADMIN'),
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 50 }), // 50 restores per 15 minutes
+  async (req, res) => {
+    try {
+      const restored = await trashService.restore(req.params.entityType, req.params.id, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Restored successfully',
+        data: restored
+      });
+    } catch (error) {
+      console.error('Restore from trash route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('not deleted') || error.message.includes('Cannot restore')) {
+        statusCode = 409;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while restoring',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/admin/webhooks
+ * @desc List webhook subscriptions and the event types they can subscribe to
+ * @access Private (Admin only)
+ */
+router.get('/webhooks',
+  authMiddleware,
+  requireRole('ADMIN'),
+  async (req, res) => {
+    try {
+      const webhooks = await webhookService.getWebhooks();
+
+      res.status(200).json({
+        success: true,
+        message: 'Webhooks fetched successfully',
+        data: {
+          webhooks,
+          eventTypes: webhookService.getEventTypes()
+        }
+      });
+    } catch (error) {
+      console.error('Get webhooks route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid') ||
+          error.message.includes('required') ||
+          error.message.includes('must be')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while fetching webhooks',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/webhooks
+ * @desc Create a webhook subscription; the signing secret is only returned here
+ * @access Private (Admin only)
+ */
+router.post('/webhooks',
+  authMiddleware,
+  requireRole('ADMIN'),
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 20 }), // 20 webhooks per 15 minutes
+  validationMiddleware,
+  async (req, res) => {
+    try {
+      const { url, eventTypes, description, active } = req.body;
+
+      const webhook = await webhookService.createWebhook(
+        { url, eventTypes, description, active },
+        req.user.userId
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Webhook created successfully',
+        data: webhook
+      });
+    } catch (error) {
+      console.error('Create webhook route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid') ||
+          error.message.includes('required') ||
+          error.message.includes('must be')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while creating the webhook',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/admin/webhooks/:id
+ * @desc Get a webhook subscription
+ * @access Private (Admin only)
+ */
+router.get('/webhooks/:id',
+  authMiddleware,
+  requireRole('ADMIN'),
+  async (req, res) => {
+    try {
+      const webhook = await webhookService.getWebhookById(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Webhook fetched successfully',
+        data: webhook
+      });
+    } catch (error) {
+      console.error('Get webhook route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid') ||
+          error.message.includes('required') ||
+          error.message.includes('must be')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while fetching the webhook',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route PATCH /api/admin/webhooks/:id
+ * @desc Update a webhook's URL, event types, description or active flag; rotateSecret issues a new secret
+ * @access Private (Admin only)
+ */
+router.patch('/webhooks/:id',
+  authMiddleware,
+  requireRole('ADMIN'),
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 50 }), // 50 updates per 15 minutes
+  validationMiddleware,
+  async (req, res) => {
+    try {
+      const { url, eventTypes, description, active, rotateSecret } = req.body;
+
+      const webhook = await webhookService.updateWebhook(req.params.id, {
+        url,
+        eventTypes,
+        description,
+        active,
+        rotateSecret
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Webhook updated successfully',
+        data: webhook
+      });
+    } catch (error) {
+      console.error('Update webhook route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid') ||
+          error.message.includes('required') ||
+          error.message.includes('must be')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while updating the webhook',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/admin/webhooks/:id
+ * @desc Delete a webhook subscription and its delivery log
+ * @access Private (Admin only)
+ */
+router.delete('/webhooks/:id',
+  authMiddleware,
+  requireRole('ADMIN'),
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 20 }), // 20 deletions per 15 minutes
+  async (req, res) => {
+    try {
+      const result = await webhookService.deleteWebhook(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: null
+      });
+    } catch (error) {
+      console.error('Delete webhook route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid') ||
+          error.message.includes('required') ||
+          error.message.includes('must be')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while deleting the webhook',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/admin/webhooks/:id/deliveries
+ * @desc Get a webhook's delivery log, newest first (filter with status=PENDING|SUCCEEDED|FAILED)
+ * @access Private (Admin only)
+ */
+router.get('/webhooks/:id/deliveries',
+  authMiddleware,
+  requireRole('ADMIN'),
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20, status } = req.query;
+
+      const result = await webhookService.getDeliveries(req.params.id, {
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit), 50),
+        status
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Webhook deliveries fetched successfully',
+        data: result.deliveries,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      console.error('Get webhook deliveries route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid') ||
+          error.message.includes('required') ||
+          error.message.includes('must be')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while fetching webhook deliveries',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/admin/webhooks/:id/deliveries/:deliveryId
+ * @desc Get a delivery with the payload sent and the response received
+ * @access Private (Admin only)
+ */
+router.get('/webhooks/:id/deliveries/:deliveryId',
+  authMiddleware,
+  requireRole('ADMIN'),
+  async (req, res) => {
+    try {
+      const delivery = await webhookService.getDeliveryById(req.params.id, req.params.deliveryId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Webhook delivery fetched successfully',
+        data: delivery
+      });
+    } catch (error) {
+      console.error('Get webhook delivery route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid') ||
+          error.message.includes('required') ||
+          error.message.includes('must be')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while fetching the webhook delivery',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/admin/webhooks/:id/deliveries/:deliveryId/redeliver
+ * @desc Send a delivery's payload again and return the new delivery
+ * @access Private (Admin only)
+ */
+router.post('/webhooks/:id/deliveries/:deliveryId/redeliver',
+  authMiddleware,
+  requireRole('ADMIN'),
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 30 }), // 30 redeliveries per 15 minutes
+  async (req, res) => {
+    try {
+      const delivery = await webhookService.redeliver(req.params.id, req.params.deliveryId, req.user.userId);
+
+      res.status(201).json({
+        success: true,
+        message: 'Webhook redelivered',
+        data: delivery
+      });
+    } catch (error) {
+      console.error('Redeliver webhook route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid') ||
+          error.message.includes('required') ||
+          error.message.includes('must be')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while redelivering the webhook',
+        data: null
+      });
+    }
+  }
+);
+
+export default router;
@@ -1,8 +1,20 @@
 import express from 'express';
 import authService from '../services/authService.js';
+import { authMiddleware, logout } from '../middleware/authMiddleware.js';
+import { validationMiddleware } from '../middleware/validationMiddleware.js';
+import { rateLimitMiddleware } from '../middleware/rateLimitMiddleware.js';
 
 const router = express.Router();
 
+/**
+ * Collects the device details a refresh token is bound to
+ */
+const getDeviceInfo = (req) => ({
+  deviceId: typeof req.body.deviceId === 'string' ? req.body.deviceId.trim().substring(0, 200) : null,
+  userAgent: req.get('User-Agent') || null,
+  ip: req.ip
+});
+
 /**
  * @route POST /signup
  * @desc Register a new user
@@ -13,14 +25,16 @@ router.post('/signup', async (req, res) => {
     const { name, email, password } = req.body;
 
     // Call service
-    const result = await authService.signup({ name, email, password });
+    const result = await authService.signup({ name, email, password }, getDeviceInfo(req));
 
     res.status(201).json({
       success: true,
-      message: 'User created successfully',
+      message: 'User created successfully. Please check your email to verify your account.',
       data: {
         user: result.user,
-        token: result.token
+        token: result.token,
+        refreshToken: result.refreshToken,
+        ...(process.env.NODE_ENV === 'development' && { verificationToken: result.verificationToken })
       }
     });
 
@@ -53,14 +67,15 @@ router.post('/login', async (req, res) => {
     const { email, password } = req.body;
 
     // Call service
-    const result = await authService.login({ email, password });
+    const result = await authService.login({ email, password }, getDeviceInfo(req));
 
     res.status(200).json({
       success: true,
       message: 'Login successful',
       data: {
         user: result.user,
-        token: result.token
+        token: result.token,
+        refreshToken: result.refreshToken
       }
     });
 
@@ -71,6 +86,8 @@ router.post('/login', async (req, res) => {
     let statusCode = 500;
     if (error.message.includes('Invalid email or password')) {
       statusCode = 401;
+    } else if (error.message.includes('suspended') || error.message.includes('Password reset required')) {
+      statusCode = 403;
     } else if (error.message.includes('required') || error.message.includes('valid')) {
       statusCode = 400;
     }
@@ -83,6 +100,126 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * @route POST /refresh
+ * @desc Exchange a refresh token for a new access token and refresh token
+ * @access Public
+ */
+router.post('/refresh',
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 30 }), // 30 refreshes per 15 minutes
+  async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+
+      // Call service
+      const result = await authService.refreshSession(refreshToken, getDeviceInfo(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Token refreshed successfully',
+        data: {
+          token: result.token,
+          refreshToken: result.refreshToken
+        }
+      });
+
+    } catch (error) {
+      console.error('Refresh token route error:', error.message);
+
+      // Determine status code based on error type
+      let statusCode = 500;
+      if (error.message.includes('Invalid or expired') || error.message.includes('reuse detected')) {
+        statusCode = 401;
+      } else if (error.message.includes('suspended')) {
+        statusCode = 403;
+      } else if (error.message.includes('required')) {
+        statusCode = 400;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while refreshing your token',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /verify-email
+ * @desc Verify a user's email address using the emailed token
+ * @access Public
+ */
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    // Call service
+    const result = await authService.verifyEmail(token);
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: null
+    });
+
+  } catch (error) {
+    console.error('Verify email route error:', error.message);
+
+    // Determine status code based on error type
+    let statusCode = 500;
+    if (error.message.includes('Invalid')) {
+      statusCode = 400;
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'An error occurred while verifying your email',
+      data: null
+    });
+  }
+});
+
+/**
+ * @route POST /resend-verification
+ * @desc Send a new email verification link
+ * @access Public
+ */
+router.post('/resend-verification',
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 3 }), // 3 emails per 15 minutes
+  async (req, res) => {
+    try {
+      const { email } = req.body;
+
+      // Call service
+      const result = await authService.resendVerification(email);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: process.env.NODE_ENV === 'development' && result.verificationToken
+          ? { verificationToken: result.verificationToken }
+          : null
+      });
+
+    } catch (error) {
+      console.error('Resend verification route error:', error.message);
+
+      // Determine status code based on error type
+      let statusCode = 500;
+      if (error.message.includes('valid email')) {
+        statusCode = 400;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while sending the verification email',
+        data: null
+      });
+    }
+  }
+);
+
 /**
  * @route POST /forgot-password
  * @desc Send password reset email
@@ -155,17 +292,199 @@ router.post('/reset-password', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /me
+ * @desc Get the logged-in user's profile
+ * @access Private
+ */
+router.get('/me', authMiddleware, async (req, res) => {
+  try {
+    const user = await authService.getUserProfile(req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile retrieved successfully',
+      data: { user }
+    });
+
+  } catch (error) {
+    console.error('Get profile route error:', error.message);
+
+    // Determine status code based on error type
+    let statusCode = 500;
+    if (error.message.includes('not found')) {
+      statusCode = 404;
+    } else if (error.message.includes('Invalid')) {
+      statusCode = 400;
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'An error occurred while fetching your profile',
+      data: null
+    });
+  }
+});
+
+/**
+ * @route PATCH /me
+ * @desc Update the logged-in user's name and avatar
+ * @access Private
+ */
+router.patch('/me',
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 20 }), // 20 updates per 15 minutes
+  validationMiddleware,
+  async (req, res) => {
+    try {
+      const { name, avatarUrl } = req.body;
+
+      if (name !== undefined && (typeof name !== 'string' || name.trim().length < 2)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Name must be at least 2 characters long',
+          data: null
+        });
+      }
+
+      // Call service
+      const user = await authService.updateUserProfile(req.user.userId, { name, avatarUrl });
+
+      res.status(200).json({
+        success: true,
+        message: 'Profile updated successfully',
+        data: { user }
+      });
+
+    } catch (error) {
+      console.error('Update profile route error:', error.message);
+
+      // Determine status code based on error type
+      let statusCode = 500;
+      if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('Invalid') || error.message.includes('valid') || error.message.includes('shorter') || error.message.includes('longer')) {
+        statusCode = 400;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while updating your profile',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /change-password
+ * @desc Change the logged-in user's password after verifying the current one
+ * @access Private
+ */
+router.post('/change-password',
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 5 }), // 5 attempts per 15 minutes
+  async (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.body;
+
+      // Call service
+      const result = await authService.changePassword(req.user.userId, currentPassword, newPassword);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: null
+      });
+
+    } catch (error) {
+      console.error('Change password route error:', error.message);
+
+      // Determine status code based on error type
+      let statusCode = 500;
+      if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('incorrect') || error.message.includes('required') || error.message.includes('must be') || error.message.includes('must contain') || error.message.includes('Invalid')) {
+        statusCode = 400;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while changing your password',
+        data: null
+      });
+    }
+  }
+);
+
 /**
  * @route POST /logout
- * @desc Logout user (client-side token removal)
+ * @desc Logout user by revoking the current token and, if given, its refresh token
  * @access Private
  */
-router.post('/logout', (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'Logout successful. Please remove the token from client storage.',
-    data: null
-  });
+router.post('/logout', authMiddleware, logout, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    // End the refresh token session as well, when the client sends it
+    if (refreshToken && typeof refreshToken === 'string') {
+      await authService.revokeRefreshToken(refreshToken);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logout successful',
+      data: null
+    });
+
+  } catch (error) {
+    console.error('Logout route error:', error.message);
+
+    res.status(500).json({
+      success: false,
+      message: error.message || 'An error occurred during logout',
+      data: null
+    });
+  }
 });
 
+/**
+ * @route POST /logout-all
+ * @desc Logout user from all devices by revoking every token issued so far
+ * @access Private
+ */
+router.post('/logout-all',
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 5 }), // 5 requests per 15 minutes
+  logout,
+  async (req, res) => {
+    try {
+      const result = await authService.logoutAllDevices(req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: null
+      });
+
+    } catch (error) {
+      console.error('Logout all route error:', error.message);
+
+      // Determine status code based on error type
+      let statusCode = 500;
+      if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while logging out of all devices',
+        data: null
+      });
+    }
+  }
+);
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,248 @@
+import express from 'express';
+import draftService from '../services/draftService.js';
+import { authMiddleware } from '../middleware/authMiddleware.js';
+import { rateLimitMiddleware } from '../middleware/rateLimitMiddleware.js';
+import { validationMiddleware } from '../middleware/validationMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @route POST /api/drafts
+ * @desc Start a draft of an idea, a sub-idea or a proposal
+ * @access Private
+ */
+router.post('/',
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 30 }), // 30 drafts per 15 minutes
+  validationMiddleware,
+  async (req, res) => {
+    try {
+      const { entityType, ideaId, subIdeaId, title, description, type, potentialDollarValue, status, presentationUrl } = req.body;
+
+      const draft = await draftService.createDraft(
+        { entityType, ideaId, subIdeaId, title, description, type, potentialDollarValue, status, presentationUrl },
+        req.user.userId
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Draft created successfully',
+        data: draft
+      });
+    } catch (error) {
+      console.error('Create draft route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('must be') ||
+          error.message.includes('cannot exceed') ||
+          error.message.includes('required') ||
+          error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while creating the draft',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/drafts
+ * @desc Get the current user's drafts, most recently saved first
+ * @access Private
+ */
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, entityType } = req.query;
+
+    const result = await draftService.getDrafts(req.user.userId, {
+      entityType,
+      page: parseInt(page),
+      limit: Math.min(parseInt(limit), 50)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Drafts fetched successfully',
+      data: result.drafts,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Get drafts route error:', error.message);
+
+    let statusCode = 500;
+    if (error.message.includes('Invalid')) {
+      statusCode = 400;
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'An error occurred while fetching drafts',
+      data: null
+    });
+  }
+});
+
+/**
+ * @route GET /api/drafts/:id
+ * @desc Get one of the current user's drafts
+ * @access Private (Author only)
+ */
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const draft = await draftService.getDraftById(req.params.id, req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Draft fetched successfully',
+      data: draft
+    });
+  } catch (error) {
+    console.error('Get draft route error:', error.message);
+
+    let statusCode = 500;
+    if (error.message.includes('Invalid')) {
+      statusCode = 400;
+    } else if (error.message.includes('not found')) {
+      statusCode = 404;
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'An error occurred while fetching the draft',
+      data: null
+    });
+  }
+});
+
+/**
+ * @route PATCH /api/drafts/:id
+ * @desc Save some fields of a draft; meant to be called on every autosave
+ * @access Private (Author only)
+ */
+router.patch('/:id',
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 300 }), // 300 saves per 15 minutes
+  validationMiddleware,
+  async (req, res) => {
+    try {
+      const { revision, title, description, type, potentialDollarValue, status, presentationUrl } = req.body;
+
+      const draft = await draftService.updateDraft(
+        req.params.id,
+        { revision, title, description, type, potentialDollarValue, status, presentationUrl },
+        req.user.userId
+      );
+
+      res.status(200).json({
+        success: true,
+        message: 'Draft saved successfully',
+        data: draft
+      });
+    } catch (error) {
+      console.error('Update draft route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('must be') ||
+          error.message.includes('cannot exceed') ||
+          error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('has changed')) {
+        statusCode = 409;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while saving the draft',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/drafts/:id
+ * @desc Discard one of the current user's drafts
+ * @access Private (Author only)
+ */
+router.delete('/:id',
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 30 }), // 30 deletions per 15 minutes
+  async (req, res) => {
+    try {
+      const result = await draftService.deleteDraft(req.params.id, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: null
+      });
+    } catch (error) {
+      console.error('Delete draft route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while deleting the draft',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/drafts/:id/publish
+ * @desc Publish a draft as an idea, sub-idea or proposal with the full validation
+ * @access Private (Author only)
+ */
+router.post('/:id/publish',
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 10 }), // 10 publishes per 15 minutes
+  async (req, res) => {
+    try {
+      const result = await draftService.publishDraft(req.params.id, req.user.userId);
+
+      res.status(201).json({
+        success: true,
+        message: 'Draft published successfully',
+        data: result
+      });
+    } catch (error) {
+      console.error('Publish draft route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('must be') ||
+          error.message.includes('cannot exceed') ||
+          error.message.includes('required') ||
+          error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('already have') ||
+                 error.message.includes('Cannot create')) {
+        statusCode = 409;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while publishing the draft',
+        data: null
+      });
+    }
+  }
+);
+
+export default router;
@@ -1,8 +1,10 @@
 import express from 'express';
 import ideaService from '../services/ideaService.js';
-import { authMiddleware } from '../middleware/authMiddleware.js';
+import { authMiddleware, optionalAuth } from '../middleware/authMiddleware.js';
 import { validationMiddleware } from '../middleware/validationMiddleware.js';
 import { rateLimitMiddleware } from '../middleware/rateLimitMiddleware.js';
+import { AuditEntityType } from '../models/enums.js';
+import { createRevisionRoutes } from './revisions.js';
 
 const router = express.Router();
 
@@ -52,7 +54,7 @@ router.post('/',
 
 /**
  * @route GET /api/ideas
- * @desc Get ideas with filtering, pagination, and search
+ * @desc Get ideas with filtering, pagination, search and ranked sorts (top, hot, controversial, discussed)
  * @access Public
  */
 router.get('/', async (req, res) => {
@@ -188,13 +190,13 @@ router.get('/my-ideas', authMiddleware, async (req, res) => {
 /**
  * @route GET /api/ideas/:id
  * @desc Get a single idea by ID
- * @access Public
+ * @access Public (hidden content: Moderator or Admin only)
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
     
-    const idea = await ideaService.getIdeaById(id);
+    const idea = await ideaService.getIdeaById(id, req.user ? req.user.role : null);
 
     res.status(200).json({
       success: true,
@@ -232,13 +234,13 @@ router.put('/:id',
   async (req, res) => {
     try {
       const { id } = req.params;
-      const { title, description, potentialDollarValue, status } = req.body;
+      const { title, description, potentialDollarValue, status, stage } = req.body;
       const userId = req.user.userId;
       const userRole = req.user.role;
 
       const result = await ideaService.updateIdea(
         id,
-        { title, description, potentialDollarValue, status },
+        { title, description, potentialDollarValue, status, stage },
         userId,
         userRole
       );
@@ -259,6 +261,8 @@ router.put('/:id',
         statusCode = 403;
       } else if (error.message.includes('not found')) {
         statusCode = 404;
+      } else if (error.message.includes('Cannot move') || error.message.includes('stage changed')) {
+        statusCode = 409;
       }
 
       res.status(statusCode).json({
@@ -270,9 +274,142 @@ router.put('/:id',
   }
 );
 
+/**
+ * @route PATCH /api/ideas/:id/stage
+ * @desc Move an idea to another stage of the pipeline
+ * @access Private (Author or Admin only)
+ */
+router.patch('/:id/stage',
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 20 }), // 20 stage changes per 15 minutes
+  validationMiddleware,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { stage, note } = req.body;
+      const userId = req.user.userId;
+      const userRole = req.user.role;
+
+      const result = await ideaService.changeIdeaStage(id, { stage, note }, userId, userRole);
+
+      res.status(200).json({
+        success: true,
+        message: 'Idea stage changed successfully',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Change idea stage route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('must be') || error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('Unauthorized')) {
+        statusCode = 403;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('Cannot move') ||
+                 error.message.includes('already in stage') ||
+                 error.message.includes('stage changed')) {
+        statusCode = 409;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while changing the idea stage',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/ideas/:id/stage-history
+ * @desc Get an idea's stage, the stages it can move to next and its stage history
+ * @access Public
+ */
+router.get('/:id/stage-history', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await ideaService.getIdeaStageHistory(id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Idea stage history fetched successfully',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Get idea stage history route error:', error.message);
+
+    let statusCode = 500;
+    if (error.message.includes('Invalid')) {
+      statusCode = 400;
+    } else if (error.message.includes('not found')) {
+      statusCode = 404;
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'An error occurred while fetching the idea stage history',
+      data: null
+    });
+  }
+});
+
+/**
+ * @route GET /api/ideas/:id/deletion-preview
+ * @desc Dry run of deleting an idea: what would be deleted with it
+ * @access Private (Author, Moderator or Admin only)
+ */
+router.get('/:id/deletion-preview',
+  authMiddleware,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const userRole = req.user.role;
+
+      const preview = await ideaService.getIdeaDeletionPreview(id, userId, userRole);
+
+      res.status(200).json({
+        success: true,
+        message: 'Deletion preview fetched successfully',
+        data: preview
+      });
+
+    } catch (error) {
+      console.error('Idea deletion preview route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('Unauthorized')) {
+        statusCode = 403;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while previewing the deletion',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/ideas/:id/revisions, GET /api/ideas/:id/revisions/:rev/diff,
+ *        POST /api/ideas/:id/revisions/:rev/revert
+ * @desc Revision history of an idea, diffs between revisions and reverts
+ */
+router.use('/:id/revisions', createRevisionRoutes(AuditEntityType.IDEA, 'Idea'));
+
 /**
  * @route DELETE /api/ideas/:id
- * @desc Delete an idea
+ * @desc Delete an idea with its sub-ideas, proposals and prototypes
  * @access Private (Author or Admin only)
  */
 router.delete('/:id', 
@@ -289,7 +426,7 @@ router.delete('/:id',
       res.status(200).json({
         success: true,
         message: result.message,
-        data: null
+        data: result.deleted
       });
 
     } catch (error) {
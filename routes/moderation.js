@@ -0,0 +1,183 @@
+import express from 'express';
+import moderationService from '../services/moderationService.js';
+import { authMiddleware, requireRole } from '../middleware/authMiddleware.js';
+import { rateLimitMiddleware } from '../middleware/rateLimitMiddleware.js';
+import { validationMiddleware } from '../middleware/validationMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @route POST /api/moderation/reports
+ * @desc Report an idea, sub-idea, proposal, prototype or comment to the moderators
+ * @access Private
+ */
+router.post('/reports',
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 20 }), // 20 reports per 15 minutes
+  validationMiddleware,
+  async (req, res) => {
+    try {
+      const { targetType, targetId, reason } = req.body;
+
+      const report = await moderationService.createReport(
+        { targetType, targetId, reason },
+        req.user.userId
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Report submitted successfully',
+        data: report
+      });
+    } catch (error) {
+      console.error('Create report route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid') ||
+          error.message.includes('must be') ||
+          error.message.includes('cannot')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('already reported')) {
+        statusCode = 409;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while submitting the report',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/moderation/queue
+ * @desc Reported content with open reports, most reported first
+ * @access Private (Moderator or Admin)
+ */
+router.get('/queue',
+  authMiddleware,
+  requireRole(['MODERATOR', 'ADMIN']),
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 20, targetType } = req.query;
+
+      const result = await moderationService.getQueue({
+        targetType,
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit), 50)
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Moderation queue fetched successfully',
+        data: result.items,
+        pagination: result.pagination
+      });
+    } catch (error) {
+      console.error('Get moderation queue route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while fetching the moderation queue',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/moderation/queue/:targetType/:targetId
+ * @desc Reported content with its open reports and earlier decisions
+ * @access Private (Moderator or Admin)
+ */
+router.get('/queue/:targetType/:targetId',
+  authMiddleware,
+  requireRole(['MODERATOR', 'ADMIN']),
+  async (req, res) => {
+    try {
+      const item = await moderationService.getQueueItem(req.params.targetType, req.params.targetId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Moderation item fetched successfully',
+        data: item
+      });
+    } catch (error) {
+      console.error('Get moderation item route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while fetching the moderation item',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/moderation/queue/:targetType/:targetId/decisions
+ * @desc Hide, restore, delete or dismiss reported content; closes its open reports
+ * @access Private (Moderator or Admin)
+ */
+router.post('/queue/:targetType/:targetId/decisions',
+  authMiddleware,
+  requireRole(['MODERATOR', 'ADMIN']),
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 100 }), // 100 decisions per 15 minutes
+  validationMiddleware,
+  async (req, res) => {
+    try {
+      const { action, note } = req.body;
+
+      const decision = await moderationService.decide(
+        req.params.targetType,
+        req.params.targetId,
+        { action, note },
+        { userId: req.user.userId, role: req.user.role }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Moderation decision recorded successfully',
+        data: decision
+      });
+    } catch (error) {
+      console.error('Moderation decision route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid') || error.message.includes('must be')) {
+        statusCode = 400;
+      } else if (error.message.includes('Unauthorized')) {
+        statusCode = 403;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('Content is') ||
+                 error.message.includes('no open reports') ||
+                 error.message.includes('Cannot')) {
+        statusCode = 409;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while recording the moderation decision',
+        data: null
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,289 @@
+import express from 'express';
+import notificationService from '../services/notificationService.js';
+import { authMiddleware } from '../middleware/authMiddleware.js';
+import { rateLimitMiddleware } from '../middleware/rateLimitMiddleware.js';
+import { validationMiddleware } from '../middleware/validationMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/notifications
+ * @desc Get the logged-in user's notifications, newest first
+ * @access Private
+ */
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      unreadOnly = 'false'
+    } = req.query;
+
+    const result = await notificationService.getNotifications(req.user.userId, {
+      page: parseInt(page),
+      limit: Math.min(parseInt(limit), 50),
+      unreadOnly: unreadOnly === 'true'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Notifications fetched successfully',
+      data: {
+        notifications: result.notifications,
+        unreadCount: result.unreadCount
+      },
+      pagination: result.pagination
+    });
+
+  } catch (error) {
+    console.error('Get notifications route error:', error.message);
+
+    let statusCode = 500;
+    if (error.message.includes('Invalid')) {
+      statusCode = 400;
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'An error occurred while fetching notifications',
+      data: null
+    });
+  }
+});
+
+/**
+ * @route GET /api/notifications/unread-count
+ * @desc Get the number of unread notifications
+ * @access Private
+ */
+router.get('/unread-count', authMiddleware, async (req, res) => {
+  try {
+    const unreadCount = await notificationService.getUnreadCount(req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Unread count fetched successfully',
+      data: { unreadCount }
+    });
+
+  } catch (error) {
+    console.error('Get unread count route error:', error.message);
+
+    let statusCode = 500;
+    if (error.message.includes('Invalid')) {
+      statusCode = 400;
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'An error occurred while counting notifications',
+      data: null
+    });
+  }
+});
+
+/**
+ * @route GET /api/notifications/preferences
+ * @desc Get the channel chosen for each notification type and the digest frequency
+ * @access Private
+ */
+router.get('/preferences', authMiddleware, async (req, res) => {
+  try {
+    const preferences = await notificationService.getPreferences(req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification preferences fetched successfully',
+      data: preferences
+    });
+
+  } catch (error) {
+    console.error('Get notification preferences route error:', error.message);
+
+    let statusCode = 500;
+    if (error.message.includes('Invalid')) {
+      statusCode = 400;
+    } else if (error.message.includes('not found')) {
+      statusCode = 404;
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'An error occurred while fetching notification preferences',
+      data: null
+    });
+  }
+});
+
+/**
+ * @route PATCH /api/notifications/preferences
+ * @desc Update notification channels (IN_APP, EMAIL, DIGEST, OFF) and digest frequency
+ * @access Private
+ */
+router.patch('/preferences',
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 30 }), // 30 updates per 15 minutes
+  validationMiddleware,
+  async (req, res) => {
+    try {
+      const { preferences, digestFrequency } = req.body;
+
+      const result = await notificationService.updatePreferences(req.user.userId, {
+        preferences,
+        digestFrequency
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Notification preferences updated successfully',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Update notification preferences route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid') || error.message.includes('must be')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while updating notification preferences',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * Handles one-click unsubscribe links (GET from the email body, POST from
+ * mail clients that support List-Unsubscribe-Post)
+ */
+const handleUnsubscribe = async (req, res) => {
+  try {
+    const token = req.query.token || req.body?.token;
+
+    const result = await notificationService.unsubscribe(token);
+
+    res.status(200).json({
+      success: true,
+      message: 'You have been unsubscribed from these emails',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Unsubscribe route error:', error.message);
+
+    let statusCode = 500;
+    if (error.message.includes('Invalid')) {
+      statusCode = 400;
+    } else if (error.message.includes('not found')) {
+      statusCode = 404;
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'An error occurred while unsubscribing',
+      data: null
+    });
+  }
+};
+
+/**
+ * @route GET /api/notifications/unsubscribe
+ * @desc Unsubscribe from notification emails using the emailed token
+ * @access Public
+ */
+router.get('/unsubscribe',
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 20 }), // 20 requests per 15 minutes
+  handleUnsubscribe
+);
+
+/**
+ * @route POST /api/notifications/unsubscribe
+ * @desc One-click unsubscribe for mail clients (RFC 8058)
+ * @access Public
+ */
+router.post('/unsubscribe',
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 20 }), // 20 requests per 15 minutes
+  handleUnsubscribe
+);
+
+/**
+ * @route PATCH /api/notifications/read-all
+ * @desc Mark all notifications as read
+ * @access Private
+ */
+router.patch('/read-all',
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 30 }), // 30 requests per 15 minutes
+  async (req, res) => {
+    try {
+      const result = await notificationService.markAllAsRead(req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'All notifications marked as read',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Mark all notifications read route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while updating notifications',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route PATCH /api/notifications/:id/read
+ * @desc Mark a notification as read
+ * @access Private
+ */
+router.patch('/:id/read',
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 200 }), // 200 requests per 15 minutes
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const notification = await notificationService.markAsRead(id, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Notification marked as read',
+        data: notification
+      });
+
+    } catch (error) {
+      console.error('Mark notification read route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while updating the notification',
+        data: null
+      });
+    }
+  }
+);
+
+export default router;
@@ -1,8 +1,12 @@
 import express from 'express';
 import proposalService from '../services/proposalService.js';
-import { authMiddleware } from '../middleware/authMiddleware.js';
+import voteService from '../services/voteService.js';
+import proposalReviewService from '../services/proposalReviewService.js';
+import { authMiddleware, optionalAuth } from '../middleware/authMiddleware.js';
 import { validationMiddleware } from '../middleware/validationMiddleware.js';
 import { rateLimitMiddleware } from '../middleware/rateLimitMiddleware.js';
+import { AuditEntityType } from '../models/enums.js';
+import { createRevisionRoutes } from './revisions.js';
 
 const router = express.Router();
 
@@ -243,13 +247,13 @@ router.get('/my-proposals', authMiddleware, async (req, res) => {
 /**
  * @route GET /api/proposals/:id
  * @desc Get a single proposal by ID
- * @access Public
+ * @access Public (hidden content: Moderator or Admin only)
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
     
-    const proposal = await proposalService.getProposalById(id);
+    const proposal = await proposalService.getProposalById(id, req.user ? req.user.role : null);
 
     res.status(200).json({
       success: true,
@@ -375,6 +379,190 @@ router.patch('/:id/status',
   }
 );
 
+/**
+ * @route POST /api/proposals/:id/reviewers
+ * @desc Assign a reviewer to a pending proposal
+ * @access Private (Idea author only)
+ */
+router.post('/:id/reviewers',
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 20 }), // 20 reviewer assignments per 15 minutes
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { userId } = req.body;
+
+      if (!userId) {
+        return res.status(400).json({
+          success: false,
+          message: 'User ID is required',
+          data: null
+        });
+      }
+
+      const result = await proposalReviewService.assignReviewer(id, userId, req.user.userId);
+
+      res.status(201).json({
+        success: true,
+        message: 'Reviewer assigned successfully',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Assign reviewer route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid') || error.message.includes('required')) {
+        statusCode = 400;
+      } else if (error.message.includes('Unauthorized')) {
+        statusCode = 403;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('already a reviewer') || error.message.includes('Cannot')) {
+        statusCode = 409;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while assigning the reviewer',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/proposals/:id/reviewers/:userId
+ * @desc Remove a reviewer and their review from a pending proposal
+ * @access Private (Idea author only)
+ */
+router.delete('/:id/reviewers/:userId',
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 20 }), // 20 reviewer removals per 15 minutes
+  async (req, res) => {
+    try {
+      const { id, userId } = req.params;
+
+      const result = await proposalReviewService.removeReviewer(id, userId, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Reviewer removed successfully',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Remove reviewer route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('Unauthorized')) {
+        statusCode = 403;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('Cannot')) {
+        statusCode = 409;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while removing the reviewer',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/proposals/:id/reviews
+ * @desc Get the reviewers of a proposal with their scores and comments
+ * @access Private (Idea author, proposal author, reviewers or Admin)
+ */
+router.get('/:id/reviews', authMiddleware, async (req, res) => {
+  try {
+    const result = await proposalReviewService.getReviews(req.params.id, req.user.userId, req.user.role);
+
+    res.status(200).json({
+      success: true,
+      message: 'Proposal reviews fetched successfully',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Get proposal reviews route error:', error.message);
+
+    let statusCode = 500;
+    if (error.message.includes('Invalid')) {
+      statusCode = 400;
+    } else if (error.message.includes('Unauthorized')) {
+      statusCode = 403;
+    } else if (error.message.includes('not found')) {
+      statusCode = 404;
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'An error occurred while fetching the proposal reviews',
+      data: null
+    });
+  }
+});
+
+/**
+ * @route POST /api/proposals/:id/reviews
+ * @desc Submit or change a review; the proposal is decided once the decision rule is met
+ * @access Private (Assigned reviewers only)
+ */
+router.post('/:id/reviews',
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 20 }), // 20 reviews per 15 minutes
+  validationMiddleware,
+  async (req, res) => {
+    try {
+      const { scores, comment } = req.body;
+
+      const result = await proposalReviewService.submitReview(req.params.id, { scores, comment }, req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Review submitted successfully',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Submit review route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('must be') ||
+          error.message.includes('cannot exceed') ||
+          error.message.includes('required') ||
+          error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('Unauthorized')) {
+        statusCode = 403;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('Cannot')) {
+        statusCode = 409;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while submitting the review',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/proposals/:id/revisions, GET /api/proposals/:id/revisions/:rev/diff,
+ *        POST /api/proposals/:id/revisions/:rev/revert
+ * @desc Revision history of a proposal, diffs between revisions and reverts
+ */
+router.use('/:id/revisions', createRevisionRoutes(AuditEntityType.PROPOSAL, 'Proposal'));
+
 /**
  * @route DELETE /api/proposals/:id
  * @desc Delete a proposal
@@ -418,4 +606,120 @@ router.delete('/:id',
   }
 );
 
+/**
+ * @route GET /api/proposals/:id/vote
+ * @desc Get the vote totals of a proposal and the current user's vote
+ * @access Public (userVote: Private)
+ */
+router.get('/:id/vote', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await voteService.getVoteSummary('proposal', id, req.user ? req.user.userId : null);
+
+    res.status(200).json({
+      success: true,
+      message: 'Votes fetched successfully',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Get proposal votes route error:', error.message);
+
+    let statusCode = 500;
+    if (error.message.includes('Invalid')) {
+      statusCode = 400;
+    } else if (error.message.includes('not found')) {
+      statusCode = 404;
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'An error occurred while fetching the votes',
+      data: null
+    });
+  }
+});
+
+/**
+ * @route POST /api/proposals/:id/vote
+ * @desc Upvote or downvote a proposal (repeating the same vote removes it)
+ * @access Private
+ */
+router.post('/:id/vote', 
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 60 }), // 60 votes per 15 minutes
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { value } = req.body;
+      const userId = req.user.userId;
+
+      const result = await voteService.castVote('proposal', id, userId, value);
+
+      res.status(200).json({
+        success: true,
+        message: 'Vote recorded successfully',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Vote proposal route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('must be') || error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while recording the vote',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/proposals/:id/vote
+ * @desc Remove the current user's vote from a proposal
+ * @access Private
+ */
+router.delete('/:id/vote', 
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 60 }), // 60 votes per 15 minutes
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+
+      const result = await voteService.removeVote('proposal', id, userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Vote removed successfully',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Remove proposal vote route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while removing the vote',
+        data: null
+      });
+    }
+  }
+);
+
 export default router;
\ No newline at end of file
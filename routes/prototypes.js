@@ -1,8 +1,12 @@
 import express from 'express';
 import prototypeService from '../services/prototypeService.js';
-import { authMiddleware } from '../middleware/authMiddleware.js';
+import commentService from '../services/commentService.js';
+import voteService from '../services/voteService.js';
+import { authMiddleware, optionalAuth } from '../middleware/authMiddleware.js';
 import { validationMiddleware } from '../middleware/validationMiddleware.js';
 import { rateLimitMiddleware } from '../middleware/rateLimitMiddleware.js';
+import { AuditEntityType } from '../models/enums.js';
+import { createRevisionRoutes } from './revisions.js';
 
 const router = express.Router();
 
@@ -238,13 +242,13 @@ router.get('/my-prototypes', authMiddleware, async (req, res) => {
 /**
  * @route GET /api/prototypes/:id
  * @desc Get a single prototype by ID
- * @access Public
+ * @access Public (hidden content: Moderator or Admin only)
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
     
-    const prototype = await prototypeService.getPrototypeById(id);
+    const prototype = await prototypeService.getPrototypeById(id, req.user ? req.user.role : null);
 
     res.status(200).json({
       success: true,
@@ -318,6 +322,13 @@ router.put('/:id',
   }
 );
 
+/**
+ * @route GET /api/prototypes/:id/revisions, GET /api/prototypes/:id/revisions/:rev/diff,
+ *        POST /api/prototypes/:id/revisions/:rev/revert
+ * @desc Revision history of a prototype, diffs between revisions and reverts
+ */
+router.use('/:id/revisions', createRevisionRoutes(AuditEntityType.PROTOTYPE, 'Prototype'));
+
 /**
  * @route DELETE /api/prototypes/:id
  * @desc Delete a prototype
@@ -456,4 +467,303 @@ router.delete('/:id/team/:userId',
   }
 );
 
+/**
+ * @route GET /api/prototypes/:id/vote
+ * @desc Get the vote totals of a prototype and the current user's vote
+ * @access Public (userVote: Private)
+ */
+router.get('/:id/vote', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await voteService.getVoteSummary('prototype', id, req.user ? req.user.userId : null);
+
+    res.status(200).json({
+      success: true,
+      message: 'Votes fetched successfully',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Get prototype votes route error:', error.message);
+
+    let statusCode = 500;
+    if (error.message.includes('Invalid')) {
+      statusCode = 400;
+    } else if (error.message.includes('not found')) {
+      statusCode = 404;
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'An error occurred while fetching the votes',
+      data: null
+    });
+  }
+});
+
+/**
+ * @route POST /api/prototypes/:id/vote
+ * @desc Upvote or downvote a prototype (repeating the same vote removes it)
+ * @access Private
+ */
+router.post('/:id/vote', 
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 60 }), // 60 votes per 15 minutes
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { value } = req.body;
+      const userId = req.user.userId;
+
+      const result = await voteService.castVote('prototype', id, userId, value);
+
+      res.status(200).json({
+        success: true,
+        message: 'Vote recorded successfully',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Vote prototype route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('must be') || error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while recording the vote',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/prototypes/:id/vote
+ * @desc Remove the current user's vote from a prototype
+ * @access Private
+ */
+router.delete('/:id/vote', 
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 60 }), // 60 votes per 15 minutes
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+
+      const result = await voteService.removeVote('prototype', id, userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Vote removed successfully',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Remove prototype vote route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while removing the vote',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/prototypes/:id/comments
+ * @desc Add a comment or reply to a prototype
+ * @access Private
+ */
+router.post('/:id/comments', 
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 30 }), // 30 comments per 15 minutes
+  validationMiddleware,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { content, parentCommentId } = req.body;
+      const authorId = req.user.userId;
+
+      const result = await commentService.createComment('prototype', id, content, authorId, parentCommentId);
+
+      res.status(201).json({
+        success: true,
+        message: 'Comment added successfully',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Create prototype comment route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('required') || 
+          error.message.includes('cannot exceed') || 
+          error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('Cannot reply')) {
+        statusCode = 409;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while adding the comment',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/prototypes/:id/comments
+ * @desc Get comments for a prototype as a flat list or nested tree
+ * @access Public
+ */
+router.get('/:id/comments', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      view = 'flat',
+      page = 1,
+      limit = 20,
+      sortOrder = 'asc'
+    } = req.query;
+
+    const result = await commentService.getComments('prototype', id, {
+      view,
+      page: parseInt(page),
+      limit: Math.min(parseInt(limit), 100), // Max 100 comments per page
+      sortOrder
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Comments fetched successfully',
+      data: result.comments,
+      pagination: result.pagination
+    });
+
+  } catch (error) {
+    console.error('Get prototype comments route error:', error.message);
+
+    let statusCode = 500;
+    if (error.message.includes('Invalid')) {
+      statusCode = 400;
+    } else if (error.message.includes('not found')) {
+      statusCode = 404;
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'An error occurred while fetching comments',
+      data: null
+    });
+  }
+});
+
+/**
+ * @route PUT /api/prototypes/:id/comments/:commentId
+ * @desc Edit a comment on a prototype
+ * @access Private (Comment Author or Admin only)
+ */
+router.put('/:id/comments/:commentId', 
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 20 }), // 20 updates per 15 minutes
+  validationMiddleware,
+  async (req, res) => {
+    try {
+      const { id, commentId } = req.params;
+      const { content } = req.body;
+      const userId = req.user.userId;
+      const userRole = req.user.role;
+
+      const result = await commentService.updateComment('prototype', id, commentId, content, userId, userRole);
+
+      res.status(200).json({
+        success: true,
+        message: 'Comment updated successfully',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Update prototype comment route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('required') || 
+          error.message.includes('cannot exceed') || 
+          error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('Unauthorized')) {
+        statusCode = 403;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while updating the comment',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/prototypes/:id/comments/:commentId
+ * @desc Delete a comment on a prototype
+ * @access Private (Comment Author or Admin only)
+ */
+router.delete('/:id/comments/:commentId', 
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 20 }), // 20 deletes per 15 minutes
+  async (req, res) => {
+    try {
+      const { id, commentId } = req.params;
+      const userId = req.user.userId;
+      const userRole = req.user.role;
+
+      const result = await commentService.deleteComment('prototype', id, commentId, userId, userRole);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: null
+      });
+
+    } catch (error) {
+      console.error('Delete prototype comment route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('Unauthorized')) {
+        statusCode = 403;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while deleting the comment',
+        data: null
+      });
+    }
+  }
+);
+
 export default router;
\ No newline at end of file
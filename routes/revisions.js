@@ -0,0 +1,139 @@
+import express from 'express';
+import revisionService from '../services/revisionService.js';
+import { authMiddleware, optionalAuth } from '../middleware/authMiddleware.js';
+import { rateLimitMiddleware } from '../middleware/rateLimitMiddleware.js';
+
+/**
+ * Builds the revision history routes for one kind of content. Mount it at
+ * '/:id/revisions' on the content's router; label names the content in
+ * messages (e.g. 'Sub-idea').
+ */
+export const createRevisionRoutes = (entityType, label) => {
+  const router = express.Router({ mergeParams: true });
+  const name = label.toLowerCase();
+
+  /**
+   * @route GET /:id/revisions
+   * @desc Get the revision history, newest first
+   * @access Public (hidden content: Moderator or Admin only)
+   */
+  router.get('/', optionalAuth, async (req, res) => {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+
+      const result = await revisionService.getRevisions(entityType, req.params.id, {
+        page: Math.max(parseInt(page) || 1, 1),
+        limit: Math.min(Math.max(parseInt(limit) || 20, 1), 50)
+      }, req.user ? req.user.role : null);
+
+      res.status(200).json({
+        success: true,
+        message: `${label} revisions fetched successfully`,
+        data: result.revisions,
+        pagination: result.pagination
+      });
+
+    } catch (error) {
+      console.error(`Get ${name} revisions route error:`, error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || `An error occurred while fetching the ${name} revisions`,
+        data: null
+      });
+    }
+  });
+
+  /**
+   * @route GET /:id/revisions/:rev/diff
+   * @desc Field-level and word-level diff of a revision against the previous one (or ?against=)
+   * @access Public (hidden content: Moderator or Admin only)
+   */
+  router.get('/:rev/diff', optionalAuth, async (req, res) => {
+    try {
+      const { id, rev } = req.params;
+
+      const result = await revisionService.getRevisionDiff(entityType, id, rev, req.query.against,
+        req.user ? req.user.role : null);
+
+      res.status(200).json({
+        success: true,
+        message: `${label} revision diff fetched successfully`,
+        data: result
+      });
+
+    } catch (error) {
+      console.error(`Get ${name} revision diff route error:`, error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || `An error occurred while diffing the ${name} revision`,
+        data: null
+      });
+    }
+  });
+
+  /**
+   * @route POST /:id/revisions/:rev/revert
+   * @desc Restore the content of an earlier revision as a new revision
+   * @access Private (Author only)
+   */
+  router.post('/:rev/revert',
+    authMiddleware,
+    rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 20 }), // 20 reverts per 15 minutes
+    async (req, res) => {
+      try {
+        const { id, rev } = req.params;
+
+        const result = await revisionService.revertToRevision(entityType, id, rev, {
+          userId: req.user.userId,
+          role: req.user.role
+        });
+
+        res.status(200).json({
+          success: true,
+          message: `${label} reverted successfully`,
+          data: result
+        });
+
+      } catch (error) {
+        console.error(`Revert ${name} route error:`, error.message);
+
+        let statusCode = 500;
+        if (error.message.includes('must be') || error.message.includes('required') || error.message.includes('Invalid')) {
+          statusCode = 400;
+        } else if (error.message.includes('Unauthorized')) {
+          statusCode = 403;
+        } else if (error.message.includes('not found')) {
+          statusCode = 404;
+        } else if (error.message.includes('already matches') ||
+                   error.message.includes('already exists') ||
+                   error.message.includes('Cannot update')) {
+          statusCode = 409;
+        }
+
+        res.status(statusCode).json({
+          success: false,
+          message: error.message || `An error occurred while reverting the ${name}`,
+          data: null
+        });
+      }
+    }
+  );
+
+  return router;
+};
@@ -0,0 +1,43 @@
+import express from 'express';
+import streamService from '../services/streamService.js';
+import { authMiddleware } from '../middleware/authMiddleware.js';
+import { rateLimitMiddleware } from '../middleware/rateLimitMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/stream
+ * @desc Server-Sent Events stream of idea, sub-idea, proposal, prototype, vote and comment changes.
+ *       Pass ideas=id1,id2 to follow specific ideas; send Last-Event-ID to replay missed events.
+ * @access Private
+ */
+router.get('/',
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 60 }), // 60 connections per 15 minutes
+  (req, res) => {
+    try {
+      streamService.subscribe(req, res, {
+        userId: req.user.userId,
+        ideas: req.query.ideas,
+        lastEventId: req.get('Last-Event-ID') || req.query.lastEventId
+      });
+    } catch (error) {
+      console.error('Stream route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('Too many')) {
+        statusCode = 429;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while opening the stream',
+        data: null
+      });
+    }
+  }
+);
+
+export default router;
@@ -1,8 +1,13 @@
 import express from 'express';
 import subIdeaService from '../services/subIdeaService.js';
-import { authMiddleware } from '../middleware/authMiddleware.js';
+import rankingService from '../services/rankingService.js';
+import commentService from '../services/commentService.js';
+import voteService from '../services/voteService.js';
+import { authMiddleware, optionalAuth } from '../middleware/authMiddleware.js';
 import { validationMiddleware } from '../middleware/validationMiddleware.js';
 import { rateLimitMiddleware } from '../middleware/rateLimitMiddleware.js';
+import { AuditEntityType } from '../models/enums.js';
+import { createRevisionRoutes } from './revisions.js';
 
 const router = express.Router();
 
@@ -57,7 +62,7 @@ router.post('/',
 
 /**
  * @route GET /api/subideas
- * @desc Get sub-ideas with filtering and pagination
+ * @desc Get sub-ideas with filtering, pagination and ranked sorts (top, hot, controversial, discussed)
  * @access Public
  */
 router.get('/', async (req, res) => {
@@ -70,7 +75,7 @@ router.get('/', async (req, res) => {
       page = 1,
       limit = 10,
       sortBy = 'createdAt',
-      sortOrder = 'asc'
+      sortOrder = rankingService.isRankingSort(sortBy) ? 'desc' : 'asc'
     } = req.query;
 
     const result = await subIdeaService.getSubIdeas({
@@ -233,7 +238,7 @@ router.get('/idea/:id', async (req, res) => {
       page = 1,
       limit = 10,
       sortBy = 'createdAt',
-      sortOrder = 'asc'
+      sortOrder = rankingService.isRankingSort(sortBy) ? 'desc' : 'asc'
     } = req.query;
 
     const result = await subIdeaService.getSubIdeasForIdea(id, {
@@ -271,13 +276,13 @@ router.get('/idea/:id', async (req, res) => {
 /**
  * @route GET /api/subideas/:id
  * @desc Get a single sub-idea by ID
- * @access Public
+ * @access Public (hidden content: Moderator or Admin only)
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
     
-    const subIdea = await subIdeaService.getSubIdeaById(id);
+    const subIdea = await subIdeaService.getSubIdeaById(id, req.user ? req.user.role : null);
 
     res.status(200).json({
       success: true,
@@ -408,9 +413,58 @@ router.patch('/:id/status',
   }
 );
 
+/**
+ * @route GET /api/subideas/:id/deletion-preview
+ * @desc Dry run of deleting a sub-idea: what would be deleted with it
+ * @access Private (Author, Idea Author, Moderator or Admin only)
+ */
+router.get('/:id/deletion-preview',
+  authMiddleware,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+      const userRole = req.user.role;
+
+      const preview = await subIdeaService.getSubIdeaDeletionPreview(id, userId, userRole);
+
+      res.status(200).json({
+        success: true,
+        message: 'Deletion preview fetched successfully',
+        data: preview
+      });
+
+    } catch (error) {
+      console.error('Sub-idea deletion preview route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('Unauthorized')) {
+        statusCode = 403;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while previewing the deletion',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/subideas/:id/revisions, GET /api/subideas/:id/revisions/:rev/diff,
+ *        POST /api/subideas/:id/revisions/:rev/revert
+ * @desc Revision history of a sub-idea, diffs between revisions and reverts
+ */
+router.use('/:id/revisions', createRevisionRoutes(AuditEntityType.SUB_IDEA, 'Sub-idea'));
+
 /**
  * @route DELETE /api/subideas/:id
- * @desc Delete a sub-idea
+ * @desc Delete a sub-idea with its proposals and prototypes
  * @access Private (Author, Idea Author, or Admin only)
  */
 router.delete('/:id', 
@@ -427,7 +481,7 @@ router.delete('/:id',
       res.status(200).json({
         success: true,
         message: result.message,
-        data: null
+        data: result.deleted
       });
 
     } catch (error) {
@@ -440,8 +494,6 @@ router.delete('/:id',
         statusCode = 403;
       } else if (error.message.includes('not found')) {
         statusCode = 404;
-      } else if (error.message.includes('Cannot delete')) {
-        statusCode = 409;
       }
 
       res.status(statusCode).json({
@@ -453,4 +505,303 @@ router.delete('/:id',
   }
 );
 
+/**
+ * @route GET /api/subideas/:id/vote
+ * @desc Get the vote totals of a sub-idea and the current user's vote
+ * @access Public (userVote: Private)
+ */
+router.get('/:id/vote', optionalAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await voteService.getVoteSummary('subIdea', id, req.user ? req.user.userId : null);
+
+    res.status(200).json({
+      success: true,
+      message: 'Votes fetched successfully',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Get sub-idea votes route error:', error.message);
+
+    let statusCode = 500;
+    if (error.message.includes('Invalid')) {
+      statusCode = 400;
+    } else if (error.message.includes('not found')) {
+      statusCode = 404;
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'An error occurred while fetching the votes',
+      data: null
+    });
+  }
+});
+
+/**
+ * @route POST /api/subideas/:id/vote
+ * @desc Upvote or downvote a sub-idea (repeating the same vote removes it)
+ * @access Private
+ */
+router.post('/:id/vote', 
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 60 }), // 60 votes per 15 minutes
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { value } = req.body;
+      const userId = req.user.userId;
+
+      const result = await voteService.castVote('subIdea', id, userId, value);
+
+      res.status(200).json({
+        success: true,
+        message: 'Vote recorded successfully',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Vote sub-idea route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('must be') || error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while recording the vote',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/subideas/:id/vote
+ * @desc Remove the current user's vote from a sub-idea
+ * @access Private
+ */
+router.delete('/:id/vote', 
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 60 }), // 60 votes per 15 minutes
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+
+      const result = await voteService.removeVote('subIdea', id, userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Vote removed successfully',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Remove sub-idea vote route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while removing the vote',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/subideas/:id/comments
+ * @desc Add a comment or reply to a sub-idea
+ * @access Private
+ */
+router.post('/:id/comments', 
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 30 }), // 30 comments per 15 minutes
+  validationMiddleware,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { content, parentCommentId } = req.body;
+      const authorId = req.user.userId;
+
+      const result = await commentService.createComment('subIdea', id, content, authorId, parentCommentId);
+
+      res.status(201).json({
+        success: true,
+        message: 'Comment added successfully',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Create sub-idea comment route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('required') || 
+          error.message.includes('cannot exceed') || 
+          error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      } else if (error.message.includes('Cannot reply')) {
+        statusCode = 409;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while adding the comment',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/subideas/:id/comments
+ * @desc Get comments for a sub-idea as a flat list or nested tree
+ * @access Public
+ */
+router.get('/:id/comments', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      view = 'flat',
+      page = 1,
+      limit = 20,
+      sortOrder = 'asc'
+    } = req.query;
+
+    const result = await commentService.getComments('subIdea', id, {
+      view,
+      page: parseInt(page),
+      limit: Math.min(parseInt(limit), 100), // Max 100 comments per page
+      sortOrder
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Comments fetched successfully',
+      data: result.comments,
+      pagination: result.pagination
+    });
+
+  } catch (error) {
+    console.error('Get sub-idea comments route error:', error.message);
+
+    let statusCode = 500;
+    if (error.message.includes('Invalid')) {
+      statusCode = 400;
+    } else if (error.message.includes('not found')) {
+      statusCode = 404;
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message || 'An error occurred while fetching comments',
+      data: null
+    });
+  }
+});
+
+/**
+ * @route PUT /api/subideas/:id/comments/:commentId
+ * @desc Edit a comment on a sub-idea
+ * @access Private (Comment Author or Admin only)
+ */
+router.put('/:id/comments/:commentId', 
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 20 }), // 20 updates per 15 minutes
+  validationMiddleware,
+  async (req, res) => {
+    try {
+      const { id, commentId } = req.params;
+      const { content } = req.body;
+      const userId = req.user.userId;
+      const userRole = req.user.role;
+
+      const result = await commentService.updateComment('subIdea', id, commentId, content, userId, userRole);
+
+      res.status(200).json({
+        success: true,
+        message: 'Comment updated successfully',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Update sub-idea comment route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('required') || 
+          error.message.includes('cannot exceed') || 
+          error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('Unauthorized')) {
+        statusCode = 403;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while updating the comment',
+        data: null
+      });
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/subideas/:id/comments/:commentId
+ * @desc Delete a comment on a sub-idea
+ * @access Private (Comment Author or Admin only)
+ */
+router.delete('/:id/comments/:commentId', 
+  authMiddleware,
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 20 }), // 20 deletes per 15 minutes
+  async (req, res) => {
+    try {
+      const { id, commentId } = req.params;
+      const userId = req.user.userId;
+      const userRole = req.user.role;
+
+      const result = await commentService.deleteComment('subIdea', id, commentId, userId, userRole);
+
+      res.status(200).json({
+        success: true,
+        message: result.message,
+        data: null
+      });
+
+    } catch (error) {
+      console.error('Delete sub-idea comment route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('Unauthorized')) {
+        statusCode = 403;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'An error occurred while deleting the comment',
+        data: null
+      });
+    }
+  }
+);
+
 export default router;
\ No newline at end of file
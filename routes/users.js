@@ -0,0 +1,49 @@
+import express from 'express';
+import userService from '../services/userService.js';
+import { rateLimitMiddleware } from '../middleware/rateLimitMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/users/:id
+ * @desc Get a user's public profile with their contribution history
+ * @access Public
+ */
+router.get('/:id',
+  rateLimitMiddleware({ windowMs: 15 * 60 * 1000, max: 100 }), // 100 requests per 15 minutes
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { page = 1, limit = 10 } = req.query;
+
+      // Call service
+      const result = await userService.getPublicProfile(id, {
+        page: parseInt(page),
+        limit: Math.min(parseInt(limit), 50) // Max 50 items per list
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'User profile retrieved successfully',
+        data: result
+      });
+    } catch (error) {
+      console.error('Get user profile route error:', error.message);
+
+      let statusCode = 500;
+      if (error.message.includes('Invalid')) {
+        statusCode = 400;
+      } else if (error.message.includes('not found')) {
+        statusCode = 404;
+      }
+
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to retrieve user profile',
+        data: null
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,222 @@
+import mongoose from 'mongoose';
+import { AuditLog } from '../models/index.js';
+import { AuditAction, AuditEntityType, DomainEventType } from '../models/enums.js';
+import eventBus from './eventBus.js';
+
+// What each audited domain event records: the action, the entity and the payload field holding its id
+const AUDITED_EVENTS = {
+  [DomainEventType.IDEA_CREATED]: { action: AuditAction.CREATE, entityType: AuditEntityType.IDEA, idField: 'ideaId' },
+  [DomainEventType.IDEA_UPDATED]: { action: AuditAction.UPDATE, entityType: AuditEntityType.IDEA, idField: 'ideaId' },
+  [DomainEventType.IDEA_STATUS_CHANGED]: { action: AuditAction.UPDATE, entityType: AuditEntityType.IDEA, idField: 'ideaId' },
+  [DomainEventType.IDEA_STAGE_CHANGED]: { action: AuditAction.UPDATE, entityType: AuditEntityType.IDEA, idField: 'ideaId' },
+  [DomainEventType.IDEA_DELETED]: { action: AuditAction.DELETE, entityType: AuditEntityType.IDEA, idField: 'ideaId' },
+  [DomainEventType.IDEA_RESTORED]: { action: AuditAction.RESTORE, entityType: AuditEntityType.IDEA, idField: 'ideaId' },
+  [DomainEventType.IDEA_HIDDEN]: { action: AuditAction.HIDE, entityType: AuditEntityType.IDEA, idField: 'ideaId' },
+  [DomainEventType.IDEA_UNHIDDEN]: { action: AuditAction.UNHIDE, entityType: AuditEntityType.IDEA, idField: 'ideaId' },
+  [DomainEventType.SUBIDEA_CREATED]: { action: AuditAction.CREATE, entityType: AuditEntityType.SUB_IDEA, idField: 'subIdeaId' },
+  [DomainEventType.SUBIDEA_UPDATED]: { action: AuditAction.UPDATE, entityType: AuditEntityType.SUB_IDEA, idField: 'subIdeaId' },
+  [DomainEventType.SUBIDEA_STATUS_CHANGED]: { action: AuditAction.UPDATE, entityType: AuditEntityType.SUB_IDEA, idField: 'subIdeaId' },
+  [DomainEventType.SUBIDEA_DELETED]: { action: AuditAction.DELETE, entityType: AuditEntityType.SUB_IDEA, idField: 'subIdeaId' },
+  [DomainEventType.SUBIDEA_RESTORED]: { action: AuditAction.RESTORE, entityType: AuditEntityType.SUB_IDEA, idField: 'subIdeaId' },
+  [DomainEventType.SUBIDEA_HIDDEN]: { action: AuditAction.HIDE, entityType: AuditEntityType.SUB_IDEA, idField: 'subIdeaId' },
+  [DomainEventType.SUBIDEA_UNHIDDEN]: { action: AuditAction.UNHIDE, entityType: AuditEntityType.SUB_IDEA, idField: 'subIdeaId' },
+  [DomainEventType.PROPOSAL_CREATED]: { action: AuditAction.CREATE, entityType: AuditEntityType.PROPOSAL, idField: 'proposalId' },
+  [DomainEventType.PROPOSAL_UPDATED]: { action: AuditAction.UPDATE, entityType: AuditEntityType.PROPOSAL, idField: 'proposalId' },
+  [DomainEventType.PROPOSAL_ACCEPTED]: { action: AuditAction.UPDATE, entityType: AuditEntityType.PROPOSAL, idField: 'proposalId' },
+  [DomainEventType.PROPOSAL_REJECTED]: { action: AuditAction.UPDATE, entityType: AuditEntityType.PROPOSAL, idField: 'proposalId' },
+  [DomainEventType.PROPOSAL_DELETED]: { action: AuditAction.DELETE, entityType: AuditEntityType.PROPOSAL, idField: 'proposalId' },
+  [DomainEventType.PROPOSAL_RESTORED]: { action: AuditAction.RESTORE, entityType: AuditEntityType.PROPOSAL, idField: 'proposalId' },
+  [DomainEventType.PROPOSAL_HIDDEN]: { action: AuditAction.HIDE, entityType: AuditEntityType.PROPOSAL, idField: 'proposalId' },
+  [DomainEventType.PROPOSAL_UNHIDDEN]: { action: AuditAction.UNHIDE, entityType: AuditEntityType.PROPOSAL, idField: 'proposalId' },
+  [DomainEventType.PROTOTYPE_CREATED]: { action: AuditAction.CREATE, entityType: AuditEntityType.PROTOTYPE, idField: 'prototypeId' },
+  [DomainEventType.PROTOTYPE_UPDATED]: { action: AuditAction.UPDATE, entityType: AuditEntityType.PROTOTYPE, idField: 'prototypeId' },
+  [DomainEventType.PROTOTYPE_TEAM_MEMBER_ADDED]: { action: AuditAction.UPDATE, entityType: AuditEntityType.PROTOTYPE, idField: 'prototypeId' },
+  [DomainEventType.PROTOTYPE_TEAM_MEMBER_REMOVED]: { action: AuditAction.UPDATE, entityType: AuditEntityType.PROTOTYPE, idField: 'prototypeId' },
+  [DomainEventType.PROTOTYPE_DELETED]: { action: AuditAction.DELETE, entityType: AuditEntityType.PROTOTYPE, idField: 'prototypeId' },
+  [DomainEventType.PROTOTYPE_RESTORED]: { action: AuditAction.RESTORE, entityType: AuditEntityType.PROTOTYPE, idField: 'prototypeId' },
+  [DomainEventType.PROTOTYPE_HIDDEN]: { action: AuditAction.HIDE, entityType: AuditEntityType.PROTOTYPE, idField: 'prototypeId' },
+  [DomainEventType.PROTOTYPE_UNHIDDEN]: { action: AuditAction.UNHIDE, entityType: AuditEntityType.PROTOTYPE, idField: 'prototypeId' }
+};
+
+class AuditService {
+  /**
+   * Validates MongoDB ObjectId
+   */
+  validateObjectId(id) {
+    return mongoose.Types.ObjectId.isValid(id);
+  }
+
+  /**
+   * Parses an optional date filter
+   */
+  parseDate(value, name) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid ${name} date`);
+    }
+
+    return date;
+  }
+
+  /**
+   * Lists the fields that differ between two snapshots as { field: { from, to } }.
+   * A missing snapshot (before a create, after a delete) counts as all nulls.
+   */
+  buildChanges(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const field of fields) {
+      const from = before ? before[field] ?? null : null;
+      const to = after ? after[field] ?? null : null;
+
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[field] = { from, to };
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Records an audit entry for a domain event
+   */
+  async handleDomainEvent(event) {
+    const audited = AUDITED_EVENTS[event.type];
+    const entityId = audited && event.payload[audited.idField];
+    if (!entityId) {
+      return;
+    }
+
+    const { actorId, before, after } = event.payload;
+    const metadata = event.metadata || {};
+
+    // Upserting on the event id keeps a retried subscriber from logging the change twice
+    await AuditLog.updateOne(
+      { eventId: event.id },
+      {
+        $setOnInsert: {
+          actorId: actorId || null,
+          action: audited.action,
+          entityType: audited.entityType,
+          entityId,
+          eventType: event.type,
+          changes: this.buildChanges(before, after),
+          ip: metadata.ip || null,
+          userAgent: metadata.userAgent || null,
+          requestId: metadata.requestId || null,
+          createdAt: event.occurredAt
+        }
+      },
+      { upsert: true, timestamps: false }
+    ).exec();
+  }
+
+  /**
+   * Gets audit log entries with filtering and pagination, newest first
+   */
+  async getAuditLogs(filters = {}) {
+    const {
+      actorId,
+      entityType,
+      entityId,
+      action,
+      from,
+      to,
+      page = 1,
+      limit = 20
+    } = filters;
+
+    const query = {};
+
+    if (actorId) {
+      if (!this.validateObjectId(actorId)) {
+        throw new Error('Invalid actor ID');
+      }
+      query.actorId = actorId;
+    }
+
+    if (entityType) {
+      if (!Object.values(AuditEntityType).includes(entityType)) {
+        throw new Error('Invalid entity type');
+      }
+      query.entityType = entityType;
+    }
+
+    if (entityId) {
+      if (!this.validateObjectId(entityId)) {
+        throw new Error('Invalid entity ID');
+      }
+      query.entityId = entityId;
+    }
+
+    if (action) {
+      if (!Object.values(AuditAction).includes(action)) {
+        throw new Error('Invalid action');
+      }
+      query.action = action;
+    }
+
+    const fromDate = this.parseDate(from, 'from');
+    const toDate = this.parseDate(to, 'to');
+    if (fromDate && toDate && fromDate > toDate) {
+      throw new Error('Invalid date range: from must be before to');
+    }
+    if (fromDate || toDate) {
+      query.createdAt = {};
+      if (fromDate) {
+        query.createdAt.$gte = fromDate;
+      }
+      if (toDate) {
+        query.createdAt.$lte = toDate;
+      }
+    }
+
+    try {
+      // Pagination
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const limitNum = parseInt(limit);
+
+      const [entries, totalCount] = await Promise.all([
+        AuditLog.find(query)
+          .populate('actor', 'name email')
+          .sort({ createdAt: -1, _id: -1 })
+          .skip(skip)
+          .limit(limitNum)
+          .exec(),
+        AuditLog.countDocuments(query)
+      ]);
+
+      // Calculate pagination info
+      const totalPages = Math.ceil(totalCount / limitNum);
+      const hasNextPage = page < totalPages;
+      const hasPrevPage = page > 1;
+
+      return {
+        entries: entries.map(entry => entry.toObject({ virtuals: true })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage,
+          hasPrevPage,
+          limit: limitNum
+        }
+      };
+    } catch (error) {
+      console.error('Database error in getAuditLogs:', error);
+      throw new Error('Failed to fetch audit log');
+    }
+  }
+}
+
+const auditService = new AuditService();
+
+// Record every create, update, delete and restore of ideas, sub-ideas, proposals and prototypes
+eventBus.subscribe('audit', Object.keys(AUDITED_EVENTS), event => auditService.handleDomainEvent(event));
+
+export default auditService;
@@ -2,9 +2,16 @@ import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
 import validator from 'validator';
 import crypto from 'crypto';
-import nodemailer from 'nodemailer';
 import mongoose from 'mongoose';
-import { User } from '../models/index.js';
+import { User, RefreshToken } from '../models/index.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+import mailService from './mailService.js';
+
+// Defaults for token lifetimes and claims (overridable through the environment)
+const DEFAULT_ACCESS_TOKEN_EXPIRES_IN = '15m';
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+const DEFAULT_JWT_ISSUER = 'ideation-platform';
+const DEFAULT_JWT_AUDIENCE = 'ideation-platform-users';
 
 class AuthService {
   /**
@@ -83,6 +90,21 @@ class AuthService {
     }
   }
 
+  /**
+   * Finds user by a pending email verification token
+   */
+  async findUserByVerificationToken(token) {
+    try {
+      return await User.findOne({
+        emailVerificationToken: this.hashVerificationToken(token),
+        emailVerificationExpiry: { $gt: new Date() }
+      }).exec();
+    } catch (error) {
+      console.error('Database error in findUserByVerificationToken:', error);
+      throw new Error('Database operation failed');
+    }
+  }
+
   /**
    * Finds user by reset token
    */
@@ -105,6 +127,13 @@ class AuthService {
     return crypto.randomBytes(32).toString('hex');
   }
 
+  /**
+   * Hashes an email verification token for storage and lookup
+   */
+  hashVerificationToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
   /**
    * Creates a new user
    */
@@ -123,13 +152,14 @@ class AuthService {
         name: name.trim(),
         email: normalizedEmail,
         password: hashedPassword,
+        emailVerified: false
       });
 
       const savedUser = await newUser.save();
 
       // Return user without password
       const userObject = savedUser.toObject();
-      const { password: _, resetToken, resetTokenExpiry, ...userWithoutSensitiveData } = userObject;
+      const { password: _, resetToken, resetTokenExpiry, tokensValidAfter, emailVerificationToken, emailVerificationExpiry, ...userWithoutSensitiveData } = userObject;
 
       return userWithoutSensitiveData;
     } catch (error) {
@@ -181,7 +211,8 @@ class AuthService {
         {
           password: hashedPassword,
           resetToken: null,
-          resetTokenExpiry: null
+          resetTokenExpiry: null,
+          passwordResetRequired: false
         },
         { new: true }
       ).exec();
@@ -219,9 +250,10 @@ class AuthService {
       };
 
       return jwt.sign(payload, process.env.JWT_SECRET, {
-        expiresIn: '24h',
-        issuer: 'your-app-name',
-        audience: 'your-app-users'
+        expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || DEFAULT_ACCESS_TOKEN_EXPIRES_IN,
+        jwtid: crypto.randomUUID(), // Keeps tokens issued in the same second distinct for revocation
+        issuer: process.env.JWT_ISSUER || DEFAULT_JWT_ISSUER,
+        audience: process.env.JWT_AUDIENCE || DEFAULT_JWT_AUDIENCE
       });
     } catch (error) {
       console.error('Token generation error:', error);
@@ -230,52 +262,217 @@ class AuthService {
   }
 
   /**
-   * Sends password reset email
+   * Hashes a refresh token for storage and lookup
    */
-  async sendPasswordResetEmail(email, resetToken) {
+  hashRefreshToken(refreshToken) {
+    return crypto.createHash('sha256').update(refreshToken).digest('hex');
+  }
+
+  /**
+   * Creates and stores a refresh token, returning the raw value once
+   */
+  async issueRefreshToken(userId, device = {}, familyId = crypto.randomUUID()) {
     try {
-      const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
+      const ttlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || DEFAULT_REFRESH_TOKEN_TTL_DAYS;
+      const refreshToken = crypto.randomBytes(48).toString('hex');
 
-      // Create the transporter
-      const transporter = nodemailer.createTransporter({
-        host: process.env.EMAIL_HOST,           // e.g., smtp.gmail.com or smtp.sendgrid.net
-        port: process.env.EMAIL_PORT,           // 465 (SSL) or 587 (TLS)
-        secure: process.env.EMAIL_SECURE === 'true', // true for 465, false for 587
-        auth: {
-          user: process.env.EMAIL_USER,         // Your email username
-          pass: process.env.EMAIL_PASS          // Your email password or app password
-        }
+      await RefreshToken.create({
+        tokenHash: this.hashRefreshToken(refreshToken),
+        userId,
+        familyId,
+        deviceId: device.deviceId || null,
+        userAgent: device.userAgent ? device.userAgent.substring(0, 500) : null,
+        ip: device.ip || null,
+        expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000)
       });
 
-      // Email content
-      const mailOptions = {
-        from: process.env.FROM_EMAIL || '"Your App" <no-reply@yourapp.com>',
-        to: email,
-        subject: 'Password Reset Request',
-        html: `
-          <h2>Password Reset Request</h2>
-          <p>You requested a password reset. Click the link below to reset your password:</p>
-          <a href="${resetUrl}" target="_blank" style="color: blue;">Reset Password</a>
-          <p>This link will expire in 1 hour.</p>
-          <p>If you didn't request this, please ignore this email.</p>
-        `
-      };
+      return refreshToken;
+    } catch (error) {
+      console.error('Database error in issueRefreshToken:', error);
+      throw new Error('Failed to issue refresh token');
+    }
+  }
+
+  /**
+   * Starts a new session for a device, replacing any earlier session on it
+   */
+  async createSession(user, device = {}) {
+    const userId = user.id || user._id;
+
+    // A device holds a single refresh token family at a time
+    if (device.deviceId) {
+      await RefreshToken.updateMany(
+        { userId, deviceId: device.deviceId, revokedAt: null },
+        { revokedAt: new Date() }
+      ).exec();
+    }
+
+    const refreshToken = await this.issueRefreshToken(userId, device);
+
+    return {
+      token: this.generateToken(user),
+      refreshToken
+    };
+  }
+
+  /**
+   * Revokes every refresh token in a family
+   */
+  async revokeTokenFamily(familyId) {
+    await RefreshToken.updateMany(
+      { familyId, revokedAt: null },
+      { revokedAt: new Date() }
+    ).exec();
+  }
+
+  /**
+   * Exchanges a refresh token for a new access token and refresh token.
+   * Presenting a token that was already rotated revokes its whole family.
+   */
+  async refreshSession(refreshToken, device = {}) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      throw new Error('Refresh token is required');
+    }
+
+    const storedToken = await RefreshToken.findOne({
+      tokenHash: this.hashRefreshToken(refreshToken)
+    }).exec();
 
-      // Send the email
-      await transporter.sendMail(mailOptions);
+    if (!storedToken || storedToken.expiresAt <= new Date()) {
+      throw new Error('Invalid or expired refresh token');
+    }
+
+    // Claim the token; losing the race means it was already used
+    const claimedToken = storedToken.usedAt ? null : await RefreshToken.findOneAndUpdate(
+      { _id: storedToken._id, usedAt: null, revokedAt: null },
+      { usedAt: new Date() },
+      { new: true }
+    ).exec();
+
+    if (!claimedToken) {
+      if (storedToken.usedAt || !storedToken.revokedAt) {
+        await this.revokeTokenFamily(storedToken.familyId);
+
+        authMiddleware.logSecurityEvent('REFRESH_TOKEN_REUSE', {
+          ip: device.ip,
+          userAgent: device.userAgent,
+          userId: storedToken.userId.toString(),
+          familyId: storedToken.familyId
+        });
+
+        throw new Error('Refresh token reuse detected. Please login again.');
+      }
+
+      throw new Error('Invalid or expired refresh token');
+    }
+
+    const user = await User.findById(storedToken.userId)
+      .select('_id email role tokensValidAfter suspendedAt')
+      .exec();
+
+    // Sessions started before "log out of all devices" cannot be refreshed
+    if (!user || (user.tokensValidAfter && storedToken.createdAt < user.tokensValidAfter)) {
+      await this.revokeTokenFamily(storedToken.familyId);
+      throw new Error('Invalid or expired refresh token');
+    }
+
+    if (user.suspendedAt) {
+      await this.revokeTokenFamily(storedToken.familyId);
+      throw new Error('This account has been suspended');
+    }
+
+    const newRefreshToken = await this.issueRefreshToken(
+      user._id,
+      { ...device, deviceId: storedToken.deviceId },
+      storedToken.familyId
+    );
+
+    return {
+      token: this.generateToken(user),
+      refreshToken: newRefreshToken
+    };
+  }
+
+  /**
+   * Revokes the session a refresh token belongs to
+   */
+  async revokeRefreshToken(refreshToken) {
+    try {
+      const storedToken = await RefreshToken.findOne({
+        tokenHash: this.hashRefreshToken(refreshToken)
+      }).select('familyId').exec();
+
+      if (storedToken) {
+        await this.revokeTokenFamily(storedToken.familyId);
+      }
+    } catch (error) {
+      console.error('Database error in revokeRefreshToken:', error);
+      throw new Error('Failed to revoke refresh token');
+    }
+  }
+
+  /**
+   * Sends password reset email (failed deliveries are retried by the mail service)
+   */
+  async sendPasswordResetEmail(email, resetToken) {
+    try {
+      const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
+
+      const result = await mailService.sendTemplate('passwordReset', email, { resetUrl });
 
-      console.log(`Password reset email sent to: ${email}`);
-      return true;
+      console.log(`Password reset email ${result.status} for: ${email}`);
+      return result;
     } catch (error) {
       console.error('Email sending error:', error);
       throw new Error('Failed to send password reset email');
     }
   }
 
+  /**
+   * Sends email verification link (failed deliveries are retried by the mail service)
+   */
+  async sendVerificationEmail(email, verificationToken) {
+    try {
+      const verifyUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
+
+      const result = await mailService.sendTemplate('emailVerification', email, { verifyUrl });
+
+      console.log(`Verification email ${result.status} for: ${email}`);
+      return result;
+    } catch (error) {
+      console.error('Email sending error:', error);
+      throw new Error('Failed to send verification email');
+    }
+  }
+
+  /**
+   * Creates a new verification token for the user and mails it
+   */
+  async startEmailVerification(user) {
+    const verificationToken = this.generateResetToken();
+
+    try {
+      await User.findByIdAndUpdate(
+        user._id,
+        {
+          emailVerificationToken: this.hashVerificationToken(verificationToken),
+          emailVerificationExpiry: new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours from now
+        }
+      ).exec();
+    } catch (error) {
+      console.error('Database error in startEmailVerification:', error);
+      throw new Error('Failed to create verification token');
+    }
+
+    await this.sendVerificationEmail(user.email, verificationToken);
+
+    return verificationToken;
+  }
+
   /**
    * Handles user signup
    */
-  async signup(userData) {
+  async signup(userData, device = {}) {
     const { name, email, password } = userData;
 
     // Validate input
@@ -293,19 +490,30 @@ class AuthService {
     // Create new user
     const newUser = await this.createUser({ name, email, password });
     
-    // Generate token
-    const token = this.generateToken(newUser);
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await this.createSession(newUser, device);
+
+    // Send verification email (the account is created even if mail delivery fails)
+    let verificationToken = null;
+    try {
+      verificationToken = await this.startEmailVerification(newUser);
+    } catch (error) {
+      console.error('Verification email error during signup:', error.message);
+    }
 
     return {
       user: newUser,
-      token
+      token,
+      refreshToken,
+      // In development, you might want to return the token for testing
+      ...(process.env.NODE_ENV === 'development' && verificationToken && { verificationToken })
     };
   }
 
   /**
    * Handles user login
    */
-  async login(credentials) {
+  async login(credentials, device = {}) {
     const { email, password } = credentials;
 
     // Validate input
@@ -326,16 +534,25 @@ class AuthService {
       throw new Error('Invalid email or password');
     }
 
-    // Generate token
-    const token = this.generateToken(user);
+    if (user.suspendedAt) {
+      throw new Error('This account has been suspended');
+    }
+
+    if (user.passwordResetRequired) {
+      throw new Error('Password reset required. Check your email for a reset link.');
+    }
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await this.createSession(user, device);
 
     // Return user data without password and sensitive fields
     const userObject = user.toObject();
-    const { password: _, resetToken, resetTokenExpiry, __v, ...userWithoutPassword } = userObject;
+    const { password: _, resetToken, resetTokenExpiry, tokensValidAfter, emailVerificationToken, emailVerificationExpiry, __v, ...userWithoutPassword } = userObject;
 
     return {
       user: userWithoutPassword,
-      token
+      token,
+      refreshToken
     };
   }
 
@@ -372,6 +589,86 @@ class AuthService {
     };
   }
 
+  /**
+   * Handles email verification
+   */
+  async verifyEmail(token) {
+    if (!token || typeof token !== 'string' || token.length < 32) {
+      throw new Error('Invalid verification token');
+    }
+
+    // Find user by verification token
+    const user = await this.findUserByVerificationToken(token);
+    if (!user) {
+      throw new Error('Invalid or expired verification token');
+    }
+
+    try {
+      await User.findByIdAndUpdate(
+        user._id,
+        {
+          emailVerified: true,
+          emailVerificationToken: null,
+          emailVerificationExpiry: null
+        }
+      ).exec();
+    } catch (error) {
+      console.error('Database error in verifyEmail:', error);
+      throw new Error('Failed to verify email');
+    }
+
+    return { message: 'Email verified successfully' };
+  }
+
+  /**
+   * Marks accounts created before email verification existed as verified, so
+   * turning on REQUIRE_EMAIL_VERIFICATION does not lock them out. Safe to run
+   * on every start: signup always stores the field.
+   */
+  async markExistingUsersVerified() {
+    try {
+      const result = await User.updateMany(
+        { emailVerified: { $exists: false } },
+        { $set: { emailVerified: true } }
+      ).exec();
+
+      if (result.modifiedCount > 0) {
+        console.log(`✉️  Marked ${result.modifiedCount} existing users as email verified`);
+      }
+
+      return result.modifiedCount;
+    } catch (error) {
+      console.error('Database error in markExistingUsersVerified:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Handles resending the verification email
+   */
+  async resendVerification(email) {
+    // Validate email
+    if (!email || !validator.isEmail(email)) {
+      throw new Error('Please provide a valid email address');
+    }
+
+    const message = 'If an unverified account with this email exists, a verification link has been sent.';
+
+    // For security, don't reveal if email exists or is already verified
+    const user = await this.findUserByEmail(email);
+    if (!user || user.emailVerified) {
+      return { message };
+    }
+
+    const verificationToken = await this.startEmailVerification(user);
+
+    return {
+      message,
+      // In development, you might want to return the token for testing
+      ...(process.env.NODE_ENV === 'development' && { verificationToken })
+    };
+  }
+
   /**
    * Handles password reset
    */
@@ -400,7 +697,7 @@ class AuthService {
   async getUserProfile(userId) {
     try {
       const user = await User.findById(userId)
-        .select('-password -resetToken -resetTokenExpiry -__v')
+        .select('-password -resetToken -resetTokenExpiry -tokensValidAfter -emailVerificationToken -emailVerificationExpiry -__v')
         .exec();
       
       if (!user) {
@@ -436,7 +733,7 @@ class AuthService {
         { 
           new: true, 
           runValidators: true,
-          select: '-password -resetToken -resetTokenExpiry -__v'
+          select: '-password -resetToken -resetTokenExpiry -tokensValidAfter -emailVerificationToken -emailVerificationExpiry -__v'
         }
       ).exec();
 
@@ -468,6 +765,10 @@ class AuthService {
     try {
       // Validate new password
       const validationErrors = [];
+
+      if (!currentPassword || typeof currentPassword !== 'string') {
+        validationErrors.push('Current password is required');
+      }
       
       if (!newPassword || newPassword.length < 8) {
         validationErrors.push('New password must be at least 8 characters long');
@@ -513,6 +814,44 @@ class AuthService {
     }
   }
 
+  /**
+   * Invalidates every token issued to the user before now
+   */
+  async logoutAllDevices(userId) {
+    try {
+      const user = await User.findByIdAndUpdate(
+        userId,
+        { tokensValidAfter: new Date() },
+        { new: true }
+      ).exec();
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      await RefreshToken.updateMany(
+        { userId, revokedAt: null },
+        { revokedAt: new Date() }
+      ).exec();
+
+      authMiddleware.logSecurityEvent('ALL_TOKENS_REVOKED', { userId: userId.toString() });
+
+      return { message: 'Logged out of all devices successfully' };
+    } catch (error) {
+      console.error('Database error in logoutAllDevices:', error);
+
+      if (error.name === 'CastError') {
+        throw new Error('Invalid user ID');
+      }
+
+      if (error.message.includes('not found')) {
+        throw error;
+      }
+
+      throw new Error('Failed to log out of all devices');
+    }
+  }
+
   /**
    * Cleanup method to disconnect Mongoose
    */
@@ -0,0 +1,146 @@
+import { Idea, Proposal, Prototype, Vote, Comment } from '../models/index.js';
+import { DomainEventType } from '../models/enums.js';
+import proposalService from './proposalService.js';
+import prototypeService from './prototypeService.js';
+import eventBus from './eventBus.js';
+
+// Cascades deleting and restoring a sub-idea to the proposals under it and
+// the prototypes under those. Ideas and sub-ideas handle their own level and
+// call in here for everything below.
+class CascadeService {
+  /**
+   * Finds the proposals and prototypes under the given sub-ideas. Without
+   * deletedAt the live ones are returned; with it, the ones deleted at that
+   * moment, i.e. by the same cascade.
+   */
+  async findDescendants(subIdeaIds, { deletedAt = null, session = null } = {}) {
+    const proposals = await Proposal.find({ subIdeaId: { $in: subIdeaIds }, deletedAt })
+      .session(session);
+
+    const prototypes = await Prototype.find({ proposalId: { $in: proposals.map(proposal => proposal._id) }, deletedAt })
+      .session(session);
+
+    return { proposals, prototypes };
+  }
+
+  /**
+   * Describes what a delete would take with it, for the dry run. Votes and
+   * comments are counted on the given sub-ideas and on every descendant.
+   */
+  async describe(subIdeas, { proposals, prototypes }, votedSubIdeaIds) {
+    const proposalIds = proposals.map(proposal => proposal._id);
+    const prototypeIds = prototypes.map(prototype => prototype._id);
+
+    const [votes, comments] = await Promise.all([
+      Vote.countDocuments({
+        $or: [
+          { subIdeaId: { $in: votedSubIdeaIds } },
+          { proposalId: { $in: proposalIds } },
+          { prototypeId: { $in: prototypeIds } }
+        ]
+      }),
+      Comment.countDocuments({
+        $or: [
+          { subIdeaId: { $in: votedSubIdeaIds } },
+          { prototypeId: { $in: prototypeIds } }
+        ]
+      })
+    ]);
+
+    return {
+      subIdeas: subIdeas.map(subIdea => ({ id: subIdea._id, title: subIdea.title })),
+      proposals: proposals.map(proposal => ({ id: proposal._id, subIdeaId: proposal.subIdeaId, title: proposal.title, status: proposal.status })),
+      prototypes: prototypes.map(prototype => ({ id: prototype._id, proposalId: prototype.proposalId, title: prototype.title })),
+      counts: {
+        subIdeas: subIdeas.length,
+        proposals: proposals.length,
+        prototypes: prototypes.length,
+        votes,
+        comments
+      }
+    };
+  }
+
+  /**
+   * Moves descendants to the trash with the same deletedAt as their ancestor
+   * and stops counting them on the idea
+   */
+  async trashDescendants(ideaId, { proposals, prototypes }, { deletedAt, deletedBy }, session) {
+    await Proposal.updateMany(
+      { _id: { $in: proposals.map(proposal => proposal._id) } },
+      { deletedAt, deletedBy },
+      { session }
+    );
+    await Prototype.updateMany(
+      { _id: { $in: prototypes.map(prototype => prototype._id) } },
+      { deletedAt, deletedBy },
+      { session }
+    );
+
+    if (proposals.length > 0 || prototypes.length > 0) {
+      await Idea.findByIdAndUpdate(
+        ideaId,
+        { $inc: { totalProposals: -proposals.length, totalPrototypes: -prototypes.length } },
+        { session }
+      );
+    }
+  }
+
+  /**
+   * Takes descendants deleted by a cascade out of the trash and counts them
+   * on the idea again
+   */
+  async restoreDescendants(ideaId, { proposals, prototypes }, session) {
+    await Proposal.updateMany(
+      { _id: { $in: proposals.map(proposal => proposal._id) } },
+      { deletedAt: null, deletedBy: null },
+      { session }
+    );
+    await Prototype.updateMany(
+      { _id: { $in: prototypes.map(prototype => prototype._id) } },
+      { deletedAt: null, deletedBy: null },
+      { session }
+    );
+
+    if (proposals.length > 0 || prototypes.length > 0) {
+      await Idea.findByIdAndUpdate(
+        ideaId,
+        { $inc: { totalProposals: proposals.length, totalPrototypes: prototypes.length } },
+        { session }
+      );
+    }
+  }
+
+  /**
+   * Publishes a deleted or restored event for every descendant, shaped like
+   * the events of deleting or restoring it directly, in the transaction of the session
+   */
+  async publishDescendants(ideaId, { proposals, prototypes }, actorId, restored = false, session = null) {
+    for (const proposal of proposals) {
+      await eventBus.publish(restored ? DomainEventType.PROPOSAL_RESTORED : DomainEventType.PROPOSAL_DELETED, {
+        ideaId,
+        subIdeaId: proposal.subIdeaId,
+        proposalId: proposal._id,
+        actorId,
+        title: proposal.title,
+        ...(restored && { status: proposal.status }),
+        before: restored ? null : proposalService.toSnapshot(proposal),
+        after: restored ? proposalService.toSnapshot(proposal) : null
+      }, session);
+    }
+
+    for (const prototype of prototypes) {
+      await eventBus.publish(restored ? DomainEventType.PROTOTYPE_RESTORED : DomainEventType.PROTOTYPE_DELETED, {
+        ideaId,
+        proposalId: prototype.proposalId,
+        prototypeId: prototype._id,
+        actorId,
+        title: prototype.title,
+        before: restored ? null : prototypeService.toSnapshot(prototype),
+        after: restored ? prototypeService.toSnapshot(prototype) : null
+      }, session);
+    }
+  }
+}
+
+export default new CascadeService();
@@ -0,0 +1,608 @@
+import mongoose from 'mongoose';
+import { Comment, SubIdea, Prototype, User } from '../models/index.js';
+import { MAX_COMMENT_DEPTH } from '../models/Comment.js';
+import { NotificationType, DomainEventType } from '../models/enums.js';
+import notificationService from './notificationService.js';
+import eventBus from './eventBus.js';
+
+// Commentable entities and the Comment field that points at each of them
+const COMMENT_TARGETS = {
+  subIdea: { model: SubIdea, field: 'subIdeaId', label: 'Sub-idea' },
+  prototype: { model: Prototype, field: 'prototypeId', label: 'Prototype' }
+};
+
+// Matches @"Full Name", @user@example.com and @First_Last style mentions
+const MENTION_PATTERN = /(?<![\w@])@(?:"([^"]{2,100})"|([^\s@"]+@[^\s@"]+\.[A-Za-z]{2,})|([A-Za-z0-9][\w.-]{1,99}))/g;
+
+// Most distinct mentions resolved per comment; later ones are left as text
+const MAX_MENTIONS = 10;
+
+// Names are matched without regard to case, through the collation of the users' name index
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+class CommentService {
+  /**
+   * Validates comment input
+   */
+  validateCommentInput(content) {
+    const errors = [];
+
+    if (!content || typeof content !== 'string' || content.trim().length < 1) {
+      errors.push('Comment content is required');
+    }
+
+    if (content && typeof content === 'string' && content.trim().length > 1000) {
+      errors.push('Comment cannot exceed 1000 characters');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validates ObjectId
+   */
+  validateObjectId(id) {
+    return mongoose.Types.ObjectId.isValid(id);
+  }
+
+  /**
+   * Sanitizes input strings
+   */
+  sanitizeInput(input) {
+    if (typeof input !== 'string') return input;
+    return input.trim().replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '');
+  }
+
+  /**
+   * Extracts the first MAX_MENTIONS distinct mentioned emails and names
+   * from comment content
+   */
+  parseMentions(content) {
+    const emails = new Set();
+    // Keyed by lower case, so @john and @John count once
+    const names = new Map();
+
+    for (const match of content.matchAll(MENTION_PATTERN)) {
+      if (emails.size + names.size >= MAX_MENTIONS) {
+        break;
+      }
+
+      const [, quotedName, email, handle] = match;
+
+      if (email) {
+        emails.add(email.toLowerCase());
+      } else {
+        // @First_Last and @First.Last are shorthands for "First Last"
+        const name = (quotedName || handle.replace(/[._]+/g, ' ')).trim();
+        if (name.length >= 2 && !names.has(name.toLowerCase())) {
+          names.set(name.toLowerCase(), name);
+        }
+      }
+    }
+
+    return { emails: [...emails], names: [...names.values()] };
+  }
+
+  /**
+   * Resolves mentions in comment content to user IDs.
+   * Names that match more than one user are ambiguous and ignored.
+   */
+  async resolveMentions(content) {
+    const { emails, names } = this.parseMentions(content);
+    const userIds = new Set();
+
+    if (emails.length > 0) {
+      const users = await User.find({ email: { $in: emails } }).select('_id').exec();
+      users.forEach(user => userIds.add(user._id.toString()));
+    }
+
+    if (names.length > 0) {
+      const users = await User.find({ name: { $in: names } })
+        .collation(NAME_COLLATION)
+        .select('_id name')
+        .exec();
+
+      // Group the matches by name to drop the ambiguous ones
+      const matchesByName = new Map();
+      for (const user of users) {
+        const key = user.name.toLowerCase();
+        matchesByName.set(key, [...(matchesByName.get(key) || []), user]);
+      }
+
+      for (const matches of matchesByName.values()) {
+        if (matches.length === 1) {
+          userIds.add(matches[0]._id.toString());
+        }
+      }
+    }
+
+    return [...userIds].map(id => new mongoose.Types.ObjectId(id));
+  }
+
+  /**
+   * Collects all replies below the given comments, oldest first. With
+   * excludeHidden, hidden replies and everything below them are skipped.
+   * Pass the session to read the replies inside a transaction.
+   */
+  async findReplies(commentIds, { excludeHidden = false, session = null } = {}) {
+    const replies = [];
+    let frontier = commentIds;
+
+    // Depth is bounded, so this walks at most MAX_COMMENT_DEPTH levels
+    while (frontier.length > 0) {
+      const levelQuery = { parentCommentId: { $in: frontier } };
+      if (excludeHidden) {
+        levelQuery.hiddenAt = null;
+      }
+
+      const levelReplies = await Comment.find(levelQuery)
+        .populate('author', 'name avatarUrl')
+        .sort({ createdAt: 1 })
+        .session(session)
+        .exec();
+      frontier = levelReplies.map(reply => reply._id);
+      replies.push(...levelReplies.map(reply => reply.toObject()));
+    }
+
+    return replies;
+  }
+
+  /**
+   * Counts direct replies for each of the given comments
+   */
+  async getReplyCounts(commentIds) {
+    const counts = await Comment.aggregate([
+      { $match: { parentCommentId: { $in: commentIds }, hiddenAt: null } },
+      { $group: { _id: '$parentCommentId', count: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+  }
+
+  /**
+   * Nests flat comments under their parents
+   */
+  buildCommentTree(rootComments, replies) {
+    const nodes = new Map();
+
+    [...rootComments, ...replies].forEach(comment => {
+      nodes.set(comment._id.toString(), { ...comment, replies: [], replyCount: 0 });
+    });
+
+    replies.forEach(reply => {
+      const parent = nodes.get(reply.parentCommentId.toString());
+      if (parent) {
+        parent.replies.push(nodes.get(reply._id.toString()));
+        parent.replyCount++;
+      }
+    });
+
+    return rootComments.map(comment => nodes.get(comment._id.toString()));
+  }
+
+  /**
+   * Resolves the model and Comment field for a target type
+   */
+  getTargetConfig(targetType) {
+    const config = COMMENT_TARGETS[targetType];
+    if (!config) {
+      throw new Error('Invalid comment target type');
+    }
+    return config;
+  }
+
+  /**
+   * Verifies that the commented entity exists
+   */
+  async verifyTargetExists(targetType, targetId) {
+    const { model, label } = this.getTargetConfig(targetType);
+
+    if (!this.validateObjectId(targetId)) {
+      throw new Error(`Invalid ${label.toLowerCase()} ID`);
+    }
+
+    const target = await model.findOne({ _id: targetId, deletedAt: null }).select('_id title authorId').exec();
+    if (!target) {
+      throw new Error(`${label} not found`);
+    }
+
+    return target;
+  }
+
+  /**
+   * Builds the notifications for a new comment: mentioned users first, then
+   * the author of the comment replied to, then the author of the target
+   */
+  buildCommentNotifications(targetType, target, comment, parentComment, author) {
+    const { field } = this.getTargetConfig(targetType);
+    const refs = { [field]: target._id, commentId: comment._id };
+    const context = { actorName: author.name, title: target.title };
+
+    return [
+      ...comment.mentionedUserIds.map(recipientId => ({
+        recipientId,
+        actorId: author._id,
+        type: NotificationType.MENTION,
+        ...refs,
+        context
+      })),
+      parentComment && {
+        recipientId: parentComment.authorId,
+        actorId: author._id,
+        type: NotificationType.NEW_COMMENT,
+        ...refs,
+        context: { ...context, isReply: true }
+      },
+      {
+        recipientId: target.authorId,
+        actorId: author._id,
+        type: NotificationType.NEW_COMMENT,
+        ...refs,
+        context
+      }
+    ].filter(Boolean);
+  }
+
+  /**
+   * Finds a comment that belongs to the given target
+   */
+  async findTargetComment(targetType, targetId, commentId) {
+    const { field } = this.getTargetConfig(targetType);
+
+    if (!this.validateObjectId(commentId)) {
+      throw new Error('Invalid comment ID');
+    }
+
+    const comment = await Comment.findOne({ _id: commentId, [field]: targetId }).exec();
+    if (!comment) {
+      throw new Error('Comment not found');
+    }
+
+    return comment;
+  }
+
+  /**
+   * Creates a new comment or reply on a sub-idea or prototype
+   */
+  async createComment(targetType, targetId, content, authorId, parentCommentId = null) {
+    // Validate input
+    const validationErrors = this.validateCommentInput(content);
+    if (validationErrors.length > 0) {
+      throw new Error(validationErrors.join(', '));
+    }
+
+    if (!this.validateObjectId(authorId)) {
+      throw new Error('Invalid author ID');
+    }
+
+    const { model, field } = this.getTargetConfig(targetType);
+    const session = await mongoose.startSession();
+
+    try {
+      // 1. Verify author exists
+      const author = await User.findById(authorId);
+      if (!author) {
+        throw new Error('Author not found');
+      }
+
+      // 2. Verify target exists
+      const target = await this.verifyTargetExists(targetType, targetId);
+
+      // 3. Verify parent comment belongs to the same target
+      let depth = 0;
+      let parentComment = null;
+      if (parentCommentId) {
+        parentComment = await this.findTargetComment(targetType, targetId, parentCommentId);
+
+        if (parentComment.depth >= MAX_COMMENT_DEPTH) {
+          throw new Error(`Cannot reply: comments can only be nested ${MAX_COMMENT_DEPTH} levels deep`);
+        }
+        depth = parentComment.depth + 1;
+      }
+
+      // 4. Resolve mentions
+      const sanitizedContent = this.sanitizeInput(content);
+      const mentionedUserIds = await this.resolveMentions(sanitizedContent);
+
+      const result = await session.withTransaction(async () => {
+        // 5. Create comment
+        const newComment = new Comment({
+          content: sanitizedContent,
+          authorId,
+          [field]: targetId,
+          parentCommentId: parentCommentId || null,
+          depth,
+          mentionedUserIds
+        });
+
+        const savedComment = await newComment.save({ session });
+
+        // 6. Increment commentCount counter on the target
+        await model.findByIdAndUpdate(
+          targetId,
+          { $inc: { commentCount: 1 } },
+          { session }
+        );
+
+        // 7. Notify mentioned users and the authors being replied to
+        await notificationService.notify(
+          this.buildCommentNotifications(targetType, target, savedComment, parentComment, author),
+          { session }
+        );
+
+        // 8. Publish the new comment with the transaction
+        await eventBus.publish(DomainEventType.COMMENT_CREATED, {
+          [field]: targetId,
+          commentId: savedComment._id,
+          actorId: authorId,
+          targetType,
+          parentCommentId: savedComment.parentCommentId,
+          mentionedUserIds: savedComment.mentionedUserIds
+        }, session);
+
+        return savedComment;
+      });
+
+      // 9. Populate author and mentioned users
+      await result.populate([
+        { path: 'author', select: 'name avatarUrl' },
+        { path: 'mentionedUsers', select: 'name avatarUrl' }
+      ]);
+
+      return result.toObject();
+    } catch (error) {
+      console.error('Database error in createComment:', error);
+
+      if (error.message.includes('not found') ||
+          error.message.includes('Invalid') ||
+          error.message.includes('Cannot reply')) {
+        throw error;
+      }
+
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(err => err.message);
+        throw new Error(messages.join(', '));
+      }
+
+      throw new Error('Failed to create comment');
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Gets comments for a sub-idea or prototype with pagination.
+   * The flat view pages through every comment chronologically; the tree
+   * view pages through top-level comments and nests their replies.
+   */
+  async getComments(targetType, targetId, filters = {}) {
+    const {
+      view = 'flat',
+      page = 1,
+      limit = 20,
+      sortOrder = 'asc'
+    } = filters;
+
+    if (!['flat', 'tree'].includes(view)) {
+      throw new Error('Invalid view. Must be either flat or tree');
+    }
+
+    const { field } = this.getTargetConfig(targetType);
+    await this.verifyTargetExists(targetType, targetId);
+
+    try {
+      const query = { [field]: targetId, hiddenAt: null };
+      if (view === 'tree') {
+        query.parentCommentId = null;
+      }
+
+      // Pagination
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const limitNum = parseInt(limit);
+
+      // Execute query
+      const [comments, totalCount] = await Promise.all([
+        Comment.find(query)
+          .populate('author', 'name avatarUrl')
+          .sort({ createdAt: sortOrder === 'desc' ? -1 : 1 })
+          .skip(skip)
+          .limit(limitNum)
+          .exec(),
+        Comment.countDocuments(query)
+      ]);
+
+      const commentObjects = comments.map(comment => comment.toObject());
+      let result;
+
+      if (view === 'tree') {
+        const replies = await this.findReplies(comments.map(comment => comment._id), { excludeHidden: true });
+        result = this.buildCommentTree(commentObjects, replies);
+      } else {
+        const replyCounts = await this.getReplyCounts(comments.map(comment => comment._id));
+        result = commentObjects.map(comment => ({
+          ...comment,
+          replyCount: replyCounts.get(comment._id.toString()) || 0
+        }));
+      }
+
+      // Calculate pagination info
+      const totalPages = Math.ceil(totalCount / limitNum);
+      const hasNextPage = page < totalPages;
+      const hasPrevPage = page > 1;
+
+      return {
+        comments: result,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage,
+          hasPrevPage,
+          limit: limitNum
+        }
+      };
+    } catch (error) {
+      console.error('Database error in getComments:', error);
+      throw new Error('Failed to fetch comments');
+    }
+  }
+
+  /**
+   * Updates a comment
+   */
+  async updateComment(targetType, targetId, commentId, content, userId, userRole) {
+    // Validate input
+    const validationErrors = this.validateCommentInput(content);
+    if (validationErrors.length > 0) {
+      throw new Error(validationErrors.join(', '));
+    }
+
+    const { field } = this.getTargetConfig(targetType);
+    const session = await mongoose.startSession();
+
+    try {
+      // 1. Verify target exists (comments on trashed content cannot be edited)
+      const target = await this.verifyTargetExists(targetType, targetId);
+
+      // 2. Get existing comment
+      const existingComment = await this.findTargetComment(targetType, targetId, commentId);
+
+      // 3. Check authorization (author or admin can update)
+      const isAuthor = existingComment.authorId.toString() === userId;
+      const isAdmin = userRole === 'ADMIN';
+
+      if (!isAuthor && !isAdmin) {
+        throw new Error('Unauthorized: Only the comment author or admin can update this comment');
+      }
+
+      // 4. Re-resolve mentions against the new content
+      const sanitizedContent = this.sanitizeInput(content);
+      const mentionedUserIds = await this.resolveMentions(sanitizedContent);
+
+      const result = await session.withTransaction(async () => {
+        // 5. Update comment
+        const updatedComment = await Comment.findByIdAndUpdate(
+          commentId,
+          { content: sanitizedContent, mentionedUserIds },
+          { new: true, runValidators: true, session }
+        )
+          .populate('author', 'name avatarUrl')
+          .populate('mentionedUsers', 'name avatarUrl');
+
+        if (!updatedComment) {
+          throw new Error('Comment not found');
+        }
+
+        // 6. Notify users who are mentioned for the first time
+        const previousMentions = existingComment.mentionedUserIds.map(id => id.toString());
+        const newMentions = mentionedUserIds.filter(id => !previousMentions.includes(id.toString()));
+
+        if (newMentions.length > 0) {
+          await notificationService.notify(newMentions.map(recipientId => ({
+            recipientId,
+            actorId: existingComment.authorId,
+            type: NotificationType.MENTION,
+            [field]: target._id,
+            commentId: updatedComment._id,
+            context: { actorName: updatedComment.author?.name, title: target.title }
+          })), { session });
+        }
+
+        // 7. Publish the edit with the transaction
+        await eventBus.publish(DomainEventType.COMMENT_UPDATED, {
+          [field]: targetId,
+          commentId: updatedComment._id,
+          actorId: userId,
+          targetType
+        }, session);
+
+        return updatedComment;
+      });
+
+      return result.toObject();
+    } catch (error) {
+      console.error('Database error in updateComment:', error);
+
+      if (error.message.includes('not found') ||
+          error.message.includes('Invalid') ||
+          error.message.includes('Unauthorized')) {
+        throw error;
+      }
+
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(err => err.message);
+        throw new Error(messages.join(', '));
+      }
+
+      throw new Error('Failed to update comment');
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Deletes a comment and all replies below it
+   */
+  async deleteComment(targetType, targetId, commentId, userId, userRole) {
+    const { model, field } = this.getTargetConfig(targetType);
+    const session = await mongoose.startSession();
+
+    try {
+      // 1. Verify target exists (comments on trashed content go with it)
+      await this.verifyTargetExists(targetType, targetId);
+
+      // 2. Get existing comment
+      const existingComment = await this.findTargetComment(targetType, targetId, commentId);
+
+      // 3. Check authorization (author, moderator or admin can delete)
+      const isAuthor = existingComment.authorId.toString() === userId;
+      const isModerator = userRole === 'ADMIN' || userRole === 'MODERATOR';
+
+      if (!isAuthor && !isModerator) {
+        throw new Error('Unauthorized: Only the comment author, moderator or admin can delete this comment');
+      }
+
+      const result = await session.withTransaction(async () => {
+        // 4. Delete comment together with its replies; hidden ones are not in the counter
+        const replies = await this.findReplies([existingComment._id], { session });
+        const commentIds = [existingComment._id, ...replies.map(reply => reply._id)];
+        const { deletedCount } = await Comment.deleteMany({ _id: { $in: commentIds }, hiddenAt: null })
+          .session(session);
+        await Comment.deleteMany({ _id: { $in: commentIds } }).session(session);
+
+        // 5. Decrement commentCount counter on the target
+        await model.findByIdAndUpdate(
+          targetId,
+          { $inc: { commentCount: -deletedCount } },
+          { session }
+        );
+
+        // 6. Publish the deletion with the transaction
+        await eventBus.publish(DomainEventType.COMMENT_DELETED, {
+          [field]: targetId,
+          commentId: existingComment._id,
+          actorId: userId,
+          targetType
+        }, session);
+
+        return { message: 'Comment deleted successfully' };
+      });
+
+      return result;
+    } catch (error) {
+      console.error('Database error in deleteComment:', error);
+
+      if (error.message.includes('not found') ||
+          error.message.includes('Invalid') ||
+          error.message.includes('Unauthorized')) {
+        throw error;
+      }
+
+      throw new Error('Failed to delete comment');
+    } finally {
+      await session.endSession();
+    }
+  }
+}
+
+export default new CommentService();
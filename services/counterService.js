@@ -0,0 +1,166 @@
+import { Idea, SubIdea, Proposal, Prototype, Vote, Comment } from '../models/index.js';
+
+// Number of document updates sent to MongoDB per bulkWrite call
+const BULK_WRITE_BATCH_SIZE = 500;
+
+class CounterService {
+  /**
+   * Totals upvotes and downvotes per target for the given Vote field
+   */
+  async aggregateVoteCounts(field) {
+    const counts = await Vote.aggregate([
+      { $match: { [field]: { $ne: null } } },
+      {
+        $group: {
+          _id: `$${field}`,
+          upvotes: { $sum: { $cond: [{ $eq: ['$value', 1] }, 1, 0] } },
+          downvotes: { $sum: { $cond: [{ $eq: ['$value', -1] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    return new Map(counts.map(entry => [entry._id.toString(), entry]));
+  }
+
+  /**
+   * Counts comments per target for the given Comment field. Comments hidden
+   * by a moderator are left out, as they are from comment lists.
+   */
+  async aggregateCommentCounts(field) {
+    const counts = await Comment.aggregate([
+      { $match: { [field]: { $ne: null }, hiddenAt: null } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+  }
+
+  /**
+   * Compares stored counters with the expected values and writes the
+   * differences back in batches
+   */
+  async repairCollection(model, fields, computeExpected) {
+    const report = { checked: 0, repaired: 0 };
+    let operations = [];
+
+    const flush = async () => {
+      if (operations.length > 0) {
+        await model.bulkWrite(operations, { ordered: false });
+        operations = [];
+      }
+    };
+
+    const cursor = model.find().select(fields.join(' ')).lean().cursor();
+
+    for await (const doc of cursor) {
+      report.checked++;
+
+      const expected = computeExpected(doc._id.toString());
+      const changes = Object.fromEntries(
+        fields.filter(field => (doc[field] || 0) !== expected[field])
+          .map(field => [field, expected[field]])
+      );
+
+      if (Object.keys(changes).length > 0) {
+        report.repaired++;
+        operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set: changes } } });
+
+        if (operations.length >= BULK_WRITE_BATCH_SIZE) {
+          await flush();
+        }
+      }
+    }
+
+    await flush();
+    return report;
+  }
+
+  /**
+   * Builds the expected vote counters from an aggregated vote entry
+   */
+  buildVoteCounters(voteCounts) {
+    const upvotes = voteCounts?.upvotes || 0;
+    const downvotes = voteCounts?.downvotes || 0;
+    return { score: upvotes - downvotes, upvotes, downvotes };
+  }
+
+  /**
+   * Recomputes every denormalized counter from the Vote, Comment, Proposal
+   * and Prototype collections and repairs the ones that drifted
+   */
+  async recomputeCounters() {
+    try {
+      const [
+        subIdeaVotes,
+        proposalVotes,
+        prototypeVotes,
+        subIdeaComments,
+        prototypeComments,
+        subIdeas,
+        proposals,
+        prototypes
+      ] = await Promise.all([
+        this.aggregateVoteCounts('subIdeaId'),
+        this.aggregateVoteCounts('proposalId'),
+        this.aggregateVoteCounts('prototypeId'),
+        this.aggregateCommentCounts('subIdeaId'),
+        this.aggregateCommentCounts('prototypeId'),
+        SubIdea.find().select('ideaId').lean(),
+        Proposal.find().select('subIdeaId deletedAt').lean(),
+        Prototype.find().select('proposalId deletedAt').lean()
+      ]);
+
+      // Walk prototype -> proposal -> sub-idea -> idea to total the idea counters
+      const ideaBySubIdea = new Map(subIdeas.map(sub => [sub._id.toString(), sub.ideaId.toString()]));
+      const ideaByProposal = new Map(proposals.map(prop => [
+        prop._id.toString(),
+        ideaBySubIdea.get(prop.subIdeaId.toString())
+      ]));
+
+      // Deleted proposals and prototypes in the trash are not counted
+      const proposalsPerIdea = new Map();
+      proposals.filter(prop => !prop.deletedAt).forEach(prop => {
+        const ideaId = ideaByProposal.get(prop._id.toString());
+        if (ideaId) proposalsPerIdea.set(ideaId, (proposalsPerIdea.get(ideaId) || 0) + 1);
+      });
+
+      const prototypesPerIdea = new Map();
+      prototypes.filter(proto => !proto.deletedAt).forEach(proto => {
+        const ideaId = ideaByProposal.get(proto.proposalId.toString());
+        if (ideaId) prototypesPerIdea.set(ideaId, (prototypesPerIdea.get(ideaId) || 0) + 1);
+      });
+
+      const voteFields = ['score', 'upvotes', 'downvotes'];
+
+      const [ideaReport, subIdeaReport, proposalReport, prototypeReport] = await Promise.all([
+        this.repairCollection(Idea, ['totalProposals', 'totalPrototypes'], id => ({
+          totalProposals: proposalsPerIdea.get(id) || 0,
+          totalPrototypes: prototypesPerIdea.get(id) || 0
+        })),
+        this.repairCollection(SubIdea, [...voteFields, 'commentCount'], id => ({
+          ...this.buildVoteCounters(subIdeaVotes.get(id)),
+          commentCount: subIdeaComments.get(id) || 0
+        })),
+        this.repairCollection(Proposal, voteFields, id => (
+          this.buildVoteCounters(proposalVotes.get(id))
+        )),
+        this.repairCollection(Prototype, [...voteFields, 'commentCount'], id => ({
+          ...this.buildVoteCounters(prototypeVotes.get(id)),
+          commentCount: prototypeComments.get(id) || 0
+        }))
+      ]);
+
+      return {
+        ideas: ideaReport,
+        subIdeas: subIdeaReport,
+        proposals: proposalReport,
+        prototypes: prototypeReport
+      };
+    } catch (error) {
+      console.error('Database error in recomputeCounters:', error);
+      throw new Error('Failed to recompute counters');
+    }
+  }
+}
+
+export default new CounterService();
@@ -0,0 +1,346 @@
+import mongoose from 'mongoose';
+import { Draft, Idea, SubIdea } from '../models/index.js';
+import { DraftEntityType, IdeaType, SubIdeaStatus } from '../models/enums.js';
+import ideaService from './ideaService.js';
+import subIdeaService from './subIdeaService.js';
+import proposalService from './proposalService.js';
+
+// What each kind of draft holds: the content fields it saves, the parent it is
+// written under and how publishing creates it through the owning service
+const DRAFT_TARGETS = {
+  [DraftEntityType.IDEA]: {
+    label: 'Idea',
+    fields: ['title', 'description', 'type', 'potentialDollarValue'],
+    parent: null,
+    publish: (data, authorId) => ideaService.createIdea(data, authorId)
+  },
+  [DraftEntityType.SUB_IDEA]: {
+    label: 'Sub-idea',
+    fields: ['title', 'description', 'status'],
+    parent: { field: 'ideaId', model: Idea, label: 'Parent idea' },
+    publish: (data, authorId) => subIdeaService.createSubIdea(data, authorId)
+  },
+  [DraftEntityType.PROPOSAL]: {
+    label: 'Proposal',
+    fields: ['title', 'description', 'presentationUrl'],
+    parent: { field: 'subIdeaId', model: SubIdea, label: 'Sub-idea' },
+    publish: (data, authorId) => proposalService.createProposal(data, authorId)
+  }
+};
+
+class DraftService {
+  /**
+   * Validates draft content. Only types and upper limits are checked, so a
+   * half-written draft can always be saved.
+   */
+  validateDraftFields(fields) {
+    const { title, description, type, potentialDollarValue, status, presentationUrl } = fields;
+    const errors = [];
+
+    if (title !== undefined) {
+      if (typeof title !== 'string') {
+        errors.push('Title must be a string');
+      } else if (title.length > 200) {
+        errors.push('Title cannot exceed 200 characters');
+      }
+    }
+
+    if (description !== undefined) {
+      if (typeof description !== 'string') {
+        errors.push('Description must be a string');
+      } else if (description.length > 2000) {
+        errors.push('Description cannot exceed 2000 characters');
+      }
+    }
+
+    if (type !== undefined && type !== null && !Object.values(IdeaType).includes(type)) {
+      errors.push('Type must be either IDEATION or SOLUTION_REQUEST');
+    }
+
+    if (potentialDollarValue !== undefined && potentialDollarValue !== null) {
+      if (typeof potentialDollarValue !== 'number' || potentialDollarValue < 0) {
+        errors.push('Potential dollar value must be a positive number');
+      }
+    }
+
+    if (status !== undefined && status !== null && !Object.values(SubIdeaStatus).includes(status)) {
+      errors.push('Status must be either OPEN_FOR_PROTOTYPING or SELF_PROTOTYPING');
+    }
+
+    if (presentationUrl !== undefined && presentationUrl !== null && typeof presentationUrl !== 'string') {
+      errors.push('Presentation URL must be a string');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validates MongoDB ObjectId
+   */
+  validateObjectId(id) {
+    return mongoose.Types.ObjectId.isValid(id);
+  }
+
+  getTargetConfig(entityType) {
+    const config = DRAFT_TARGETS[entityType];
+    if (!config) {
+      throw new Error(`Invalid entity type: must be one of ${Object.keys(DRAFT_TARGETS).join(', ')}`);
+    }
+    return config;
+  }
+
+  /**
+   * Picks the content fields a kind of draft saves, leaving out the ones not given
+   */
+  pickFields(entityType, data) {
+    const { fields } = this.getTargetConfig(entityType);
+    return Object.fromEntries(fields.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+  }
+
+  /**
+   * Loads a draft of the given author; anyone else's draft counts as not found
+   */
+  async findOwnDraft(draftId, authorId) {
+    if (!this.validateObjectId(draftId)) {
+      throw new Error('Invalid draft ID');
+    }
+
+    const draft = await Draft.findOne({ _id: draftId, authorId }).exec();
+    if (!draft) {
+      throw new Error('Draft not found');
+    }
+
+    return draft;
+  }
+
+  /**
+   * Starts a draft of an idea, a sub-idea under an idea or a proposal under a sub-idea
+   */
+  async createDraft(draftData, authorId) {
+    const { entityType } = draftData;
+    const { parent } = this.getTargetConfig(entityType);
+    const fields = this.pickFields(entityType, draftData);
+
+    // Validate input
+    const validationErrors = this.validateDraftFields(fields);
+    if (validationErrors.length > 0) {
+      throw new Error(validationErrors.join(', '));
+    }
+
+    if (!this.validateObjectId(authorId)) {
+      throw new Error('Invalid author ID');
+    }
+
+    const parentId = parent ? draftData[parent.field] : null;
+    if (parent && !parentId) {
+      throw new Error(`${parent.label} ID is required`);
+    }
+    if (parent && !this.validateObjectId(parentId)) {
+      throw new Error(`Invalid ${parent.label.toLowerCase()} ID`);
+    }
+
+    try {
+      if (parent) {
+        const parentDoc = await parent.model.findOne({ _id: parentId, deletedAt: null }).select('_id').exec();
+        if (!parentDoc) {
+          throw new Error(`${parent.label} not found`);
+        }
+      }
+
+      const draft = await Draft.create({
+        entityType,
+        authorId,
+        ...(parent && { [parent.field]: parentId }),
+        ...fields
+      });
+
+      return draft.toObject({ virtuals: true });
+    } catch (error) {
+      console.error('Database error in createDraft:', error);
+
+      if (error.message.includes('not found')) {
+        throw error;
+      }
+
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(err => err.message);
+        throw new Error(messages.join(', '));
+      }
+
+      throw new Error('Failed to create draft');
+    }
+  }
+
+  /**
+   * Gets the author's drafts, most recently saved first
+   */
+  async getDrafts(authorId, filters = {}) {
+    const { entityType, page = 1, limit = 20 } = filters;
+
+    if (entityType) {
+      this.getTargetConfig(entityType);
+    }
+
+    try {
+      const query = { authorId };
+      if (entityType) {
+        query.entityType = entityType;
+      }
+
+      // Pagination
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const limitNum = parseInt(limit);
+
+      const [drafts, totalCount] = await Promise.all([
+        Draft.find(query)
+          .sort({ updatedAt: -1, _id: -1 })
+          .skip(skip)
+          .limit(limitNum)
+          .exec(),
+        Draft.countDocuments(query)
+      ]);
+
+      // Calculate pagination info
+      const totalPages = Math.ceil(totalCount / limitNum);
+      const hasNextPage = page < totalPages;
+      const hasPrevPage = page > 1;
+
+      return {
+        drafts: drafts.map(draft => draft.toObject({ virtuals: true })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage,
+          hasPrevPage,
+          limit: limitNum
+        }
+      };
+    } catch (error) {
+      console.error('Database error in getDrafts:', error);
+      throw new Error('Failed to fetch drafts');
+    }
+  }
+
+  /**
+   * Gets one of the author's drafts
+   */
+  async getDraftById(draftId, authorId) {
+    const draft = await this.findOwnDraft(draftId, authorId);
+    return draft.toObject({ virtuals: true });
+  }
+
+  /**
+   * Saves the given fields of a draft and leaves the rest alone, so it can be
+   * called on every autosave. With a revision, the save is refused if the
+   * draft has been saved from somewhere else since that revision.
+   */
+  async updateDraft(draftId, updateData, authorId) {
+    const { revision } = updateData;
+
+    if (revision !== undefined && (!Number.isInteger(revision) || revision < 1)) {
+      throw new Error('Revision must be a positive integer');
+    }
+
+    const draft = await this.findOwnDraft(draftId, authorId);
+    const fields = this.pickFields(draft.entityType, updateData);
+
+    // Validate input
+    const validationErrors = this.validateDraftFields(fields);
+    if (validationErrors.length > 0) {
+      throw new Error(validationErrors.join(', '));
+    }
+
+    if (revision !== undefined && revision !== draft.revision) {
+      throw new Error(`Draft has changed since revision ${revision} (current revision ${draft.revision})`);
+    }
+
+    // Nothing to save; the draft stays at its revision
+    if (Object.keys(fields).length === 0) {
+      return draft.toObject({ virtuals: true });
+    }
+
+    try {
+      // Matching the revision read above keeps two concurrent saves from both applying
+      const updatedDraft = await Draft.findOneAndUpdate(
+        { _id: draft._id, authorId, revision: draft.revision },
+        { $set: fields, $inc: { revision: 1 } },
+        { new: true, runValidators: true }
+      ).exec();
+
+      if (!updatedDraft) {
+        throw new Error(`Draft has changed since revision ${draft.revision}`);
+      }
+
+      return updatedDraft.toObject({ virtuals: true });
+    } catch (error) {
+      console.error('Database error in updateDraft:', error);
+
+      if (error.message.includes('has changed')) {
+        throw error;
+      }
+
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(err => err.message);
+        throw new Error(messages.join(', '));
+      }
+
+      throw new Error('Failed to update draft');
+    }
+  }
+
+  /**
+   * Discards one of the author's drafts
+   */
+  async deleteDraft(draftId, authorId) {
+    const draft = await this.findOwnDraft(draftId, authorId);
+
+    try {
+      await Draft.deleteOne({ _id: draft._id }).exec();
+      return { message: 'Draft deleted successfully' };
+    } catch (error) {
+      console.error('Database error in deleteDraft:', error);
+      throw new Error('Failed to delete draft');
+    }
+  }
+
+  /**
+   * Publishes a draft through the owning service, which runs the same
+   * validation and checks as creating the content directly. The draft is
+   * removed first so a repeated publish cannot create the content twice, and
+   * put back if publishing fails.
+   */
+  async publishDraft(draftId, authorId) {
+    if (!this.validateObjectId(draftId)) {
+      throw new Error('Invalid draft ID');
+    }
+
+    const draft = await Draft.findOneAndDelete({ _id: draftId, authorId }).exec();
+    if (!draft) {
+      throw new Error('Draft not found');
+    }
+
+    const { fields, parent, publish } = this.getTargetConfig(draft.entityType);
+
+    const data = Object.fromEntries(fields.map(field => [field, draft[field]]));
+    if (parent) {
+      data[parent.field] = draft[parent.field].toString();
+    }
+
+    try {
+      const published = await publish(data, authorId);
+      return { entityType: draft.entityType, draftId: draft._id, published };
+    } catch (error) {
+      // The publish error is what the author needs to see; a failed put-back
+      // is only logged, with the draft so its contents can be recovered
+      try {
+        await new Draft(draft.toObject()).save({ timestamps: false });
+      } catch (restoreError) {
+        console.error('Database error in publishDraft, draft could not be put back:', restoreError, draft.toObject());
+      }
+      throw error;
+    }
+  }
+}
+
+export default new DraftService();
@@ -0,0 +1,270 @@
+import mongoose from 'mongoose';
+import { OutboxEvent } from '../models/index.js';
+import { getRequestContext } from '../middleware/requestContext.js';
+
+// The first retry waits RETRY_BASE_DELAY_MS and each later retry doubles the wait
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 10;
+
+// How often the outbox is checked for events that still have pending subscribers
+const DEFAULT_POLL_INTERVAL_MS = 30 * 1000;
+const POLL_BATCH_SIZE = 100;
+
+// How long a process may hold an event before others consider it abandoned
+const LOCK_DURATION_MS = 60 * 1000;
+
+// Processed events are kept this long before the TTL index removes them
+const DEFAULT_RETENTION_DAYS = 7;
+
+class EventBus {
+  constructor() {
+    this.subscribers = new Map();
+    this.timer = null;
+    this.isPolling = false;
+  }
+
+  getMaxAttempts() {
+    return parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+  }
+
+  getRetentionMs() {
+    const days = parseInt(process.env.OUTBOX_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+    return days * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Registers a handler for one or more event types ('*' for all events).
+   * The name identifies the subscriber in the outbox, so it must be stable.
+   */
+  subscribe(name, types, handler) {
+    if (this.subscribers.has(name)) {
+      throw new Error(`Event subscriber already registered: ${name}`);
+    }
+
+    this.subscribers.set(name, {
+      types: types === '*' ? null : new Set([].concat(types)),
+      handler
+    });
+  }
+
+  /**
+   * Names of the subscribers interested in an event type
+   */
+  getSubscriberNames(type) {
+    return [...this.subscribers.entries()]
+      .filter(([, subscriber]) => !subscriber.types || subscriber.types.has(type))
+      .map(([name]) => name);
+  }
+
+  /**
+   * Shapes an outbox document into the event handed to subscribers
+   */
+  toEvent(outboxEvent) {
+    return {
+      id: outboxEvent._id.toString(),
+      type: outboxEvent.type,
+      payload: outboxEvent.payload,
+      metadata: outboxEvent.metadata,
+      occurredAt: outboxEvent.occurredAt
+    };
+  }
+
+  /**
+   * Publishes a domain event. Inside a transaction, pass its session: the
+   * event is written to the outbox in the same transaction, so it is stored
+   * if and only if the change commits, and it is dispatched once the session
+   * ends. Without a session, call after the change is saved. Subscribers run
+   * in the background and failed ones are retried from the outbox.
+   * Only throws with a session, to abort a transaction whose event was not stored.
+   */
+  async publish(type, payload = {}, session = null) {
+    // Store ids and dates as strings so every subscriber sees the same shape
+    const serializedPayload = JSON.parse(JSON.stringify(payload));
+    const metadata = getRequestContext();
+
+    const doc = {
+      type,
+      payload: serializedPayload,
+      metadata,
+      pendingSubscribers: this.getSubscriberNames(type)
+    };
+
+    if (session) {
+      const [outboxEvent] = await OutboxEvent.create([doc], { session });
+
+      // An aborted attempt leaves no outbox entry, so dispatching it is a no-op
+      session.once('ended', () => this.dispatch(outboxEvent._id));
+      return this.toEvent(outboxEvent);
+    }
+
+    let outboxEvent;
+    try {
+      outboxEvent = await OutboxEvent.create(doc);
+    } catch (error) {
+      console.error('Database error in publish:', error);
+
+      // Without an outbox entry the event cannot be retried; deliver it once.
+      // Subscribers key their writes on the event id, so it still gets a unique one.
+      this.runSubscribers(
+        {
+          id: new mongoose.Types.ObjectId().toString(),
+          type,
+          payload: serializedPayload,
+          metadata,
+          occurredAt: new Date()
+        },
+        doc.pendingSubscribers
+      );
+      return null;
+    }
+
+    this.dispatch(outboxEvent._id);
+    return this.toEvent(outboxEvent);
+  }
+
+  /**
+   * Runs the named subscribers for an event and returns the ones that failed
+   */
+  async runSubscribers(event, names) {
+    const failures = [];
+
+    for (const name of names) {
+      const subscriber = this.subscribers.get(name);
+
+      try {
+        if (!subscriber) {
+          throw new Error('Subscriber is not registered');
+        }
+        await subscriber.handler(event);
+      } catch (error) {
+        console.error(`Event subscriber ${name} failed on ${event.type}:`, error);
+        failures.push({ name, message: error.message });
+      }
+    }
+
+    return failures;
+  }
+
+  /**
+   * Delivers an outbox event to its pending subscribers and records the
+   * outcome. Returns false if another process holds the event.
+   */
+  async dispatch(eventId) {
+    try {
+      const now = new Date();
+
+      // Lock the event so concurrent dispatchers skip it
+      const outboxEvent = await OutboxEvent.findOneAndUpdate(
+        {
+          _id: eventId,
+          processedAt: null,
+          failedAt: null,
+          $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+        },
+        { lockedUntil: new Date(now.getTime() + LOCK_DURATION_MS) },
+        { new: true }
+      ).exec();
+
+      if (!outboxEvent) {
+        return false;
+      }
+
+      const failures = await this.runSubscribers(this.toEvent(outboxEvent), outboxEvent.pendingSubscribers);
+      const finishedAt = new Date();
+
+      if (failures.length === 0) {
+        await OutboxEvent.updateOne({ _id: eventId }, {
+          pendingSubscribers: [],
+          processedAt: finishedAt,
+          lockedUntil: null,
+          expiresAt: new Date(finishedAt.getTime() + this.getRetentionMs())
+        }).exec();
+        return true;
+      }
+
+      const attempts = outboxEvent.attempts + 1;
+      const update = {
+        pendingSubscribers: failures.map(failure => failure.name),
+        attempts,
+        lastError: failures.map(failure => `${failure.name}: ${failure.message}`).join('; ').substring(0, 1000),
+        lockedUntil: null
+      };
+
+      if (attempts >= this.getMaxAttempts()) {
+        update.failedAt = finishedAt;
+      } else {
+        update.nextAttemptAt = new Date(finishedAt.getTime() + RETRY_BASE_DELAY_MS * 2 ** (attempts - 1));
+      }
+
+      await OutboxEvent.updateOne({ _id: eventId }, update).exec();
+      return true;
+    } catch (error) {
+      console.error('Database error in dispatch:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Retries due events that still have pending subscribers
+   */
+  async processPending(now = new Date()) {
+    if (this.isPolling) {
+      return 0;
+    }
+
+    this.isPolling = true;
+    try {
+      const dueEvents = await OutboxEvent.find({
+        processedAt: null,
+        failedAt: null,
+        nextAttemptAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      })
+        .sort({ occurredAt: 1 })
+        .limit(POLL_BATCH_SIZE)
+        .select('_id')
+        .exec();
+
+      let dispatchedCount = 0;
+      for (const { _id } of dueEvents) {
+        if (await this.dispatch(_id)) {
+          dispatchedCount++;
+        }
+      }
+
+      return dispatchedCount;
+    } catch (error) {
+      console.error('Database error in processPending:', error);
+      return 0;
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Starts the outbox poller
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const interval = parseInt(process.env.OUTBOX_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+    this.timer = setInterval(() => this.processPending(), interval);
+
+    // The poller alone should not keep the process alive
+    this.timer.unref();
+  }
+
+  /**
+   * Stops the outbox poller
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+export default new EventBus();
@@ -1,6 +1,17 @@
 import mongoose from 'mongoose';
-import { Idea, User } from '../models/index.js';
-import { IdeaType, IdeaStatus } from '../models/enums.js';
+import { Idea, SubIdea, User } from '../models/index.js';
+import { IdeaType, IdeaStatus, IdeaStage, DomainEventType, AuditEntityType } from '../models/enums.js';
+import {
+  INITIAL_IDEA_STAGE,
+  IDEA_STAGE_TRANSITIONS,
+  OPEN_IDEA_STAGES,
+  IDEA_STATUS_STAGES
+} from '../config/ideaStages.js';
+import rankingService from './rankingService.js';
+import subIdeaService from './subIdeaService.js';
+import cascadeService from './cascadeService.js';
+import revisionService from './revisionService.js';
+import eventBus from './eventBus.js';
 
 class IdeaService {
   /**
@@ -41,7 +52,7 @@ class IdeaService {
   /**
    * Validates idea update input
    */
-  validateIdeaUpdateInput(title, description, potentialDollarValue, status) {
+  validateIdeaUpdateInput(title, description, potentialDollarValue, status, stage) {
     const errors = [];
 
     if (title !== undefined) {
@@ -72,9 +83,71 @@ class IdeaService {
       errors.push('Status must be either OPEN or CLOSED');
     }
 
+    if (stage !== undefined && !Object.values(IdeaStage).includes(stage)) {
+      errors.push(`Stage must be one of ${Object.values(IdeaStage).join(', ')}`);
+    }
+
     return errors;
   }
 
+  /**
+   * Checks a stage change against the allowed transitions of the pipeline
+   */
+  validateStageTransition(fromStage, toStage) {
+    const allowed = IDEA_STAGE_TRANSITIONS[fromStage] || [];
+
+    if (!allowed.includes(toStage)) {
+      throw new Error(`Cannot move an idea from ${fromStage} to ${toStage} (allowed: ${allowed.join(', ') || 'none'})`);
+    }
+  }
+
+  /**
+   * Builds the update that moves an idea to another stage: keeps its status
+   * in step with the stage and records the change in the stage history
+   */
+  buildStageUpdate(fromStage, toStage, actorId, note = null) {
+    return {
+      stage: toStage,
+      status: OPEN_IDEA_STAGES.includes(toStage) ? IdeaStatus.OPEN : IdeaStatus.CLOSED,
+      $push: {
+        stageHistory: { from: fromStage, to: toStage, actorId, note, changedAt: new Date() }
+      }
+    };
+  }
+
+  /**
+   * Explains why an update conditioned on the stage that was read matched no
+   * idea: it was deleted, or another change moved it to a different stage first
+   */
+  async getStageConflict(ideaId) {
+    const idea = await Idea.findOne({ _id: ideaId, deletedAt: null }).select('stage').exec();
+    if (!idea) {
+      return new Error('Idea not found');
+    }
+    return new Error(`Idea stage changed to ${idea.stage} in the meantime, reload it and try again`);
+  }
+
+  /**
+   * Publishes a stage change; a change that also opens or closes the idea is
+   * published as a status change, as before stages existed
+   */
+  async publishStageChange(existingIdea, updatedIdea, actorId, note = null) {
+    const statusChanged = updatedIdea.status !== existingIdea.status;
+
+    await eventBus.publish(statusChanged ? DomainEventType.IDEA_STATUS_CHANGED : DomainEventType.IDEA_STAGE_CHANGED, {
+      ideaId: updatedIdea._id,
+      actorId,
+      title: updatedIdea.title,
+      status: updatedIdea.status,
+      previousStatus: existingIdea.status,
+      stage: updatedIdea.stage,
+      previousStage: existingIdea.stage,
+      note,
+      before: this.toSnapshot(existingIdea),
+      after: this.toSnapshot(updatedIdea)
+    });
+  }
+
   /**
    * Validates ObjectId
    */
@@ -90,6 +163,20 @@ class IdeaService {
     return input.trim().replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '');
   }
 
+  /**
+   * Editable fields of an idea, recorded before and after each change
+   */
+  toSnapshot(idea) {
+    return {
+      title: idea.title,
+      description: idea.description,
+      type: idea.type,
+      potentialDollarValue: idea.potentialDollarValue,
+      status: idea.status,
+      stage: idea.stage
+    };
+  }
+
   /**
    * Creates a new idea
    */
@@ -124,7 +211,9 @@ class IdeaService {
         type,
         potentialDollarValue: potentialDollarValue || null,
         authorId,
-        status: IdeaStatus.OPEN
+        stage: INITIAL_IDEA_STAGE,
+        status: OPEN_IDEA_STAGES.includes(INITIAL_IDEA_STAGE) ? IdeaStatus.OPEN : IdeaStatus.CLOSED,
+        stageHistory: [{ from: null, to: INITIAL_IDEA_STAGE, actorId: authorId }]
       });
 
       const savedIdea = await newIdea.save();
@@ -132,6 +221,14 @@ class IdeaService {
       // Populate author information
       await savedIdea.populate('author', 'name avatarUrl');
 
+      await eventBus.publish(DomainEventType.IDEA_CREATED, {
+        ideaId: savedIdea._id,
+        actorId: authorId,
+        title: savedIdea.title,
+        before: null,
+        after: this.toSnapshot(savedIdea)
+      });
+
       return savedIdea.toObject();
     } catch (error) {
       console.error('Database error in createIdea:', error);
@@ -161,8 +258,8 @@ class IdeaService {
         sortOrder = 'desc'
       } = filters;
 
-      // Build query
-      const query = {};
+      // Build query; content hidden by moderators is never listed
+      const query = { hiddenAt: null, deletedAt: null };
 
       // Status filter
       if (status && Object.values(IdeaStatus).includes(status.toUpperCase())) {
@@ -199,15 +296,18 @@ class IdeaService {
       const sortOptions = {};
       sortOptions[sortBy] = sortOrder === 'asc' ? 1 : -1;
 
-      // Execute query
+      // Execute query (computed rankings need an aggregation over sub-idea counters)
       const [ideas, totalCount] = await Promise.all([
-        Idea.find(query)
-          .populate('author', 'name avatarUrl')
-          .select('title type description createdAt totalProposals totalPrototypes status potentialDollarValue')
-          .sort(sortOptions)
-          .skip(skip)
-          .limit(limitNum)
-          .exec(),
+        rankingService.isRankingSort(sortBy)
+          ? this.getRankedIdeas(query, { sortBy, sortOrder, skip, limit: limitNum })
+          : Idea.find(query)
+            .populate('author', 'name avatarUrl')
+            .select('title type description createdAt totalProposals totalPrototypes status potentialDollarValue')
+            .sort(sortOptions)
+            .skip(skip)
+            .limit(limitNum)
+            .exec()
+            .then(ideaDocs => ideaDocs.map(idea => idea.toObject())),
         Idea.countDocuments(query)
       ]);
 
@@ -217,7 +317,7 @@ class IdeaService {
       const hasPrevPage = page > 1;
 
       return {
-        ideas: ideas.map(idea => idea.toObject()),
+        ideas,
         pagination: {
           currentPage: parseInt(page),
           totalPages,
@@ -234,18 +334,60 @@ class IdeaService {
   }
 
   /**
-   * Gets a single idea by ID
+   * Gets a page of ideas ranked by the vote and comment activity of their sub-ideas
+   */
+  async getRankedIdeas(query, { sortBy, sortOrder, skip, limit }) {
+    const matchStage = { ...query };
+    if (matchStage.authorId) {
+      matchStage.authorId = new mongoose.Types.ObjectId(matchStage.authorId);
+    }
+
+    return Idea.aggregate([
+      { $match: matchStage },
+      ...rankingService.buildChildCounterStages(SubIdea.collection.name, 'ideaId'),
+      ...rankingService.buildRankingStages(sortBy, sortOrder),
+      { $skip: skip },
+      { $limit: limit },
+      ...rankingService.buildPopulateStages(User.collection.name, 'authorId', 'author', ['name', 'avatarUrl']),
+      {
+        $project: {
+          title: 1,
+          type: 1,
+          description: 1,
+          createdAt: 1,
+          totalProposals: 1,
+          totalPrototypes: 1,
+          status: 1,
+          potentialDollarValue: 1,
+          author: 1,
+          score: 1,
+          upvotes: 1,
+          downvotes: 1,
+          commentCount: 1
+        }
+      }
+    ]);
+  }
+
+  /**
+   * Gets a single idea by ID. Content hidden by a moderator is
+   * only shown to moderators.
    */
-  async getIdeaById(ideaId) {
+  async getIdeaById(ideaId, userRole = null) {
     // Validate ID
     if (!this.validateObjectId(ideaId)) {
       throw new Error('Invalid idea ID');
     }
 
     try {
-      const idea = await Idea.findById(ideaId)
+      const query = { _id: ideaId, deletedAt: null };
+      if (userRole !== 'ADMIN' && userRole !== 'MODERATOR') {
+        query.hiddenAt = null;
+      }
+
+      const idea = await Idea.findOne(query)
         .populate('author', 'name avatarUrl')
-        .select('title description potentialDollarValue createdAt status type totalProposals totalPrototypes')
+        .select('title description potentialDollarValue createdAt status stage type totalProposals totalPrototypes')
         .exec();
 
       if (!idea) {
@@ -274,7 +416,7 @@ class IdeaService {
     }
 
     // Find existing idea
-    const existingIdea = await Idea.findById(ideaId).exec();
+    const existingIdea = await Idea.findOne({ _id: ideaId, deletedAt: null }).exec();
     if (!existingIdea) {
       throw new Error('Idea not found');
     }
@@ -284,14 +426,24 @@ class IdeaService {
       throw new Error('Unauthorized to update this idea');
     }
 
-    const { title, description, potentialDollarValue, status } = updateData;
+    const { title, description, potentialDollarValue, status, stage, revertedFrom } = updateData;
 
     // Validate input
-    const validationErrors = this.validateIdeaUpdateInput(title, description, potentialDollarValue, status);
+    const validationErrors = this.validateIdeaUpdateInput(title, description, potentialDollarValue, status, stage);
     if (validationErrors.length > 0) {
       throw new Error(validationErrors.join(', '));
     }
 
+    // A new stage, or only a new status from clients that predate stages, moves the idea along the pipeline
+    let targetStage = stage;
+    if (targetStage === undefined && status !== undefined && status !== existingIdea.status) {
+      targetStage = IDEA_STATUS_STAGES[status];
+    }
+    const stageChanged = targetStage !== undefined && targetStage !== existingIdea.stage;
+    if (stageChanged) {
+      this.validateStageTransition(existingIdea.stage, targetStage);
+    }
+
     try {
       const updateFields = {};
 
@@ -304,22 +456,52 @@ class IdeaService {
       if (potentialDollarValue !== undefined) {
         updateFields.potentialDollarValue = potentialDollarValue;
       }
-      if (status !== undefined) {
-        updateFields.status = status;
+      if (stageChanged) {
+        Object.assign(updateFields, this.buildStageUpdate(existingIdea.stage, targetStage, userId));
       }
 
-      const updatedIdea = await Idea.findByIdAndUpdate(
-        ideaId,
+      // A stage move only applies to the stage it was checked against
+      const filter = { _id: ideaId, deletedAt: null };
+      if (stageChanged) {
+        filter.stage = existingIdea.stage;
+      }
+
+      const updatedIdea = await Idea.findOneAndUpdate(
+        filter,
         updateFields,
         { new: true, runValidators: true }
       )
         .populate('author', 'name avatarUrl')
         .exec();
 
+      if (!updatedIdea) {
+        throw await this.getStageConflict(ideaId);
+      }
+
+      await revisionService.recordRevision(AuditEntityType.IDEA, existingIdea, updatedIdea, userId, revertedFrom);
+
+      if (stageChanged) {
+        await this.publishStageChange(existingIdea, updatedIdea, userId);
+      } else {
+        await eventBus.publish(DomainEventType.IDEA_UPDATED, {
+          ideaId: updatedIdea._id,
+          actorId: userId,
+          title: updatedIdea.title,
+          status: updatedIdea.status,
+          previousStatus: existingIdea.status,
+          before: this.toSnapshot(existingIdea),
+          after: this.toSnapshot(updatedIdea)
+        });
+      }
+
       return updatedIdea.toObject();
     } catch (error) {
       console.error('Database error in updateIdea:', error);
-      
+
+      if (error.message.includes('not found') || error.message.includes('stage changed')) {
+        throw error;
+      }
+
       if (error.name === 'ValidationError') {
         const messages = Object.values(error.errors).map(err => err.message);
         throw new Error(messages.join(', '));
@@ -330,31 +512,293 @@ class IdeaService {
   }
 
   /**
-   * Deletes an idea
+   * Moves an idea to another stage of the pipeline and records who moved it and why
    */
-  async deleteIdea(ideaId, userId, userRole) {
-    // Validate ID
+  async changeIdeaStage(ideaId, stageData, userId, userRole) {
+    const { stage, note } = stageData;
+
+    // Validate input
     if (!this.validateObjectId(ideaId)) {
       throw new Error('Invalid idea ID');
     }
 
+    if (!Object.values(IdeaStage).includes(stage)) {
+      throw new Error(`Invalid stage: must be one of ${Object.values(IdeaStage).join(', ')}`);
+    }
+
+    if (note !== undefined && note !== null &&
+        (typeof note !== 'string' || note.trim().length > 500)) {
+      throw new Error('Note must be a string of at most 500 characters');
+    }
+
     // Find existing idea
-    const existingIdea = await Idea.findById(ideaId).exec();
+    const existingIdea = await Idea.findOne({ _id: ideaId, deletedAt: null }).exec();
     if (!existingIdea) {
       throw new Error('Idea not found');
     }
 
-    // Check authorization (only author or admin can delete)
+    // Check authorization (only author or admin can change the stage)
     if (existingIdea.authorId.toString() !== userId && userRole !== 'ADMIN') {
+      throw new Error('Unauthorized to change the stage of this idea');
+    }
+
+    if (existingIdea.stage === stage) {
+      throw new Error(`Idea is already in stage ${stage}`);
+    }
+
+    this.validateStageTransition(existingIdea.stage, stage);
+
+    try {
+      const sanitizedNote = note ? this.sanitizeInput(note) : null;
+
+      // Only move the idea from the stage the move was checked against
+      const updatedIdea = await Idea.findOneAndUpdate(
+        { _id: ideaId, deletedAt: null, stage: existingIdea.stage },
+        this.buildStageUpdate(existingIdea.stage, stage, userId, sanitizedNote),
+        { new: true, runValidators: true }
+      )
+        .populate('author', 'name avatarUrl')
+        .exec();
+
+      if (!updatedIdea) {
+        throw await this.getStageConflict(ideaId);
+      }
+
+      await this.publishStageChange(existingIdea, updatedIdea, userId, sanitizedNote);
+
+      return updatedIdea.toObject();
+    } catch (error) {
+      console.error('Database error in changeIdeaStage:', error);
+
+      if (error.message.includes('not found') || error.message.includes('stage changed')) {
+        throw error;
+      }
+
+      throw new Error('Failed to change idea stage');
+    }
+  }
+
+  /**
+   * Gets an idea's current stage, the stages it may move to next and its stage history
+   */
+  async getIdeaStageHistory(ideaId) {
+    // Validate ID
+    if (!this.validateObjectId(ideaId)) {
+      throw new Error('Invalid idea ID');
+    }
+
+    try {
+      const idea = await Idea.findOne({ _id: ideaId, deletedAt: null })
+        .populate('stageHistory.actor', 'name avatarUrl')
+        .select('title status stage stageHistory')
+        .exec();
+
+      if (!idea) {
+        throw new Error('Idea not found');
+      }
+
+      return {
+        stage: idea.stage,
+        status: idea.status,
+        nextStages: IDEA_STAGE_TRANSITIONS[idea.stage] || [],
+        // Oldest first; ideas created before stages existed have no history
+        history: idea.stageHistory.map(change => change.toObject({ virtuals: true }))
+      };
+    } catch (error) {
+      console.error('Database error in getIdeaStageHistory:', error);
+
+      if (error.message === 'Idea not found') {
+        throw error;
+      }
+
+      throw new Error('Failed to fetch idea stage history');
+    }
+  }
+
+  /**
+   * Finds an idea the user may delete
+   */
+  async findDeletableIdea(ideaId, userId, userRole) {
+    // Validate ID
+    if (!this.validateObjectId(ideaId)) {
+      throw new Error('Invalid idea ID');
+    }
+
+    // Find existing idea
+    const existingIdea = await Idea.findOne({ _id: ideaId, deletedAt: null }).exec();
+    if (!existingIdea) {
+      throw new Error('Idea not found');
+    }
+
+    // Check authorization (only author, moderator or admin can delete)
+    if (existingIdea.authorId.toString() !== userId && userRole !== 'ADMIN' && userRole !== 'MODERATOR') {
       throw new Error('Unauthorized to delete this idea');
     }
 
+    return existingIdea;
+  }
+
+  /**
+   * Dry run of deleteIdea: lists the sub-ideas, proposals and prototypes that
+   * would be deleted with the idea and counts their votes and comments
+   */
+  async getIdeaDeletionPreview(ideaId, userId, userRole) {
+    const existingIdea = await this.findDeletableIdea(ideaId, userId, userRole);
+
+    try {
+      const subIdeas = await SubIdea.find({ ideaId: existingIdea._id, deletedAt: null }).exec();
+      const subIdeaIds = subIdeas.map(subIdea => subIdea._id);
+      const descendants = await cascadeService.findDescendants(subIdeaIds);
+
+      return {
+        idea: { id: existingIdea._id, title: existingIdea.title },
+        ...await cascadeService.describe(subIdeas, descendants, subIdeaIds)
+      };
+    } catch (error) {
+      console.error('Database error in getIdeaDeletionPreview:', error);
+      throw new Error('Failed to preview idea deletion');
+    }
+  }
+
+  /**
+   * Deletes an idea together with its sub-ideas, their proposals and the
+   * prototypes of those, in one transaction. Everything is moved to the
+   * trash and purged once the retention period has passed.
+   */
+  async deleteIdea(ideaId, userId, userRole) {
+    const existingIdea = await this.findDeletableIdea(ideaId, userId, userRole);
+
+    const session = await mongoose.startSession();
+
     try {
-      await Idea.findByIdAndDelete(ideaId).exec();
-      return { message: 'Idea deleted successfully' };
+      const result = await session.withTransaction(async () => {
+        const deletion = { deletedAt: new Date(), deletedBy: userId };
+
+        // 1. Find everything under the idea
+        const subIdeas = await SubIdea.find({ ideaId: existingIdea._id, deletedAt: null }).session(session);
+        const subIdeaIds = subIdeas.map(subIdea => subIdea._id);
+        const descendants = await cascadeService.findDescendants(subIdeaIds, { session });
+
+        // 2. Move the idea and its descendants to the trash
+        await Idea.findByIdAndUpdate(ideaId, deletion, { session });
+        await SubIdea.updateMany({ _id: { $in: subIdeaIds } }, deletion, { session });
+        await cascadeService.trashDescendants(existingIdea._id, descendants, deletion, session);
+
+        // 3. Publish the deletions with the transaction
+        await eventBus.publish(DomainEventType.IDEA_DELETED, {
+          ideaId: existingIdea._id,
+          actorId: userId,
+          title: existingIdea.title,
+          before: this.toSnapshot(existingIdea),
+          after: null
+        }, session);
+
+        for (const subIdea of subIdeas) {
+          await eventBus.publish(DomainEventType.SUBIDEA_DELETED, {
+            ideaId: existingIdea._id,
+            subIdeaId: subIdea._id,
+            actorId: userId,
+            title: subIdea.title,
+            before: subIdeaService.toSnapshot(subIdea),
+            after: null
+          }, session);
+        }
+
+        await cascadeService.publishDescendants(existingIdea._id, descendants, userId, false, session);
+
+        return {
+          message: 'Idea deleted successfully',
+          deleted: {
+            subIdeas: subIdeas.length,
+            proposals: descendants.proposals.length,
+            prototypes: descendants.prototypes.length
+          }
+        };
+      });
+
+      return result;
     } catch (error) {
       console.error('Database error in deleteIdea:', error);
       throw new Error('Failed to delete idea');
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Restores a deleted idea from the trash, along with the sub-ideas,
+   * proposals and prototypes that were deleted with it
+   */
+  async restoreIdea(ideaId, userId) {
+    // Validate ID
+    if (!this.validateObjectId(ideaId)) {
+      throw new Error('Invalid idea ID');
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      const result = await session.withTransaction(async () => {
+        const existingIdea = await Idea.findById(ideaId).session(session);
+        if (!existingIdea) {
+          throw new Error('Idea not found');
+        }
+
+        if (!existingIdea.deletedAt) {
+          throw new Error('Idea is not deleted');
+        }
+
+        // 1. Find what the same delete took with it; anything deleted before stays in the trash
+        const { deletedAt } = existingIdea;
+        const subIdeas = await SubIdea.find({ ideaId: existingIdea._id, deletedAt }).session(session);
+        const subIdeaIds = subIdeas.map(subIdea => subIdea._id);
+        const descendants = await cascadeService.findDescendants(subIdeaIds, { deletedAt, session });
+
+        // 2. Restore the idea and its descendants
+        const restoredIdea = await Idea.findByIdAndUpdate(
+          ideaId,
+          { deletedAt: null, deletedBy: null },
+          { new: true, session }
+        );
+        await SubIdea.updateMany({ _id: { $in: subIdeaIds } }, { deletedAt: null, deletedBy: null }, { session });
+        await cascadeService.restoreDescendants(existingIdea._id, descendants, session);
+
+        // 3. Publish the restores with the transaction
+        await eventBus.publish(DomainEventType.IDEA_RESTORED, {
+          ideaId: restoredIdea._id,
+          actorId: userId,
+          title: restoredIdea.title,
+          before: null,
+          after: this.toSnapshot(restoredIdea)
+        }, session);
+
+        for (const subIdea of subIdeas) {
+          await eventBus.publish(DomainEventType.SUBIDEA_RESTORED, {
+            ideaId: restoredIdea._id,
+            subIdeaId: subIdea._id,
+            actorId: userId,
+            title: subIdea.title,
+            before: null,
+            after: subIdeaService.toSnapshot(subIdea)
+          }, session);
+        }
+
+        await cascadeService.publishDescendants(restoredIdea._id, descendants, userId, true, session);
+
+        return restoredIdea.toObject();
+      });
+
+      return result;
+    } catch (error) {
+      console.error('Database error in restoreIdea:', error);
+
+      if (error.message.includes('not found') || error.message.includes('not deleted')) {
+        throw error;
+      }
+
+      throw new Error('Failed to restore idea');
+    } finally {
+      await session.endSession();
     }
   }
 
@@ -374,7 +818,10 @@ class IdeaService {
    */
   async getIdeaStats(authorId = null) {
     try {
-      const matchStage = authorId ? { authorId: new mongoose.Types.ObjectId(authorId) } : {};
+      const matchStage = { deletedAt: null };
+      if (authorId) {
+        matchStage.authorId = new mongoose.Types.ObjectId(authorId);
+      }
 
       const stats = await Idea.aggregate([
         { $match: matchStage },
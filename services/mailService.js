@@ -0,0 +1,254 @@
+import nodemailer from 'nodemailer';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { renderTemplate } from './mailTemplates.js';
+
+// The first retry waits RETRY_BASE_DELAY_MS and each later retry doubles the wait
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_OUTBOX_DIR = 'outbox';
+
+/**
+ * Delivers mail through an SMTP server configured by the EMAIL_* variables
+ */
+class SmtpTransport {
+  constructor() {
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host: process.env.EMAIL_HOST,           // e.g., smtp.gmail.com or smtp.sendgrid.net
+      port: parseInt(process.env.EMAIL_PORT) || 587, // 465 (SSL) or 587 (TLS)
+      secure: process.env.EMAIL_SECURE === 'true', // true for 465, false for 587
+      auth: {
+        user: process.env.EMAIL_USER,         // Your email username
+        pass: process.env.EMAIL_PASS          // Your email password or app password
+      }
+    });
+  }
+
+  async send(message) {
+    await this.transporter.sendMail(message);
+  }
+}
+
+/**
+ * Writes each message as a JSON file into a local outbox directory
+ */
+class FileOutboxTransport {
+  constructor(directory = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR) {
+    this.name = 'file';
+    this.directory = path.resolve(directory);
+  }
+
+  async send(message) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const fileName = `${Date.now()}-${message.id}.json`;
+    await fs.writeFile(
+      path.join(this.directory, fileName),
+      JSON.stringify({ ...message, savedAt: new Date().toISOString() }, null, 2)
+    );
+
+    console.log(`📧 Email "${message.subject}" to ${message.to} written to ${path.join(this.directory, fileName)}`);
+  }
+}
+
+/**
+ * Prints each message to the console
+ */
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(message) {
+    console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+}
+
+/**
+ * Keeps messages in memory so tests can inspect them
+ */
+class MemoryTransport {
+  constructor() {
+    this.name = 'memory';
+    this.messages = [];
+  }
+
+  async send(message) {
+    this.messages.push(message);
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+const TRANSPORTS = {
+  smtp: SmtpTransport,
+  file: FileOutboxTransport,
+  console: ConsoleTransport,
+  memory: MemoryTransport
+};
+
+class MailService {
+  constructor() {
+    this.transport = null;
+
+    // Messages waiting to be retried, ordered by nextAttemptAt
+    this.retryQueue = [];
+    this.retryTimer = null;
+  }
+
+  /**
+   * Picks the transport from MAIL_TRANSPORT, falling back to SMTP when
+   * EMAIL_HOST is set and to the file outbox otherwise. Production has no
+   * fallback: mail written to local disk would never reach its recipient.
+   */
+  createTransport(name = process.env.MAIL_TRANSPORT) {
+    if (!name && !process.env.EMAIL_HOST && process.env.NODE_ENV === 'production') {
+      throw new Error('Mail is not configured: set MAIL_TRANSPORT or EMAIL_HOST in production');
+    }
+
+    const transportName = name || (process.env.EMAIL_HOST ? 'smtp' : 'file');
+    const Transport = TRANSPORTS[transportName];
+
+    if (!Transport) {
+      throw new Error(`Invalid mail transport: ${transportName}`);
+    }
+
+    return new Transport();
+  }
+
+  /**
+   * Gets the active transport, creating it on first use
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = this.createTransport();
+    }
+    return this.transport;
+  }
+
+  /**
+   * Replaces the active transport (e.g. with a MemoryTransport in tests)
+   */
+  setTransport(transport) {
+    this.transport = typeof transport === 'string' ? this.createTransport(transport) : transport;
+  }
+
+  /**
+   * Maximum number of delivery attempts per message
+   */
+  getMaxAttempts() {
+    return parseInt(process.env.MAIL_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+  }
+
+  /**
+   * Builds a message from a template
+   */
+  buildMessage(templateName, to, data = {}, headers = {}) {
+    const { subject, text, html } = renderTemplate(templateName, data);
+
+    return {
+      id: crypto.randomUUID(),
+      from: process.env.FROM_EMAIL || '"Your App" <no-reply@yourapp.com>',
+      to,
+      subject,
+      text,
+      html,
+      headers,
+      template: templateName
+    };
+  }
+
+  /**
+   * Renders and sends a templated email. Failed sends are queued for retry
+   * instead of failing the caller.
+   */
+  async sendTemplate(templateName, to, data = {}, { headers = {} } = {}) {
+    const message = this.buildMessage(templateName, to, data, headers);
+    return this.deliver(message, 1);
+  }
+
+  /**
+   * Attempts delivery of a message and schedules a retry if it fails
+   */
+  async deliver(message, attempt) {
+    try {
+      await this.getTransport().send(message);
+      return { id: message.id, status: 'sent', attempts: attempt };
+    } catch (error) {
+      console.error(`Email sending error (attempt ${attempt}) for ${message.to}:`, error.message);
+
+      if (attempt >= this.getMaxAttempts()) {
+        console.error(`Giving up on email ${message.id} to ${message.to} after ${attempt} attempts`);
+        return { id: message.id, status: 'failed', attempts: attempt };
+      }
+
+      this.enqueueRetry(message, attempt + 1);
+      return { id: message.id, status: 'queued', attempts: attempt };
+    }
+  }
+
+  /**
+   * Adds a message to the retry queue with exponential backoff
+   */
+  enqueueRetry(message, attempt) {
+    const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 2);
+
+    this.retryQueue.push({ message, attempt, nextAttemptAt: Date.now() + delay });
+    this.retryQueue.sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+
+    // Re-arm the timer in case this message is due before the current one fires
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+    this.scheduleRetry();
+  }
+
+  /**
+   * Arms the timer for the next due retry
+   */
+  scheduleRetry() {
+    if (this.retryTimer || this.retryQueue.length === 0) {
+      return;
+    }
+
+    const delay = Math.max(0, this.retryQueue[0].nextAttemptAt - Date.now());
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.processRetryQueue();
+    }, delay);
+
+    // Pending retries should not keep the process alive on shutdown
+    this.retryTimer.unref();
+  }
+
+  /**
+   * Retries every message that is due
+   */
+  async processRetryQueue() {
+    const now = Date.now();
+    const due = this.retryQueue.filter(entry => entry.nextAttemptAt <= now);
+    this.retryQueue = this.retryQueue.filter(entry => entry.nextAttemptAt > now);
+
+    for (const entry of due) {
+      await this.deliver(entry.message, entry.attempt);
+    }
+
+    this.scheduleRetry();
+  }
+
+  /**
+   * Gets the number of messages waiting for a retry
+   */
+  getPendingRetryCount() {
+    return this.retryQueue.length;
+  }
+}
+
+export { SmtpTransport, FileOutboxTransport, ConsoleTransport, MemoryTransport };
+
+export default new MailService();
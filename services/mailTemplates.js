@@ -0,0 +1,124 @@
+/**
+ * Escapes a value for safe interpolation into HTML
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Builds the unsubscribe footer in text and HTML
+ */
+const unsubscribeFooter = (unsubscribeUrl) => ({
+  text: `\n\nTo stop these emails, open: ${unsubscribeUrl}`,
+  html: `<p style="font-size: 12px; color: #666;"><a href="${escapeHtml(unsubscribeUrl)}" target="_blank">Unsubscribe</a> from these emails.</p>`
+});
+
+/**
+ * Wraps template body HTML in the shared email layout
+ */
+const layout = (title, body) => `
+  <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+    <h2>${escapeHtml(title)}</h2>
+    ${body}
+  </div>
+`;
+
+// Each template turns data into a subject with text and HTML variants
+const templates = {
+  passwordReset: ({ resetUrl }) => ({
+    subject: 'Password Reset Request',
+    text: [
+      'You requested a password reset. Open the link below to reset your password:',
+      '',
+      resetUrl,
+      '',
+      'This link will expire in 1 hour.',
+      "If you didn't request this, please ignore this email."
+    ].join('\n'),
+    html: layout('Password Reset Request', `
+      <p>You requested a password reset. Click the link below to reset your password:</p>
+      <a href="${escapeHtml(resetUrl)}" target="_blank" style="color: blue;">Reset Password</a>
+      <p>This link will expire in 1 hour.</p>
+      <p>If you didn't request this, please ignore this email.</p>
+    `)
+  }),
+
+  emailVerification: ({ verifyUrl }) => ({
+    subject: 'Verify Your Email Address',
+    text: [
+      'Thanks for signing up. Open the link below to verify your email address:',
+      '',
+      verifyUrl,
+      '',
+      'This link will expire in 24 hours.',
+      "If you didn't create an account, please ignore this email."
+    ].join('\n'),
+    html: layout('Verify Your Email Address', `
+      <p>Thanks for signing up. Click the link below to verify your email address:</p>
+      <a href="${escapeHtml(verifyUrl)}" target="_blank" style="color: blue;">Verify Email</a>
+      <p>This link will expire in 24 hours.</p>
+      <p>If you didn't create an account, please ignore this email.</p>
+    `)
+  }),
+
+  notification: ({ message, link, unsubscribeUrl }) => {
+    const footer = unsubscribeFooter(unsubscribeUrl);
+
+    return {
+      subject: message.length > 80 ? `${message.substring(0, 77)}...` : message,
+      text: `${message}\n\nView it here: ${link}${footer.text}`,
+      html: layout('New Notification', `
+        <p>${escapeHtml(message)}</p>
+        <a href="${escapeHtml(link)}" target="_blank" style="color: blue;">View Notification</a>
+        ${footer.html}
+      `)
+    };
+  },
+
+  notificationDigest: ({ name, frequency, notifications, totalCount = notifications.length, link, unsubscribeUrl }) => {
+    const footer = unsubscribeFooter(unsubscribeUrl);
+    const remaining = totalCount - notifications.length;
+
+    return {
+      subject: `Your ${frequency === 'WEEKLY' ? 'weekly' : 'daily'} digest: ${totalCount} new notification${totalCount === 1 ? '' : 's'}`,
+      text: [
+        `Hi ${name},`,
+        '',
+        'Here is what happened since your last digest:',
+        '',
+        ...notifications.map(notification => `- ${notification.message}`),
+        ...(remaining > 0 ? [`...and ${remaining} more`] : []),
+        '',
+        `View all notifications: ${link}`
+      ].join('\n') + footer.text,
+      html: layout(`Your ${frequency === 'WEEKLY' ? 'Weekly' : 'Daily'} Digest`, `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>Here is what happened since your last digest:</p>
+        <ul>
+          ${notifications.map(notification => `<li>${escapeHtml(notification.message)}</li>`).join('')}
+        </ul>
+        ${remaining > 0 ? `<p>...and ${remaining} more</p>` : ''}
+        <a href="${escapeHtml(link)}" target="_blank" style="color: blue;">View All Notifications</a>
+        ${footer.html}
+      `)
+    };
+  }
+};
+
+/**
+ * Renders a named template with the given data
+ */
+export const renderTemplate = (name, data = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+};
+
+export { escapeHtml, layout };
+
+export default templates;
@@ -0,0 +1,513 @@
+import mongoose from 'mongoose';
+import {
+  Idea,
+  SubIdea,
+  Proposal,
+  Prototype,
+  Comment,
+  Report,
+  ModerationDecision
+} from '../models/index.js';
+import { ModerationTargetType, ModerationAction, ReportStatus, DomainEventType } from '../models/enums.js';
+import ideaService from './ideaService.js';
+import subIdeaService from './subIdeaService.js';
+import proposalService from './proposalService.js';
+import prototypeService from './prototypeService.js';
+import commentService from './commentService.js';
+import eventBus from './eventBus.js';
+
+// Reportable content: its model, a label for messages, the field shown in the
+// queue, how a moderator deletes it through the owning service, the events
+// published when it is hidden or unhidden and the ids those events carry
+const MODERATION_TARGETS = {
+  [ModerationTargetType.IDEA]: {
+    model: Idea,
+    label: 'Idea',
+    textField: 'title',
+    remove: (doc, userId, userRole) => ideaService.deleteIdea(doc._id.toString(), userId, userRole),
+    hiddenEvent: DomainEventType.IDEA_HIDDEN,
+    unhiddenEvent: DomainEventType.IDEA_UNHIDDEN,
+    refs: doc => ({ ideaId: doc._id })
+  },
+  [ModerationTargetType.SUB_IDEA]: {
+    model: SubIdea,
+    label: 'Sub-idea',
+    textField: 'title',
+    remove: (doc, userId, userRole) => subIdeaService.deleteSubIdea(doc._id.toString(), userId, userRole),
+    hiddenEvent: DomainEventType.SUBIDEA_HIDDEN,
+    unhiddenEvent: DomainEventType.SUBIDEA_UNHIDDEN,
+    refs: doc => ({ ideaId: doc.ideaId, subIdeaId: doc._id })
+  },
+  [ModerationTargetType.PROPOSAL]: {
+    model: Proposal,
+    label: 'Proposal',
+    textField: 'title',
+    remove: (doc, userId, userRole) => proposalService.deleteProposal(doc._id.toString(), userId, userRole),
+    hiddenEvent: DomainEventType.PROPOSAL_HIDDEN,
+    unhiddenEvent: DomainEventType.PROPOSAL_UNHIDDEN,
+    refs: doc => ({ subIdeaId: doc.subIdeaId, proposalId: doc._id })
+  },
+  [ModerationTargetType.PROTOTYPE]: {
+    model: Prototype,
+    label: 'Prototype',
+    textField: 'title',
+    remove: (doc, userId, userRole) => prototypeService.deletePrototype(doc._id.toString(), userId, userRole),
+    hiddenEvent: DomainEventType.PROTOTYPE_HIDDEN,
+    unhiddenEvent: DomainEventType.PROTOTYPE_UNHIDDEN,
+    refs: doc => ({ proposalId: doc.proposalId, prototypeId: doc._id })
+  },
+  [ModerationTargetType.COMMENT]: {
+    model: Comment,
+    label: 'Comment',
+    textField: 'content',
+    remove: (doc, userId, userRole) => doc.subIdeaId
+      ? commentService.deleteComment('subIdea', doc.subIdeaId.toString(), doc._id.toString(), userId, userRole)
+      : commentService.deleteComment('prototype', doc.prototypeId.toString(), doc._id.toString(), userId, userRole),
+    hiddenEvent: DomainEventType.COMMENT_HIDDEN,
+    unhiddenEvent: DomainEventType.COMMENT_UNHIDDEN,
+    refs: doc => doc.subIdeaId
+      ? { subIdeaId: doc.subIdeaId, commentId: doc._id }
+      : { prototypeId: doc.prototypeId, commentId: doc._id },
+    // Hidden comments are not counted in the commentCount of what they are on
+    adjustCounters: (doc, change, session) => doc.subIdeaId
+      ? SubIdea.updateOne({ _id: doc.subIdeaId }, { $inc: { commentCount: change } }, { session, timestamps: false })
+      : Prototype.updateOne({ _id: doc.prototypeId }, { $inc: { commentCount: change } }, { session, timestamps: false })
+  }
+};
+
+// Reasons shown per queue item; the full list is on the item itself
+const QUEUE_REASON_PREVIEW = 5;
+
+// Longest excerpt of the reported content shown in the queue
+const EXCERPT_LENGTH = 200;
+
+class ModerationService {
+  /**
+   * Validates report input
+   */
+  validateReportInput(targetType, targetId, reason) {
+    const errors = [];
+
+    if (!targetType || !MODERATION_TARGETS[targetType]) {
+      errors.push(`Invalid target type: must be one of ${Object.values(ModerationTargetType).join(', ')}`);
+    }
+
+    if (!targetId || !this.validateObjectId(targetId)) {
+      errors.push('Invalid target ID');
+    }
+
+    if (!reason || typeof reason !== 'string' || reason.trim().length < 3) {
+      errors.push('Reason must be at least 3 characters long');
+    }
+
+    if (reason && typeof reason === 'string' && reason.trim().length > 500) {
+      errors.push('Reason cannot exceed 500 characters');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validates MongoDB ObjectId
+   */
+  validateObjectId(id) {
+    return mongoose.Types.ObjectId.isValid(id);
+  }
+
+  /**
+   * Sanitizes input strings
+   */
+  sanitizeInput(input) {
+    if (typeof input !== 'string') return input;
+    return input.trim().replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '');
+  }
+
+  getTargetConfig(targetType) {
+    const config = MODERATION_TARGETS[targetType];
+    if (!config) {
+      throw new Error('Invalid target type');
+    }
+    return config;
+  }
+
+  /**
+   * Loads reported content, hidden or not. Content in the trash counts as not found.
+   */
+  async findTarget(targetType, targetId) {
+    const { model, label } = this.getTargetConfig(targetType);
+
+    if (!this.validateObjectId(targetId)) {
+      throw new Error('Invalid target ID');
+    }
+
+    const target = await model.findOne({ _id: targetId, deletedAt: null }).exec();
+    if (!target) {
+      throw new Error(`${label} not found`);
+    }
+
+    return target;
+  }
+
+  /**
+   * Shapes reported content for moderators
+   */
+  formatTarget(targetType, target) {
+    const { textField } = this.getTargetConfig(targetType);
+    const text = target[textField] || '';
+
+    return {
+      type: targetType,
+      id: target._id.toHexString(),
+      excerpt: text.length > EXCERPT_LENGTH ? `${text.substring(0, EXCERPT_LENGTH)}...` : text,
+      authorId: target.authorId,
+      hiddenAt: target.hiddenAt || null,
+      hiddenBy: target.hiddenBy || null,
+      createdAt: target.createdAt
+    };
+  }
+
+  /**
+   * Reports content for moderation
+   */
+  async createReport(reportData, reporterId) {
+    const { targetType, targetId, reason } = reportData;
+
+    // Validate input
+    const validationErrors = this.validateReportInput(targetType, targetId, reason);
+    if (validationErrors.length > 0) {
+      throw new Error(validationErrors.join(', '));
+    }
+
+    try {
+      const target = await this.findTarget(targetType, targetId);
+
+      if (target.authorId.toString() === reporterId) {
+        throw new Error('You cannot report your own content');
+      }
+
+      const report = await Report.create({
+        targetType,
+        targetId: target._id,
+        reporterId,
+        reason: this.sanitizeInput(reason)
+      });
+
+      return report.toObject();
+    } catch (error) {
+      console.error('Database error in createReport:', error);
+
+      if (error.code === 11000) {
+        throw new Error('You have already reported this content');
+      }
+
+      if (error.message.includes('not found') || error.message.includes('cannot report')) {
+        throw error;
+      }
+
+      throw new Error('Failed to create report');
+    }
+  }
+
+  /**
+   * Gets reported content with open reports, most reported first
+   */
+  async getQueue(filters = {}) {
+    const { targetType, page = 1, limit = 20 } = filters;
+
+    if (targetType && !MODERATION_TARGETS[targetType]) {
+      throw new Error('Invalid target type');
+    }
+
+    try {
+      const matchStage = { status: ReportStatus.OPEN };
+      if (targetType) {
+        matchStage.targetType = targetType;
+      }
+
+      // Pagination
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const limitNum = parseInt(limit);
+
+      const [{ items, total }] = await Report.aggregate([
+        { $match: matchStage },
+        { $sort: { createdAt: -1 } },
+        {
+          $group: {
+            _id: { targetType: '$targetType', targetId: '$targetId' },
+            reportCount: { $sum: 1 },
+            reasons: { $push: '$reason' },
+            firstReportedAt: { $min: '$createdAt' },
+            lastReportedAt: { $max: '$createdAt' }
+          }
+        },
+        {
+          $facet: {
+            items: [
+              { $sort: { reportCount: -1, firstReportedAt: 1, _id: 1 } },
+              { $skip: skip },
+              { $limit: limitNum },
+              {
+                $project: {
+                  _id: 0,
+                  targetType: '$_id.targetType',
+                  targetId: '$_id.targetId',
+                  reportCount: 1,
+                  recentReasons: { $slice: ['$reasons', QUEUE_REASON_PREVIEW] },
+                  firstReportedAt: 1,
+                  lastReportedAt: 1
+                }
+              }
+            ],
+            total: [{ $count: 'count' }]
+          }
+        }
+      ]);
+
+      // Load the reported content, one query per content type
+      const idsByType = new Map();
+      for (const item of items) {
+        idsByType.set(item.targetType, [...(idsByType.get(item.targetType) || []), item.targetId]);
+      }
+
+      const targets = new Map();
+      await Promise.all([...idsByType.entries()].map(async ([type, ids]) => {
+        const docs = await this.getTargetConfig(type).model.find({ _id: { $in: ids }, deletedAt: null }).exec();
+        docs.forEach(doc => targets.set(`${type}:${doc._id}`, this.formatTarget(type, doc)));
+      }));
+
+      const totalCount = total.length > 0 ? total[0].count : 0;
+
+      // Calculate pagination info
+      const totalPages = Math.ceil(totalCount / limitNum);
+      const hasNextPage = page < totalPages;
+      const hasPrevPage = page > 1;
+
+      return {
+        items: items.map(item => ({
+          ...item,
+          // null when the content was deleted outside the moderation queue
+          content: targets.get(`${item.targetType}:${item.targetId}`) || null
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage,
+          hasPrevPage,
+          limit: limitNum
+        }
+      };
+    } catch (error) {
+      console.error('Database error in getQueue:', error);
+      throw new Error('Failed to fetch moderation queue');
+    }
+  }
+
+  /**
+   * Gets reported content with its open reports and past decisions
+   */
+  async getQueueItem(targetType, targetId) {
+    this.getTargetConfig(targetType);
+
+    if (!this.validateObjectId(targetId)) {
+      throw new Error('Invalid target ID');
+    }
+
+    try {
+      const { model } = this.getTargetConfig(targetType);
+
+      const [target, reports, decisions] = await Promise.all([
+        model.findOne({ _id: targetId, deletedAt: null }).exec(),
+        Report.find({ targetType, targetId, status: ReportStatus.OPEN })
+          .populate('reporter', 'name avatarUrl')
+          .sort({ createdAt: -1 })
+          .exec(),
+        ModerationDecision.find({ targetType, targetId })
+          .populate('moderator', 'name avatarUrl')
+          .sort({ createdAt: -1 })
+          .exec()
+      ]);
+
+      if (!target && reports.length === 0 && decisions.length === 0) {
+        throw new Error('Content not found');
+      }
+
+      return {
+        content: target ? this.formatTarget(targetType, target) : null,
+        reports: reports.map(report => report.toObject({ virtuals: true })),
+        decisions: decisions.map(decision => decision.toObject({ virtuals: true }))
+      };
+    } catch (error) {
+      console.error('Database error in getQueueItem:', error);
+
+      if (error.message.includes('not found')) {
+        throw error;
+      }
+
+      throw new Error('Failed to fetch moderation item');
+    }
+  }
+
+  /**
+   * Hides, restores, deletes or dismisses reported content, records the
+   * decision and closes the content's open reports in one transaction.
+   * Deleting goes through the owning service, which has its own transaction;
+   * it runs after the decision is recorded, and the decision is taken back
+   * if the delete fails.
+   */
+  async decide(targetType, targetId, decisionData, moderator) {
+    const { action, note } = decisionData;
+
+    this.getTargetConfig(targetType);
+
+    if (!Object.values(ModerationAction).includes(action)) {
+      throw new Error(`Invalid action: must be one of ${Object.values(ModerationAction).join(', ')}`);
+    }
+
+    if (note !== undefined && note !== null &&
+        (typeof note !== 'string' || note.trim().length > 1000)) {
+      throw new Error('Note must be a string of at most 1000 characters');
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      const { model, remove, hiddenEvent, unhiddenEvent, refs, adjustCounters } = this.getTargetConfig(targetType);
+      const target = await this.findTarget(targetType, targetId);
+
+      const decision = await session.withTransaction(async () => {
+        // The hidden state before and after a hide or restore, for its event
+        let visibility = null;
+
+        if (action === ModerationAction.HIDE) {
+          const hidden = await model.findOneAndUpdate(
+            { _id: target._id, hiddenAt: null },
+            { hiddenAt: new Date(), hiddenBy: moderator.userId },
+            { new: true, timestamps: false, session }
+          ).exec();
+
+          if (!hidden) {
+            throw new Error('Content is already hidden');
+          }
+
+          if (adjustCounters) {
+            await adjustCounters(hidden, -1, session);
+          }
+
+          visibility = {
+            event: hiddenEvent,
+            before: { hiddenAt: null, hiddenBy: null },
+            after: { hiddenAt: hidden.hiddenAt, hiddenBy: hidden.hiddenBy }
+          };
+        } else if (action === ModerationAction.RESTORE) {
+          const restored = await model.findOneAndUpdate(
+            { _id: target._id, hiddenAt: { $ne: null } },
+            { hiddenAt: null, hiddenBy: null },
+            { new: true, timestamps: false, session }
+          ).exec();
+
+          if (!restored) {
+            throw new Error('Content is not hidden');
+          }
+
+          if (adjustCounters) {
+            await adjustCounters(restored, 1, session);
+          }
+
+          visibility = {
+            event: unhiddenEvent,
+            before: { hiddenAt: target.hiddenAt, hiddenBy: target.hiddenBy },
+            after: { hiddenAt: null, hiddenBy: null }
+          };
+        } else if (action === ModerationAction.DISMISS) {
+          const openReports = await Report.countDocuments({ targetType, targetId: target._id, status: ReportStatus.OPEN })
+            .session(session);
+          if (openReports === 0) {
+            throw new Error('Content has no open reports to dismiss');
+          }
+        }
+
+        // Close the open reports against the decision
+        const decisionId = new mongoose.Types.ObjectId();
+        const { modifiedCount } = await Report.updateMany(
+          { targetType, targetId: target._id, status: ReportStatus.OPEN },
+          { status: ReportStatus.RESOLVED, decisionId },
+          { session }
+        ).exec();
+
+        const [created] = await ModerationDecision.create([{
+          _id: decisionId,
+          targetType,
+          targetId: target._id,
+          action,
+          moderatorId: moderator.userId,
+          note: note ? this.sanitizeInput(note) : null,
+          resolvedReportCount: modifiedCount
+        }], { session });
+
+        if (visibility) {
+          await eventBus.publish(visibility.event, {
+            ...refs(target),
+            actorId: moderator.userId,
+            decisionId,
+            before: visibility.before,
+            after: visibility.after
+          }, session);
+        }
+
+        return created;
+      });
+
+      if (action === ModerationAction.DELETE) {
+        try {
+          await remove(target, moderator.userId, moderator.role);
+        } catch (error) {
+          await this.withdrawDecision(decision);
+          throw error;
+        }
+      }
+
+      return decision.toObject();
+    } catch (error) {
+      console.error('Database error in decide:', error);
+
+      if (error.message.includes('not found') ||
+          error.message.includes('Invalid') ||
+          error.message.includes('Unauthorized') ||
+          error.message.includes('Cannot') ||
+          error.message.includes('Content is') ||
+          error.message.includes('no open reports')) {
+        throw error;
+      }
+
+      throw new Error('Failed to record moderation decision');
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Removes a decision and reopens the reports it closed, for a delete that failed
+   */
+  async withdrawDecision(decision) {
+    const session = await mongoose.startSession();
+
+    try {
+      await session.withTransaction(async () => {
+        await Report.updateMany(
+          { decisionId: decision._id },
+          { status: ReportStatus.OPEN, decisionId: null },
+          { session }
+        ).exec();
+
+        await ModerationDecision.deleteOne({ _id: decision._id }, { session }).exec();
+      });
+    } catch (error) {
+      console.error('Database error in withdrawDecision:', error);
+    } finally {
+      await session.endSession();
+    }
+  }
+}
+
+export default new ModerationService();
@@ -0,0 +1,200 @@
+import { Notification, User } from '../models/index.js';
+import { NotificationChannel, DigestFrequency } from '../models/enums.js';
+import mailService from './mailService.js';
+import notificationService from './notificationService.js';
+
+// How often pending notification emails are checked for
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// Time between two digests of the same user
+const DIGEST_PERIOD_MS = {
+  [DigestFrequency.DAILY]: 24 * 60 * 60 * 1000,
+  [DigestFrequency.WEEKLY]: 7 * 24 * 60 * 60 * 1000
+};
+
+// Immediate emails sent per run; the rest wait for the next run
+const IMMEDIATE_BATCH_SIZE = 100;
+
+// Notifications listed in a single digest email
+const MAX_DIGEST_ITEMS = 50;
+
+class NotificationEmailService {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Starts the scheduler (disabled with NOTIFICATION_EMAILS_ENABLED=false)
+   */
+  start() {
+    if (this.timer || process.env.NOTIFICATION_EMAILS_ENABLED === 'false') {
+      return;
+    }
+
+    const interval = parseInt(process.env.NOTIFICATION_EMAIL_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+    this.timer = setInterval(() => this.runOnce(), interval);
+
+    // The scheduler alone should not keep the process alive
+    this.timer.unref();
+  }
+
+  /**
+   * Stops the scheduler
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Sends pending immediate emails and any digests that are due.
+   * Runs never overlap within one process.
+   */
+  async runOnce(now = new Date()) {
+    if (this.isRunning) {
+      return null;
+    }
+
+    this.isRunning = true;
+    try {
+      const immediate = await this.sendImmediateEmails();
+      const digests = await this.sendDueDigests(now);
+      return { immediate, digests };
+    } catch (error) {
+      console.error('Notification email scheduler error:', error);
+      return null;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Link to the notification feed in the frontend
+   */
+  buildNotificationsLink() {
+    return `${process.env.FRONTEND_URL}/notifications`;
+  }
+
+  /**
+   * Headers that let mail clients offer one-click unsubscribe (RFC 8058)
+   */
+  buildUnsubscribeHeaders(unsubscribeUrl) {
+    return {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    };
+  }
+
+  /**
+   * Emails notifications whose recipients chose immediate email
+   */
+  async sendImmediateEmails() {
+    let sentCount = 0;
+
+    for (let i = 0; i < IMMEDIATE_BATCH_SIZE; i++) {
+      // Claim one notification at a time so parallel instances never send it twice
+      const notification = await Notification.findOneAndUpdate(
+        { channel: NotificationChannel.EMAIL, emailedAt: null },
+        { emailedAt: new Date() },
+        { sort: { createdAt: 1 }, new: true }
+      ).exec();
+
+      if (!notification) {
+        break;
+      }
+
+      const recipient = await User.findById(notification.recipientId).select('email').exec();
+      if (!recipient) {
+        continue;
+      }
+
+      const unsubscribeUrl = notificationService.buildUnsubscribeUrl(recipient._id, notification.type);
+      await mailService.sendTemplate('notification', recipient.email, {
+        message: notification.message,
+        link: this.buildNotificationsLink(),
+        unsubscribeUrl
+      }, { headers: this.buildUnsubscribeHeaders(unsubscribeUrl) });
+
+      sentCount++;
+    }
+
+    return sentCount;
+  }
+
+  /**
+   * Batches pending digest notifications into one email per user once the
+   * user's digest period has passed since the last digest (or since the
+   * oldest pending notification, for a first digest)
+   */
+  async sendDueDigests(now = new Date()) {
+    const pendingByRecipient = await Notification.aggregate([
+      { $match: { channel: NotificationChannel.DIGEST, emailedAt: null } },
+      { $group: { _id: '$recipientId', oldestAt: { $min: '$createdAt' } } }
+    ]);
+
+    let sentCount = 0;
+
+    for (const { _id: recipientId, oldestAt } of pendingByRecipient) {
+      const user = await User.findById(recipientId)
+        .select('name email digestFrequency lastDigestSentAt')
+        .exec();
+
+      if (!user) {
+        continue;
+      }
+
+      const period = DIGEST_PERIOD_MS[user.digestFrequency] || DIGEST_PERIOD_MS[DigestFrequency.DAILY];
+      const periodStart = user.lastDigestSentAt || oldestAt;
+      if (now.getTime() - periodStart.getTime() < period) {
+        continue;
+      }
+
+      // Claim this digest; another instance that got here first wins
+      const claimed = await User.findOneAndUpdate(
+        { _id: recipientId, lastDigestSentAt: user.lastDigestSentAt },
+        { lastDigestSentAt: now }
+      ).exec();
+
+      if (!claimed) {
+        continue;
+      }
+
+      const pending = await Notification.find({
+        recipientId,
+        channel: NotificationChannel.DIGEST,
+        emailedAt: null
+      })
+        .sort({ createdAt: -1 })
+        .select('message')
+        .exec();
+
+      if (pending.length === 0) {
+        continue;
+      }
+
+      await Notification.updateMany(
+        { _id: { $in: pending.map(notification => notification._id) } },
+        { emailedAt: now }
+      ).exec();
+
+      const unsubscribeUrl = notificationService.buildUnsubscribeUrl(recipientId);
+      await mailService.sendTemplate('notificationDigest', user.email, {
+        name: user.name,
+        frequency: user.digestFrequency,
+        notifications: pending.slice(0, MAX_DIGEST_ITEMS),
+        totalCount: pending.length,
+        link: this.buildNotificationsLink(),
+        unsubscribeUrl
+      }, { headers: this.buildUnsubscribeHeaders(unsubscribeUrl) });
+
+      sentCount++;
+    }
+
+    return sentCount;
+  }
+}
+
+export default new NotificationEmailService();
@@ -0,0 +1,477 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { Notification, User } from '../models/index.js';
+import { NotificationType, NotificationChannel, DigestFrequency } from '../models/enums.js';
+
+// Unsubscribe scope that switches every email notification type back to in-app
+const UNSUBSCRIBE_ALL = 'all';
+
+// Entity references a notification may carry
+const TARGET_FIELDS = ['ideaId', 'subIdeaId', 'proposalId', 'prototypeId', 'commentId'];
+
+// Builds the feed text for each event from its context
+const MESSAGE_BUILDERS = {
+  [NotificationType.NEW_PROPOSAL]: ({ actorName, title, subIdeaTitle }) =>
+    `${actorName} submitted the proposal "${title}" on your sub-idea "${subIdeaTitle}"`,
+  [NotificationType.PROPOSAL_ACCEPTED]: ({ title }) =>
+    `Your proposal "${title}" was accepted`,
+  [NotificationType.PROPOSAL_REJECTED]: ({ title, rejectionReason }) =>
+    `Your proposal "${title}" was rejected${rejectionReason ? `: ${rejectionReason}` : ''}`,
+  [NotificationType.TEAM_MEMBER_ADDED]: ({ actorName, title }) =>
+    `${actorName} added you to the team of the prototype "${title}"`,
+  [NotificationType.NEW_COMMENT]: ({ actorName, title, isReply }) =>
+    isReply
+      ? `${actorName} replied to your comment on "${title}"`
+      : `${actorName} commented on "${title}"`,
+  [NotificationType.MENTION]: ({ actorName, title }) =>
+    `${actorName} mentioned you in a comment on "${title}"`,
+  [NotificationType.REVIEW_REQUESTED]: ({ actorName, title }) =>
+    `${actorName} asked you to review the proposal "${title}"`
+};
+
+class NotificationService {
+  /**
+   * Validates ObjectId
+   */
+  validateObjectId(id) {
+    return mongoose.Types.ObjectId.isValid(id);
+  }
+
+  /**
+   * Builds the notification text for an event type
+   */
+  buildMessage(type, context = {}) {
+    const builder = MESSAGE_BUILDERS[type];
+    if (!builder) {
+      throw new Error('Invalid notification type');
+    }
+
+    return builder({ actorName: 'Someone', ...context }).substring(0, 500);
+  }
+
+  /**
+   * Looks up the channel each recipient chose for a notification type
+   */
+  async resolveChannels(recipientIds, type, session = null) {
+    const recipients = await User.find({ _id: { $in: recipientIds } })
+      .select('notificationPreferences')
+      .session(session)
+      .exec();
+
+    return new Map(recipients.map(recipient => [
+      recipient._id.toString(),
+      recipient.notificationPreferences?.[type] || NotificationChannel.IN_APP
+    ]));
+  }
+
+  /**
+   * Records notifications for a batch of events. Events without a recipient
+   * and events where users act on their own work are skipped, and each
+   * recipient gets at most one notification per batch (the first listed).
+   * Recipients who turned a notification type off get nothing; the others
+   * get it on the channel from their preferences.
+   *
+   * When a session is given the notifications are written in that
+   * transaction and failures abort it; otherwise failures are logged so the
+   * triggering action still succeeds.
+   */
+  async notify(events, { session = null } = {}) {
+    const seen = new Set();
+
+    const documents = events
+      .filter(event => event.recipientId)
+      .filter(event => !event.actorId || event.actorId.toString() !== event.recipientId.toString())
+      .filter(event => {
+        const key = event.recipientId.toString();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .map(event => ({
+        recipientId: event.recipientId,
+        actorId: event.actorId || null,
+        type: event.type,
+        message: this.buildMessage(event.type, event.context),
+        ...Object.fromEntries(TARGET_FIELDS.map(field => [field, event[field] || null]))
+      }));
+
+    if (documents.length === 0) {
+      return [];
+    }
+
+    try {
+      // Apply each recipient's channel preference for the event type
+      const channelsByType = new Map();
+      for (const type of new Set(documents.map(doc => doc.type))) {
+        const recipientIds = documents.filter(doc => doc.type === type).map(doc => doc.recipientId);
+        channelsByType.set(type, await this.resolveChannels(recipientIds, type, session));
+      }
+
+      const deliverable = documents
+        .map(doc => ({
+          ...doc,
+          channel: channelsByType.get(doc.type).get(doc.recipientId.toString()) || NotificationChannel.IN_APP
+        }))
+        .filter(doc => doc.channel !== NotificationChannel.OFF);
+
+      if (deliverable.length === 0) {
+        return [];
+      }
+
+      return await Notification.insertMany(deliverable, { session });
+    } catch (error) {
+      console.error('Database error in notify:', error);
+
+      if (session) {
+        throw new Error('Failed to create notifications');
+      }
+
+      return [];
+    }
+  }
+
+  /**
+   * Gets a user's notifications, newest first
+   */
+  async getNotifications(userId, filters = {}) {
+    const { page = 1, limit = 20, unreadOnly = false } = filters;
+
+    if (!this.validateObjectId(userId)) {
+      throw new Error('Invalid user ID');
+    }
+
+    try {
+      const query = { recipientId: userId };
+      if (unreadOnly) {
+        query.readAt = null;
+      }
+
+      // Pagination
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const limitNum = parseInt(limit);
+
+      const [notifications, totalCount, unreadCount] = await Promise.all([
+        Notification.find(query)
+          .populate('actor', 'name avatarUrl')
+          .sort({ createdAt: -1, _id: -1 })
+          .skip(skip)
+          .limit(limitNum)
+          .exec(),
+        Notification.countDocuments(query),
+        Notification.countDocuments({ recipientId: userId, readAt: null })
+      ]);
+
+      // Calculate pagination info
+      const totalPages = Math.ceil(totalCount / limitNum);
+      const hasNextPage = page < totalPages;
+      const hasPrevPage = page > 1;
+
+      return {
+        notifications: notifications.map(notification => notification.toObject()),
+        unreadCount,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage,
+          hasPrevPage,
+          limit: limitNum
+        }
+      };
+    } catch (error) {
+      console.error('Database error in getNotifications:', error);
+      throw new Error('Failed to fetch notifications');
+    }
+  }
+
+  /**
+   * Counts a user's unread notifications
+   */
+  async getUnreadCount(userId) {
+    if (!this.validateObjectId(userId)) {
+      throw new Error('Invalid user ID');
+    }
+
+    try {
+      return await Notification.countDocuments({ recipientId: userId, readAt: null });
+    } catch (error) {
+      console.error('Database error in getUnreadCount:', error);
+      throw new Error('Failed to count unread notifications');
+    }
+  }
+
+  /**
+   * Marks one of the user's notifications as read
+   */
+  async markAsRead(notificationId, userId) {
+    if (!this.validateObjectId(notificationId)) {
+      throw new Error('Invalid notification ID');
+    }
+
+    try {
+      const notification = await Notification.findOne({ _id: notificationId, recipientId: userId });
+      if (!notification) {
+        throw new Error('Notification not found');
+      }
+
+      if (!notification.readAt) {
+        notification.readAt = new Date();
+        await notification.save();
+      }
+
+      return notification.toObject();
+    } catch (error) {
+      console.error('Database error in markAsRead:', error);
+
+      if (error.message.includes('not found')) {
+        throw error;
+      }
+
+      throw new Error('Failed to mark notification as read');
+    }
+  }
+
+  /**
+   * Marks all of the user's notifications as read
+   */
+  async markAllAsRead(userId) {
+    if (!this.validateObjectId(userId)) {
+      throw new Error('Invalid user ID');
+    }
+
+    try {
+      const result = await Notification.updateMany(
+        { recipientId: userId, readAt: null },
+        { readAt: new Date() }
+      );
+
+      return { updatedCount: result.modifiedCount };
+    } catch (error) {
+      console.error('Database error in markAllAsRead:', error);
+      throw new Error('Failed to mark notifications as read');
+    }
+  }
+
+  /**
+   * Gets a user's notification preferences
+   */
+  async getPreferences(userId) {
+    if (!this.validateObjectId(userId)) {
+      throw new Error('Invalid user ID');
+    }
+
+    try {
+      const user = await User.findById(userId)
+        .select('notificationPreferences digestFrequency lastDigestSentAt')
+        .exec();
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      return this.formatPreferences(user);
+    } catch (error) {
+      console.error('Database error in getPreferences:', error);
+
+      if (error.message.includes('not found')) {
+        throw error;
+      }
+
+      throw new Error('Failed to fetch notification preferences');
+    }
+  }
+
+  /**
+   * Formats preferences for API responses
+   */
+  formatPreferences(user) {
+    return {
+      preferences: Object.fromEntries(Object.values(NotificationType).map(type => [
+        type,
+        user.notificationPreferences?.[type] || NotificationChannel.IN_APP
+      ])),
+      digestFrequency: user.digestFrequency,
+      lastDigestSentAt: user.lastDigestSentAt
+    };
+  }
+
+  /**
+   * Validates a preferences update
+   */
+  validatePreferencesInput(preferences, digestFrequency) {
+    const errors = [];
+
+    if (preferences !== undefined) {
+      if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+        errors.push('Preferences must be an object of notification type to channel');
+      } else {
+        Object.entries(preferences).forEach(([type, channel]) => {
+          if (!Object.values(NotificationType).includes(type)) {
+            errors.push(`Invalid notification type: ${type}`);
+          } else if (!Object.values(NotificationChannel).includes(channel)) {
+            errors.push(`Invalid channel for ${type}. Must be one of: ${Object.values(NotificationChannel).join(', ')}`);
+          }
+        });
+      }
+    }
+
+    if (digestFrequency !== undefined && !Object.values(DigestFrequency).includes(digestFrequency)) {
+      errors.push(`Digest frequency must be one of: ${Object.values(DigestFrequency).join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Updates a user's per-type channels and digest frequency
+   */
+  async updatePreferences(userId, updateData) {
+    const { preferences, digestFrequency } = updateData;
+
+    const validationErrors = this.validatePreferencesInput(preferences, digestFrequency);
+    if (validationErrors.length > 0) {
+      throw new Error(validationErrors.join(', '));
+    }
+
+    if (!this.validateObjectId(userId)) {
+      throw new Error('Invalid user ID');
+    }
+
+    try {
+      const updateFields = {};
+      Object.entries(preferences || {}).forEach(([type, channel]) => {
+        updateFields[`notificationPreferences.${type}`] = channel;
+      });
+      if (digestFrequency) {
+        updateFields.digestFrequency = digestFrequency;
+      }
+
+      const user = await User.findByIdAndUpdate(
+        userId,
+        { $set: updateFields },
+        { new: true, runValidators: true }
+      ).select('notificationPreferences digestFrequency lastDigestSentAt');
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      return this.formatPreferences(user);
+    } catch (error) {
+      console.error('Database error in updatePreferences:', error);
+
+      if (error.message.includes('not found')) {
+        throw error;
+      }
+
+      throw new Error('Failed to update notification preferences');
+    }
+  }
+
+  /**
+   * Signs the payload of an unsubscribe token
+   */
+  signUnsubscribePayload(payload) {
+    const secret = process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET;
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  }
+
+  /**
+   * Creates a token that turns off email for one notification type (or all)
+   * without logging in. Tokens do not expire; they only ever reduce email.
+   */
+  createUnsubscribeToken(userId, scope = UNSUBSCRIBE_ALL) {
+    const payload = Buffer.from(`${userId.toString()}:${scope}`).toString('base64url');
+    return `${payload}.${this.signUnsubscribePayload(payload)}`;
+  }
+
+  /**
+   * Builds the one-click unsubscribe URL placed in emails
+   */
+  buildUnsubscribeUrl(userId, scope = UNSUBSCRIBE_ALL) {
+    const apiUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`;
+    return `${apiUrl}/api/notifications/unsubscribe?token=${this.createUnsubscribeToken(userId, scope)}`;
+  }
+
+  /**
+   * Verifies an unsubscribe token and returns the user and scope it carries
+   */
+  parseUnsubscribeToken(token) {
+    if (!token || typeof token !== 'string') {
+      throw new Error('Invalid unsubscribe token');
+    }
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) {
+      throw new Error('Invalid unsubscribe token');
+    }
+
+    const expected = Buffer.from(this.signUnsubscribePayload(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new Error('Invalid unsubscribe token');
+    }
+
+    const [userId, scope] = Buffer.from(payload, 'base64url').toString().split(':');
+    const isValidScope = scope === UNSUBSCRIBE_ALL || Object.values(NotificationType).includes(scope);
+    if (!this.validateObjectId(userId) || !isValidScope) {
+      throw new Error('Invalid unsubscribe token');
+    }
+
+    return { userId, scope };
+  }
+
+  /**
+   * Moves email and digest preferences covered by an unsubscribe token back
+   * to the in-app feed, along with notifications of those types that are
+   * still waiting to be emailed
+   */
+  async unsubscribe(token) {
+    const { userId, scope } = this.parseUnsubscribeToken(token);
+
+    try {
+      const user = await User.findById(userId).select('notificationPreferences').exec();
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const types = scope === UNSUBSCRIBE_ALL ? Object.values(NotificationType) : [scope];
+      const updateFields = {};
+      types.forEach(type => {
+        const channel = user.notificationPreferences?.[type];
+        if (channel === NotificationChannel.EMAIL || channel === NotificationChannel.DIGEST) {
+          updateFields[`notificationPreferences.${type}`] = NotificationChannel.IN_APP;
+        }
+      });
+
+      if (Object.keys(updateFields).length > 0) {
+        await User.updateOne({ _id: userId }, { $set: updateFields }).exec();
+      }
+
+      // Otherwise the email jobs would still send what was queued before
+      await Notification.updateMany(
+        {
+          recipientId: userId,
+          type: { $in: types },
+          channel: { $in: [NotificationChannel.EMAIL, NotificationChannel.DIGEST] },
+          emailedAt: null
+        },
+        { channel: NotificationChannel.IN_APP }
+      ).exec();
+
+      return { scope, unsubscribedTypes: Object.keys(updateFields).map(key => key.split('.')[1]) };
+    } catch (error) {
+      console.error('Database error in unsubscribe:', error);
+
+      if (error.message.includes('not found')) {
+        throw error;
+      }
+
+      throw new Error('Failed to unsubscribe');
+    }
+  }
+}
+
+export { UNSUBSCRIBE_ALL };
+
+export default new NotificationService();
@@ -0,0 +1,471 @@
+import mongoose from 'mongoose';
+import { Proposal, ProposalReview, User } from '../models/index.js';
+import { ProposalStatus, NotificationType, DomainEventType } from '../models/enums.js';
+import {
+  REVIEW_CRITERIA,
+  REVIEW_SCORE_MIN,
+  REVIEW_SCORE_MAX,
+  MAX_REVIEWERS,
+  REVIEW_DECISION_RULE
+} from '../config/proposalReview.js';
+import proposalService from './proposalService.js';
+import notificationService from './notificationService.js';
+import eventBus from './eventBus.js';
+
+class ProposalReviewService {
+  /**
+   * Validates review input
+   */
+  validateReviewInput(scores, comment) {
+    const errors = [];
+
+    if (!scores || typeof scores !== 'object' || Array.isArray(scores)) {
+      errors.push(`Scores are required for ${Object.keys(REVIEW_CRITERIA).join(', ')}`);
+    } else {
+      for (const criterion of Object.keys(REVIEW_CRITERIA)) {
+        const score = scores[criterion];
+        if (!Number.isInteger(score) || score < REVIEW_SCORE_MIN || score > REVIEW_SCORE_MAX) {
+          errors.push(`Score for ${criterion} must be a whole number from ${REVIEW_SCORE_MIN} to ${REVIEW_SCORE_MAX}`);
+        }
+      }
+
+      const unknown = Object.keys(scores).filter(criterion => !REVIEW_CRITERIA[criterion]);
+      if (unknown.length > 0) {
+        errors.push(`Invalid criteria: ${unknown.join(', ')}`);
+      }
+    }
+
+    if (comment !== undefined && comment !== null) {
+      if (typeof comment !== 'string') {
+        errors.push('Comment must be a string');
+      } else if (comment.trim().length > 2000) {
+        errors.push('Comment cannot exceed 2000 characters');
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validates MongoDB ObjectId
+   */
+  validateObjectId(id) {
+    return mongoose.Types.ObjectId.isValid(id);
+  }
+
+  /**
+   * Sanitizes input strings
+   */
+  sanitizeInput(input) {
+    if (typeof input !== 'string') return input;
+    return input.trim().replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '');
+  }
+
+  /**
+   * Rounds an average for display
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * Overall score of one review: the mean of its criteria, with the criteria
+   * where lower is better flipped so a higher overall score is always better
+   */
+  getOverallScore(scores) {
+    const criteria = Object.entries(REVIEW_CRITERIA);
+    const total = criteria.reduce((sum, [criterion, { lowerIsBetter }]) => {
+      const score = scores[criterion];
+      return sum + (lowerIsBetter ? REVIEW_SCORE_MIN + REVIEW_SCORE_MAX - score : score);
+    }, 0);
+
+    return total / criteria.length;
+  }
+
+  /**
+   * Aggregates the reviews of a proposal into the summary kept on it
+   */
+  summarize(reviews) {
+    const submitted = reviews.filter(review => review.submittedAt);
+    const average = values => values.length > 0
+      ? this.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+      : null;
+
+    return {
+      reviewers: reviews.length,
+      submitted: submitted.length,
+      averages: Object.fromEntries(Object.keys(REVIEW_CRITERIA).map(criterion => [
+        criterion,
+        average(submitted.map(review => review.scores[criterion]))
+      ])),
+      overall: average(submitted.map(review => this.getOverallScore(review.scores)))
+    };
+  }
+
+  /**
+   * Applies the decision rule to a review summary. Returns the status the
+   * proposal moves to, or null while reviews are still missing.
+   */
+  decide(summary) {
+    const quorum = REVIEW_DECISION_RULE.quorum ?? summary.reviewers;
+
+    if (summary.reviewers === 0 || summary.submitted === 0 || summary.submitted < quorum) {
+      return null;
+    }
+
+    return summary.overall >= REVIEW_DECISION_RULE.acceptThreshold
+      ? ProposalStatus.ACCEPTED
+      : ProposalStatus.REJECTED;
+  }
+
+  /**
+   * Loads a proposal with its sub-idea and idea. Proposals in the trash count as not found.
+   */
+  async findProposal(proposalId, session = null) {
+    if (!this.validateObjectId(proposalId)) {
+      throw new Error('Invalid proposal ID');
+    }
+
+    const proposal = await Proposal.findOne({ _id: proposalId, deletedAt: null })
+      .populate({
+        path: 'subIdea',
+        populate: {
+          path: 'idea',
+          select: 'authorId'
+        }
+      })
+      .session(session);
+
+    if (!proposal) {
+      throw new Error('Proposal not found');
+    }
+
+    return proposal;
+  }
+
+  /**
+   * Recomputes the review summary of a proposal in the transaction and, when
+   * the decision rule is met, accepts or rejects it. Writing the summary to
+   * the proposal also makes concurrent reviews of it conflict and retry, so
+   * the last one in always sees every other review.
+   */
+  async refreshAndDecide(proposal, actorId, session) {
+    const reviews = await ProposalReview.find({ proposalId: proposal._id }).session(session);
+    const summary = this.summarize(reviews);
+
+    await Proposal.updateOne(
+      { _id: proposal._id },
+      { review: summary },
+      { session, timestamps: false }
+    );
+
+    const status = this.decide(summary);
+    if (!status) {
+      return { summary, decided: null };
+    }
+
+    const rejectionReason = status === ProposalStatus.REJECTED
+      ? `Average review score ${summary.overall} is below the acceptance threshold of ${REVIEW_DECISION_RULE.acceptThreshold}`
+      : null;
+
+    const decided = await proposalService.applyDecision(proposal, { status, rejectionReason }, actorId, session);
+    return { summary, decided };
+  }
+
+  /**
+   * Assigns a reviewer to a pending proposal (by the idea author only)
+   */
+  async assignReviewer(proposalId, reviewerId, userId) {
+    if (!this.validateObjectId(reviewerId)) {
+      throw new Error('Invalid user ID');
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      const result = await session.withTransaction(async () => {
+        // 1. Get proposal with related data
+        const proposal = await this.findProposal(proposalId, session);
+
+        // 2. Check authorization - only the idea author assigns reviewers
+        if (proposal.subIdea.idea.authorId.toString() !== userId) {
+          throw new Error('Unauthorized: Only the idea author can assign reviewers');
+        }
+
+        if (proposal.status !== ProposalStatus.PENDING) {
+          throw new Error(`Cannot assign reviewers. Current status: ${proposal.status}`);
+        }
+
+        // 3. Check the reviewer
+        if (proposal.authorId.toString() === reviewerId) {
+          throw new Error('Cannot assign the proposal author as a reviewer');
+        }
+
+        const reviewer = await User.findById(reviewerId).session(session);
+        if (!reviewer) {
+          throw new Error('User not found');
+        }
+        if (reviewer.suspendedAt) {
+          throw new Error('Cannot assign a suspended user as a reviewer');
+        }
+
+        const existingReviews = await ProposalReview.find({ proposalId: proposal._id }).session(session);
+        if (existingReviews.some(review => review.reviewerId.toString() === reviewerId)) {
+          throw new Error('User is already a reviewer of this proposal');
+        }
+        if (existingReviews.length >= MAX_REVIEWERS) {
+          throw new Error(`Cannot assign more than ${MAX_REVIEWERS} reviewers`);
+        }
+
+        // 4. Assign and refresh the summary; the new reviewer has not scored yet, so nothing is decided
+        const [review] = await ProposalReview.create([{
+          proposalId: proposal._id,
+          reviewerId,
+          assignedBy: userId
+        }], { session });
+
+        const { summary } = await this.refreshAndDecide(proposal, userId, session);
+
+        // 5. Ask the reviewer for a review
+        const assigner = await User.findById(userId).select('name').session(session);
+        await notificationService.notify([{
+          recipientId: reviewerId,
+          actorId: userId,
+          type: NotificationType.REVIEW_REQUESTED,
+          ideaId: proposal.subIdea.ideaId,
+          subIdeaId: proposal.subIdeaId,
+          proposalId: proposal._id,
+          context: { actorName: assigner?.name, title: proposal.title }
+        }], { session });
+
+        await eventBus.publish(DomainEventType.PROPOSAL_REVIEWER_ASSIGNED, {
+          subIdeaId: proposal.subIdeaId,
+          proposalId: proposal._id,
+          actorId: userId,
+          reviewerId,
+          title: proposal.title
+        }, session);
+
+        return { review: review.toObject(), summary };
+      });
+
+      return result;
+    } catch (error) {
+      console.error('Database error in assignReviewer:', error);
+
+      if (error.code === 11000) {
+        throw new Error('User is already a reviewer of this proposal');
+      }
+
+      if (error.message.includes('not found') ||
+          error.message.includes('Invalid') ||
+          error.message.includes('Unauthorized') ||
+          error.message.includes('Cannot') ||
+          error.message.includes('already a reviewer')) {
+        throw error;
+      }
+
+      throw new Error('Failed to assign reviewer');
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Removes a reviewer, with their review, from a pending proposal (by the
+   * idea author only). If every remaining reviewer has already submitted,
+   * the proposal is decided on their reviews.
+   */
+  async removeReviewer(proposalId, reviewerId, userId) {
+    if (!this.validateObjectId(reviewerId)) {
+      throw new Error('Invalid user ID');
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      const result = await session.withTransaction(async () => {
+        // 1. Get proposal with related data
+        const proposal = await this.findProposal(proposalId, session);
+
+        // 2. Check authorization - only the idea author removes reviewers
+        if (proposal.subIdea.idea.authorId.toString() !== userId) {
+          throw new Error('Unauthorized: Only the idea author can remove reviewers');
+        }
+
+        if (proposal.status !== ProposalStatus.PENDING) {
+          throw new Error(`Cannot remove reviewers. Current status: ${proposal.status}`);
+        }
+
+        // 3. Remove the reviewer and decide if the others are done
+        const removed = await ProposalReview.findOneAndDelete({ proposalId: proposal._id, reviewerId }, { session });
+        if (!removed) {
+          throw new Error('Reviewer not found');
+        }
+
+        const { summary, decided } = await this.refreshAndDecide(proposal, userId, session);
+
+        // 4. Publish the removal, and the decision if there was one, with the transaction
+        await eventBus.publish(DomainEventType.PROPOSAL_REVIEWER_REMOVED, {
+          subIdeaId: proposal.subIdeaId,
+          proposalId: proposal._id,
+          actorId: userId,
+          reviewerId,
+          title: proposal.title
+        }, session);
+
+        if (decided) {
+          await proposalService.publishDecision(decided, proposalService.toSnapshot(proposal), userId, session);
+        }
+
+        return { summary, status: decided ? decided.status : proposal.status };
+      });
+
+      return result;
+    } catch (error) {
+      console.error('Database error in removeReviewer:', error);
+
+      if (error.message.includes('not found') ||
+          error.message.includes('Unauthorized') ||
+          error.message.includes('Cannot')) {
+        throw error;
+      }
+
+      throw new Error('Failed to remove reviewer');
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Submits a reviewer's scores and comment on a pending proposal. A
+   * reviewer can submit again to change their review until the proposal is
+   * decided, which happens as soon as the decision rule is met.
+   */
+  async submitReview(proposalId, reviewData, reviewerId) {
+    const { scores, comment } = reviewData;
+
+    // Validate input
+    const validationErrors = this.validateReviewInput(scores, comment);
+    if (validationErrors.length > 0) {
+      throw new Error(validationErrors.join(', '));
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      const result = await session.withTransaction(async () => {
+        // 1. Get proposal with related data
+        const proposal = await this.findProposal(proposalId, session);
+
+        if (proposal.status !== ProposalStatus.PENDING) {
+          throw new Error(`Cannot submit a review. Current status: ${proposal.status}`);
+        }
+
+        // 2. Save the review of an assigned reviewer
+        const review = await ProposalReview.findOneAndUpdate(
+          { proposalId: proposal._id, reviewerId },
+          {
+            scores: Object.fromEntries(Object.keys(REVIEW_CRITERIA).map(criterion => [criterion, scores[criterion]])),
+            comment: comment ? this.sanitizeInput(comment) : null,
+            submittedAt: new Date()
+          },
+          { new: true, session, runValidators: true }
+        );
+
+        if (!review) {
+          throw new Error('Unauthorized: Only assigned reviewers can review this proposal');
+        }
+
+        // 3. Refresh the summary and decide once the rule is met
+        const { summary, decided } = await this.refreshAndDecide(proposal, reviewerId, session);
+
+        // 4. Publish the review, and the decision if there was one, with the transaction
+        await eventBus.publish(DomainEventType.PROPOSAL_REVIEW_SUBMITTED, {
+          subIdeaId: proposal.subIdeaId,
+          proposalId: proposal._id,
+          actorId: reviewerId,
+          title: proposal.title,
+          scores: review.scores,
+          summary
+        }, session);
+
+        if (decided) {
+          await proposalService.publishDecision(decided, proposalService.toSnapshot(proposal), reviewerId, session);
+        }
+
+        return {
+          review: review.toObject(),
+          summary,
+          status: decided ? decided.status : proposal.status
+        };
+      });
+
+      return result;
+    } catch (error) {
+      console.error('Database error in submitReview:', error);
+
+      if (error.message.includes('not found') ||
+          error.message.includes('Invalid') ||
+          error.message.includes('Unauthorized') ||
+          error.message.includes('Cannot')) {
+        throw error;
+      }
+
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(err => err.message);
+        throw new Error(messages.join(', '));
+      }
+
+      throw new Error('Failed to submit review');
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Gets the reviewers of a proposal with their reviews. Visible to the idea
+   * author, the proposal author, the reviewers and admins.
+   */
+  async getReviews(proposalId, userId, userRole) {
+    const proposal = await this.findProposal(proposalId);
+
+    try {
+      const reviews = await ProposalReview.find({ proposalId: proposal._id })
+        .populate('reviewer', 'name avatarUrl')
+        .sort({ createdAt: 1 })
+        .exec();
+
+      const canView = userRole === 'ADMIN' ||
+        proposal.authorId.toString() === userId ||
+        proposal.subIdea.idea.authorId.toString() === userId ||
+        reviews.some(review => review.reviewerId.toString() === userId);
+
+      if (!canView) {
+        throw new Error('Unauthorized: Only the idea author, the proposal author and reviewers can see the reviews');
+      }
+
+      return {
+        status: proposal.status,
+        summary: proposal.review,
+        rule: {
+          criteria: REVIEW_CRITERIA,
+          scoreRange: [REVIEW_SCORE_MIN, REVIEW_SCORE_MAX],
+          quorum: REVIEW_DECISION_RULE.quorum ?? reviews.length,
+          acceptThreshold: REVIEW_DECISION_RULE.acceptThreshold
+        },
+        reviews: reviews.map(review => review.toObject({ virtuals: true }))
+      };
+    } catch (error) {
+      console.error('Database error in getReviews:', error);
+
+      if (error.message.includes('Unauthorized')) {
+        throw error;
+      }
+
+      throw new Error('Failed to fetch reviews');
+    }
+  }
+}
+
+export default new ProposalReviewService();
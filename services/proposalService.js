@@ -1,6 +1,9 @@
 import mongoose from 'mongoose';
-import { Proposal, SubIdea, Idea, User } from '../models/index.js';
-import { ProposalStatus } from '../models/enums.js';
+import { Proposal, SubIdea, Idea, User, ProposalReview } from '../models/index.js';
+import { ProposalStatus, NotificationType, DomainEventType, AuditEntityType } from '../models/enums.js';
+import notificationService from './notificationService.js';
+import revisionService from './revisionService.js';
+import eventBus from './eventBus.js';
 
 class ProposalService {
   /**
@@ -72,6 +75,19 @@ class ProposalService {
     return input.trim().replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '');
   }
 
+  /**
+   * Editable fields of a proposal, recorded before and after each change
+   */
+  toSnapshot(proposal) {
+    return {
+      title: proposal.title,
+      description: proposal.description,
+      presentationUrl: proposal.presentationUrl,
+      status: proposal.status,
+      rejectionReason: proposal.rejectionReason
+    };
+  }
+
   /**
    * Creates a new proposal
    */
@@ -103,7 +119,7 @@ class ProposalService {
         }
 
         // 2. Verify sub-idea exists and get parent idea
-        const subIdea = await SubIdea.findById(subIdeaId)
+        const subIdea = await SubIdea.findOne({ _id: subIdeaId, deletedAt: null })
           .populate('idea')
           .session(session);
         
@@ -115,7 +131,8 @@ class ProposalService {
         const existingProposal = await Proposal.findOne({
           authorId,
           subIdeaId,
-          status: ProposalStatus.PENDING
+          status: ProposalStatus.PENDING,
+          deletedAt: null
         }).session(session);
 
         if (existingProposal) {
@@ -146,12 +163,34 @@ class ProposalService {
           { session }
         );
 
-        // 7. Populate author and subIdea info
+        // 7. Notify the sub-idea author
+        await notificationService.notify([{
+          recipientId: subIdea.authorId,
+          actorId: authorId,
+          type: NotificationType.NEW_PROPOSAL,
+          ideaId: subIdea.ideaId,
+          subIdeaId,
+          proposalId: savedProposal._id,
+          context: { actorName: author.name, title: sanitizedTitle, subIdeaTitle: subIdea.title }
+        }], { session });
+
+        // 8. Populate author and subIdea info
         await savedProposal.populate([
           { path: 'author', select: 'name avatarUrl' },
           { path: 'subIdea', select: 'title' }
         ]);
 
+        // 9. Publish the new proposal with the transaction
+        await eventBus.publish(DomainEventType.PROPOSAL_CREATED, {
+          subIdeaId: savedProposal.subIdeaId,
+          proposalId: savedProposal._id,
+          actorId: authorId,
+          title: savedProposal.title,
+          status: savedProposal.status,
+          before: null,
+          after: this.toSnapshot(savedProposal)
+        }, session);
+
         return savedProposal.toObject();
       });
 
@@ -192,7 +231,7 @@ class ProposalService {
       } = filters;
 
       // Build query
-      const query = {};
+      const query = { hiddenAt: null, deletedAt: null };
 
       // Filter by idea (get all proposals for sub-ideas under this idea)
       if (ideaId) {
@@ -248,7 +287,7 @@ class ProposalService {
         Proposal.find(query)
           .populate('author', 'name avatarUrl')
           .populate('subIdea', 'title')
-          .select('title description presentationUrl status rejectionReason createdAt updatedAt')
+          .select('title description presentationUrl status rejectionReason score upvotes downvotes createdAt updatedAt')
           .sort(sortOptions)
           .skip(skip)
           .limit(limitNum)
@@ -286,15 +325,21 @@ class ProposalService {
   }
 
   /**
-   * Gets a single proposal by ID
+   * Gets a single proposal by ID. Content hidden by a moderator is
+   * only shown to moderators.
    */
-  async getProposalById(proposalId) {
+  async getProposalById(proposalId, userRole = null) {
     if (!this.validateObjectId(proposalId)) {
       throw new Error('Invalid proposal ID');
     }
 
     try {
-      const proposal = await Proposal.findById(proposalId)
+      const query = { _id: proposalId, deletedAt: null };
+      if (userRole !== 'ADMIN' && userRole !== 'MODERATOR') {
+        query.hiddenAt = null;
+      }
+
+      const proposal = await Proposal.findOne(query)
         .populate('author', 'name avatarUrl')
         .populate({
           path: 'subIdea',
@@ -344,7 +389,7 @@ class ProposalService {
     try {
       const result = await session.withTransaction(async () => {
         // 1. Get proposal with related data
-        const proposal = await Proposal.findById(proposalId)
+        const proposal = await Proposal.findOne({ _id: proposalId, deletedAt: null })
           .populate({
             path: 'subIdea',
             populate: {
@@ -369,22 +414,17 @@ class ProposalService {
           throw new Error(`Cannot update proposal status. Current status: ${proposal.status}`);
         }
 
-        // 4. Update proposal
-        const updateData = {
-          status,
-          rejectionReason: status === ProposalStatus.REJECTED ? 
-            this.sanitizeInput(rejectionReason) : null
-        };
+        // 4. Proposals with reviewers are decided by their reviews
+        const reviewers = await ProposalReview.countDocuments({ proposalId: proposal._id }).session(session);
+        if (reviewers > 0) {
+          throw new Error('Cannot update proposal status while reviewers are assigned; the reviews decide it');
+        }
 
-        const updatedProposal = await Proposal.findByIdAndUpdate(
-          proposalId,
-          updateData,
-          { new: true, session, runValidators: true }
-        )
-          .populate('author', 'name avatarUrl')
-          .populate('subIdea', 'title');
+        // 5. Update proposal, notify its author and publish the decision
+        const decided = await this.applyDecision(proposal, { status, rejectionReason }, userId, session);
+        await this.publishDecision(decided, this.toSnapshot(proposal), userId, session);
 
-        return updatedProposal.toObject();
+        return decided;
       });
 
       return result;
@@ -403,11 +443,66 @@ class ProposalService {
     }
   }
 
+  /**
+   * Accepts or rejects a pending proposal in the given transaction and
+   * notifies its author. The proposal needs its sub-idea populated.
+   */
+  async applyDecision(proposal, { status, rejectionReason }, actorId, session) {
+    const updateData = {
+      status,
+      rejectionReason: status === ProposalStatus.REJECTED ? 
+        this.sanitizeInput(rejectionReason) : null
+    };
+
+    const updatedProposal = await Proposal.findByIdAndUpdate(
+      proposal._id,
+      updateData,
+      { new: true, session, runValidators: true }
+    )
+      .populate('author', 'name avatarUrl')
+      .populate('subIdea', 'title');
+
+    await notificationService.notify([{
+      recipientId: proposal.authorId,
+      actorId,
+      type: status === ProposalStatus.ACCEPTED
+        ? NotificationType.PROPOSAL_ACCEPTED
+        : NotificationType.PROPOSAL_REJECTED,
+      ideaId: proposal.subIdea.ideaId,
+      subIdeaId: proposal.subIdeaId,
+      proposalId: proposal._id,
+      context: { title: proposal.title, rejectionReason: updateData.rejectionReason }
+    }], { session });
+
+    return updatedProposal.toObject();
+  }
+
+  /**
+   * Publishes the accepted or rejected event in the transaction of the decision
+   */
+  async publishDecision(proposal, before, actorId, session) {
+    await eventBus.publish(
+      proposal.status === ProposalStatus.ACCEPTED ? DomainEventType.PROPOSAL_ACCEPTED : DomainEventType.PROPOSAL_REJECTED,
+      {
+        subIdeaId: proposal.subIdeaId,
+        proposalId: proposal._id,
+        actorId,
+        authorId: proposal.authorId,
+        title: proposal.title,
+        status: proposal.status,
+        rejectionReason: proposal.rejectionReason,
+        before,
+        after: this.toSnapshot(proposal)
+      },
+      session
+    );
+  }
+
   /**
    * Updates a proposal (by author only)
    */
   async updateProposal(proposalId, updateData, userId) {
-    const { title, description, presentationUrl } = updateData;
+    const { title, description, presentationUrl, revertedFrom } = updateData;
 
     // Validate input
     const validationErrors = this.validateProposalInput(title, description, presentationUrl);
@@ -422,7 +517,7 @@ class ProposalService {
 
     try {
       // 1. Get existing proposal
-      const existingProposal = await Proposal.findById(proposalId);
+      const existingProposal = await Proposal.findOne({ _id: proposalId, deletedAt: null });
       if (!existingProposal) {
         throw new Error('Proposal not found');
       }
@@ -444,14 +539,31 @@ class ProposalService {
         presentationUrl: presentationUrl ? this.sanitizeInput(presentationUrl) : null
       };
 
-      const updatedProposal = await Proposal.findByIdAndUpdate(
-        proposalId,
+      // Skip the edit if the proposal was moved to the trash in the meantime
+      const updatedProposal = await Proposal.findOneAndUpdate(
+        { _id: proposalId, deletedAt: null },
         updateFields,
         { new: true, runValidators: true }
       )
         .populate('author', 'name avatarUrl')
         .populate('subIdea', 'title');
 
+      if (!updatedProposal) {
+        throw new Error('Proposal not found');
+      }
+
+      await revisionService.recordRevision(AuditEntityType.PROPOSAL, existingProposal, updatedProposal, userId, revertedFrom);
+
+      await eventBus.publish(DomainEventType.PROPOSAL_UPDATED, {
+        subIdeaId: updatedProposal.subIdeaId,
+        proposalId: updatedProposal._id,
+        actorId: userId,
+        title: updatedProposal.title,
+        status: updatedProposal.status,
+        before: this.toSnapshot(existingProposal),
+        after: this.toSnapshot(updatedProposal)
+      });
+
       return updatedProposal.toObject();
     } catch (error) {
       console.error('Database error in updateProposal:', error);
@@ -472,7 +584,8 @@ class ProposalService {
   }
 
   /**
-   * Deletes a proposal
+   * Deletes a proposal by moving it to the trash. Its votes are kept until
+   * the proposal is purged.
    */
   async deleteProposal(proposalId, userId, userRole) {
     // Validate ID
@@ -485,7 +598,7 @@ class ProposalService {
     try {
       const result = await session.withTransaction(async () => {
         // 1. Get existing proposal with sub-idea
-        const existingProposal = await Proposal.findById(proposalId)
+        const existingProposal = await Proposal.findOne({ _id: proposalId, deletedAt: null })
           .populate('subIdea')
           .session(session);
         
@@ -494,12 +607,16 @@ class ProposalService {
         }
 
         // 2. Check authorization
-        if (existingProposal.authorId.toString() !== userId && userRole !== 'ADMIN') {
-          throw new Error('Unauthorized: Only the proposal author or admin can delete this proposal');
+        if (existingProposal.authorId.toString() !== userId && userRole !== 'ADMIN' && userRole !== 'MODERATOR') {
+          throw new Error('Unauthorized: Only the proposal author, moderator or admin can delete this proposal');
         }
 
-        // 3. Delete proposal
-        await Proposal.findByIdAndDelete(proposalId).session(session);
+        // 3. Soft-delete proposal
+        await Proposal.findByIdAndUpdate(
+          proposalId,
+          { deletedAt: new Date(), deletedBy: userId },
+          { session }
+        );
 
         // 4. Decrement totalProposals counter on parent idea
         await Idea.findByIdAndUpdate(
@@ -508,6 +625,17 @@ class ProposalService {
           { session }
         );
 
+        // 5. Publish the deletion with the transaction
+        await eventBus.publish(DomainEventType.PROPOSAL_DELETED, {
+          ideaId: existingProposal.subIdea.ideaId,
+          subIdeaId: existingProposal.subIdeaId,
+          proposalId: existingProposal._id,
+          actorId: userId,
+          title: existingProposal.title,
+          before: this.toSnapshot(existingProposal),
+          after: null
+        }, session);
+
         return { message: 'Proposal deleted successfully' };
       });
 
@@ -525,12 +653,99 @@ class ProposalService {
     }
   }
 
+  /**
+   * Restores a deleted proposal from the trash and counts it on its idea
+   * again. Its sub-idea has to be restored first.
+   */
+  async restoreProposal(proposalId, userId) {
+    // Validate ID
+    if (!this.validateObjectId(proposalId)) {
+      throw new Error('Invalid proposal ID');
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      const result = await session.withTransaction(async () => {
+        // 1. Get deleted proposal with sub-idea
+        const existingProposal = await Proposal.findById(proposalId)
+          .populate('subIdea')
+          .session(session);
+
+        if (!existingProposal) {
+          throw new Error('Proposal not found');
+        }
+
+        if (!existingProposal.deletedAt) {
+          throw new Error('Proposal is not deleted');
+        }
+
+        if (!existingProposal.subIdea || existingProposal.subIdea.deletedAt) {
+          throw new Error('Cannot restore a proposal whose sub-idea is deleted. Restore the sub-idea first.');
+        }
+
+        // 2. Restore proposal
+        const restoredProposal = await Proposal.findByIdAndUpdate(
+          proposalId,
+          { deletedAt: null, deletedBy: null },
+          { new: true, session }
+        );
+
+        // 3. Increment totalProposals counter on parent idea
+        await Idea.findByIdAndUpdate(
+          existingProposal.subIdea.ideaId,
+          { $inc: { totalProposals: 1 } },
+          { session }
+        );
+
+        // 4. Publish the restore with the transaction
+        await eventBus.publish(DomainEventType.PROPOSAL_RESTORED, {
+          ideaId: existingProposal.subIdea.ideaId,
+          subIdeaId: restoredProposal.subIdeaId,
+          proposalId: restoredProposal._id,
+          actorId: userId,
+          title: restoredProposal.title,
+          status: restoredProposal.status,
+          before: null,
+          after: this.toSnapshot(restoredProposal)
+        }, session);
+
+        return restoredProposal.toObject();
+      });
+
+      return result;
+    } catch (error) {
+      console.error('Database error in restoreProposal:', error);
+
+      if (error.message.includes('not found') ||
+          error.message.includes('not deleted') ||
+          error.message.includes('Cannot restore')) {
+        throw error;
+      }
+
+      throw new Error('Failed to restore proposal');
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Gets proposals by author
+   */
+  async getProposalsByAuthor(authorId, filters = {}) {
+    if (!this.validateObjectId(authorId)) {
+      throw new Error('Invalid author ID');
+    }
+
+    return this.getProposals({ ...filters, authorId });
+  }
+
   /**
    * Gets proposal statistics
    */
   async getProposalStats(authorId = null, ideaId = null) {
     try {
-      const matchStage = {};
+      const matchStage = { deletedAt: null };
       
       if (authorId) {
         if (!this.validateObjectId(authorId)) {
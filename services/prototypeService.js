@@ -1,6 +1,9 @@
 import mongoose from 'mongoose';
 import { Prototype, Proposal, SubIdea, Idea, User } from '../models/index.js';
-import { ProposalStatus } from '../models/enums.js';
+import { ProposalStatus, NotificationType, DomainEventType, AuditEntityType } from '../models/enums.js';
+import notificationService from './notificationService.js';
+import revisionService from './revisionService.js';
+import eventBus from './eventBus.js';
 
 class PrototypeService {
   /**
@@ -104,6 +107,20 @@ class PrototypeService {
     return input.trim().replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '');
   }
 
+  /**
+   * Editable fields of a prototype, recorded before and after each change.
+   * Team members are reduced to user IDs whether or not they are populated.
+   */
+  toSnapshot(prototype) {
+    return {
+      title: prototype.title,
+      description: prototype.description,
+      imageUrl: prototype.imageUrl,
+      liveUrl: prototype.liveUrl,
+      team: prototype.team.map(member => (member.userId._id || member.userId).toString())
+    };
+  }
+
   /**
    * Creates a new prototype
    */
@@ -135,7 +152,7 @@ class PrototypeService {
         }
 
         // 2. Verify proposal exists and is accepted
-        const proposal = await Proposal.findById(proposalId)
+        const proposal = await Proposal.findOne({ _id: proposalId, deletedAt: null })
           .populate({
             path: 'subIdea',
             populate: { path: 'idea' }
@@ -153,7 +170,8 @@ class PrototypeService {
         // 3. Check if user already has a prototype for this proposal
         const existingPrototype = await Prototype.findOne({
           authorId,
-          proposalId
+          proposalId,
+          deletedAt: null
         }).session(session);
 
         if (existingPrototype) {
@@ -193,6 +211,16 @@ class PrototypeService {
           { path: 'proposal', select: 'title' }
         ]);
 
+        // 8. Publish the new prototype with the transaction
+        await eventBus.publish(DomainEventType.PROTOTYPE_CREATED, {
+          proposalId: savedPrototype.proposalId,
+          prototypeId: savedPrototype._id,
+          actorId: authorId,
+          title: savedPrototype.title,
+          before: null,
+          after: this.toSnapshot(savedPrototype)
+        }, session);
+
         return savedPrototype.toObject();
       });
 
@@ -226,6 +254,7 @@ class PrototypeService {
         ideaId,
         proposalId,
         authorId,
+        teamMemberId,
         search,
         page = 1,
         limit = 10,
@@ -234,7 +263,7 @@ class PrototypeService {
       } = filters;
 
       // Build query
-      const query = {};
+      const query = { hiddenAt: null, deletedAt: null };
 
       // Filter by idea (get all prototypes for proposals under sub-ideas under this idea)
       if (ideaId) {
@@ -270,6 +299,14 @@ class PrototypeService {
         query.authorId = authorId;
       }
 
+      // Filter by team member
+      if (teamMemberId) {
+        if (!this.validateObjectId(teamMemberId)) {
+          throw new Error('Invalid team member ID');
+        }
+        query['team.userId'] = teamMemberId;
+      }
+
       // Search filter
       if (search) {
         const sanitizedSearch = this.sanitizeInput(search);
@@ -293,7 +330,7 @@ class PrototypeService {
           .populate('author', 'name avatarUrl')
           .populate('proposal', 'title')
           .populate('team.userId', 'name avatarUrl')
-          .select('title description imageUrl liveUrl createdAt updatedAt')
+          .select('title description imageUrl liveUrl score upvotes downvotes commentCount createdAt updatedAt')
           .sort(sortOptions)
           .skip(skip)
           .limit(limitNum)
@@ -331,15 +368,21 @@ class PrototypeService {
   }
 
   /**
-   * Gets a single prototype by ID
+   * Gets a single prototype by ID. Content hidden by a moderator is
+   * only shown to moderators.
    */
-  async getPrototypeById(prototypeId) {
+  async getPrototypeById(prototypeId, userRole = null) {
     if (!this.validateObjectId(prototypeId)) {
       throw new Error('Invalid prototype ID');
     }
 
     try {
-      const prototype = await Prototype.findById(prototypeId)
+      const query = { _id: prototypeId, deletedAt: null };
+      if (userRole !== 'ADMIN' && userRole !== 'MODERATOR') {
+        query.hiddenAt = null;
+      }
+
+      const prototype = await Prototype.findOne(query)
         .populate('author', 'name avatarUrl')
         .populate({
           path: 'proposal',
@@ -376,7 +419,7 @@ class PrototypeService {
    * Updates a prototype
    */
   async updatePrototype(prototypeId, updateData, userId) {
-    const { title, description, imageUrl, liveUrl } = updateData;
+    const { title, description, imageUrl, liveUrl, revertedFrom } = updateData;
 
     // Validate input
     const validationErrors = this.validatePrototypeUpdateInput(title, description, imageUrl, liveUrl);
@@ -391,7 +434,7 @@ class PrototypeService {
 
     try {
       // 1. Get existing prototype
-      const existingPrototype = await Prototype.findById(prototypeId);
+      const existingPrototype = await Prototype.findOne({ _id: prototypeId, deletedAt: null });
       if (!existingPrototype) {
         throw new Error('Prototype not found');
       }
@@ -413,8 +456,9 @@ class PrototypeService {
       if (imageUrl !== undefined) updateFields.imageUrl = this.sanitizeInput(imageUrl);
       if (liveUrl !== undefined) updateFields.liveUrl = liveUrl ? this.sanitizeInput(liveUrl) : null;
 
-      const updatedPrototype = await Prototype.findByIdAndUpdate(
-        prototypeId,
+      // Skip the edit if the prototype was moved to the trash in the meantime
+      const updatedPrototype = await Prototype.findOneAndUpdate(
+        { _id: prototypeId, deletedAt: null },
         updateFields,
         { new: true, runValidators: true }
       )
@@ -422,6 +466,21 @@ class PrototypeService {
         .populate('proposal', 'title')
         .populate('team.userId', 'name avatarUrl');
 
+      if (!updatedPrototype) {
+        throw new Error('Prototype not found');
+      }
+
+      await revisionService.recordRevision(AuditEntityType.PROTOTYPE, existingPrototype, updatedPrototype, userId, revertedFrom);
+
+      await eventBus.publish(DomainEventType.PROTOTYPE_UPDATED, {
+        proposalId: updatedPrototype.proposalId,
+        prototypeId: updatedPrototype._id,
+        actorId: userId,
+        title: updatedPrototype.title,
+        before: this.toSnapshot(existingPrototype),
+        after: this.toSnapshot(updatedPrototype)
+      });
+
       return updatedPrototype.toObject();
     } catch (error) {
       console.error('Database error in updatePrototype:', error);
@@ -440,7 +499,8 @@ class PrototypeService {
   }
 
   /**
-   * Deletes a prototype
+   * Deletes a prototype by moving it to the trash. Its votes and comments are
+   * kept until the prototype is purged.
    */
   async deletePrototype(prototypeId, userId, userRole) {
     // Validate ID
@@ -453,7 +513,7 @@ class PrototypeService {
     try {
       const result = await session.withTransaction(async () => {
         // 1. Get existing prototype with related data
-        const existingPrototype = await Prototype.findById(prototypeId)
+        const existingPrototype = await Prototype.findOne({ _id: prototypeId, deletedAt: null })
           .populate({
             path: 'proposal',
             populate: {
@@ -468,12 +528,16 @@ class PrototypeService {
         }
 
         // 2. Check authorization
-        if (existingPrototype.authorId.toString() !== userId && userRole !== 'ADMIN') {
-          throw new Error('Unauthorized: Only the prototype author or admin can delete this prototype');
+        if (existingPrototype.authorId.toString() !== userId && userRole !== 'ADMIN' && userRole !== 'MODERATOR') {
+          throw new Error('Unauthorized: Only the prototype author, moderator or admin can delete this prototype');
         }
 
-        // 3. Delete prototype
-        await Prototype.findByIdAndDelete(prototypeId).session(session);
+        // 3. Soft-delete prototype
+        await Prototype.findByIdAndUpdate(
+          prototypeId,
+          { deletedAt: new Date(), deletedBy: userId },
+          { session }
+        );
 
         // 4. Decrement totalPrototypes counter on parent idea
         const ideaId = existingPrototype.proposal.subIdea.ideaId;
@@ -483,6 +547,17 @@ class PrototypeService {
           { session }
         );
 
+        // 5. Publish the deletion with the transaction
+        await eventBus.publish(DomainEventType.PROTOTYPE_DELETED, {
+          ideaId,
+          proposalId: existingPrototype.proposalId,
+          prototypeId: existingPrototype._id,
+          actorId: userId,
+          title: existingPrototype.title,
+          before: this.toSnapshot(existingPrototype),
+          after: null
+        }, session);
+
         return { message: 'Prototype deleted successfully' };
       });
 
@@ -500,6 +575,85 @@ class PrototypeService {
     }
   }
 
+  /**
+   * Restores a deleted prototype from the trash and counts it on its idea
+   * again. Its proposal has to be restored first.
+   */
+  async restorePrototype(prototypeId, userId) {
+    // Validate ID
+    if (!this.validateObjectId(prototypeId)) {
+      throw new Error('Invalid prototype ID');
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      const result = await session.withTransaction(async () => {
+        // 1. Get deleted prototype with related data
+        const existingPrototype = await Prototype.findById(prototypeId)
+          .populate({
+            path: 'proposal',
+            populate: { path: 'subIdea' }
+          })
+          .session(session);
+
+        if (!existingPrototype) {
+          throw new Error('Prototype not found');
+        }
+
+        if (!existingPrototype.deletedAt) {
+          throw new Error('Prototype is not deleted');
+        }
+
+        if (!existingPrototype.proposal || existingPrototype.proposal.deletedAt) {
+          throw new Error('Cannot restore a prototype whose proposal is deleted. Restore the proposal first.');
+        }
+
+        // 2. Restore prototype
+        const restoredPrototype = await Prototype.findByIdAndUpdate(
+          prototypeId,
+          { deletedAt: null, deletedBy: null },
+          { new: true, session }
+        );
+
+        // 3. Increment totalPrototypes counter on parent idea
+        const ideaId = existingPrototype.proposal.subIdea.ideaId;
+        await Idea.findByIdAndUpdate(
+          ideaId,
+          { $inc: { totalPrototypes: 1 } },
+          { session }
+        );
+
+        // 4. Publish the restore with the transaction
+        await eventBus.publish(DomainEventType.PROTOTYPE_RESTORED, {
+          ideaId,
+          proposalId: restoredPrototype.proposalId,
+          prototypeId: restoredPrototype._id,
+          actorId: userId,
+          title: restoredPrototype.title,
+          before: null,
+          after: this.toSnapshot(restoredPrototype)
+        }, session);
+
+        return restoredPrototype.toObject();
+      });
+
+      return result;
+    } catch (error) {
+      console.error('Database error in restorePrototype:', error);
+
+      if (error.message.includes('not found') ||
+          error.message.includes('not deleted') ||
+          error.message.includes('Cannot restore')) {
+        throw error;
+      }
+
+      throw new Error('Failed to restore prototype');
+    } finally {
+      await session.endSession();
+    }
+  }
+
   /**
    * Adds team member to prototype
    */
@@ -514,7 +668,7 @@ class PrototypeService {
 
     try {
       // 1. Get existing prototype
-      const existingPrototype = await Prototype.findById(prototypeId);
+      const existingPrototype = await Prototype.findOne({ _id: prototypeId, deletedAt: null });
       if (!existingPrototype) {
         throw new Error('Prototype not found');
       }
@@ -539,14 +693,38 @@ class PrototypeService {
       }
 
       // 5. Add team member
-      const updatedPrototype = await Prototype.findByIdAndUpdate(
-        prototypeId,
+      const updatedPrototype = await Prototype.findOneAndUpdate(
+        { _id: prototypeId, deletedAt: null },
         { $push: { team: { userId } } },
         { new: true }
       )
         .populate('author', 'name avatarUrl')
         .populate('team.userId', 'name avatarUrl');
 
+      if (!updatedPrototype) {
+        throw new Error('Prototype not found');
+      }
+
+      // 6. Notify the new team member
+      await notificationService.notify([{
+        recipientId: userId,
+        actorId: requesterId,
+        type: NotificationType.TEAM_MEMBER_ADDED,
+        proposalId: existingPrototype.proposalId,
+        prototypeId,
+        context: { actorName: updatedPrototype.author?.name, title: existingPrototype.title }
+      }]);
+
+      await eventBus.publish(DomainEventType.PROTOTYPE_TEAM_MEMBER_ADDED, {
+        proposalId: existingPrototype.proposalId,
+        prototypeId: updatedPrototype._id,
+        actorId: requesterId,
+        memberId: userId,
+        title: updatedPrototype.title,
+        before: this.toSnapshot(existingPrototype),
+        after: this.toSnapshot(updatedPrototype)
+      });
+
       return updatedPrototype.toObject();
     } catch (error) {
       console.error('Database error in addTeamMember:', error);
@@ -575,7 +753,7 @@ class PrototypeService {
 
     try {
       // 1. Get existing prototype
-      const existingPrototype = await Prototype.findById(prototypeId);
+      const existingPrototype = await Prototype.findOne({ _id: prototypeId, deletedAt: null });
       if (!existingPrototype) {
         throw new Error('Prototype not found');
       }
@@ -594,14 +772,28 @@ class PrototypeService {
       }
 
       // 4. Remove team member
-      const updatedPrototype = await Prototype.findByIdAndUpdate(
-        prototypeId,
+      const updatedPrototype = await Prototype.findOneAndUpdate(
+        { _id: prototypeId, deletedAt: null },
         { $pull: { team: { userId } } },
         { new: true }
       )
         .populate('author', 'name avatarUrl')
         .populate('team.userId', 'name avatarUrl');
 
+      if (!updatedPrototype) {
+        throw new Error('Prototype not found');
+      }
+
+      await eventBus.publish(DomainEventType.PROTOTYPE_TEAM_MEMBER_REMOVED, {
+        proposalId: existingPrototype.proposalId,
+        prototypeId: updatedPrototype._id,
+        actorId: requesterId,
+        memberId: userId,
+        title: updatedPrototype.title,
+        before: this.toSnapshot(existingPrototype),
+        after: this.toSnapshot(updatedPrototype)
+      });
+
       return updatedPrototype.toObject();
     } catch (error) {
       console.error('Database error in removeTeamMember:', error);
@@ -616,12 +808,34 @@ class PrototypeService {
     }
   }
 
+  /**
+   * Gets prototypes by author
+   */
+  async getPrototypesByAuthor(authorId, filters = {}) {
+    if (!this.validateObjectId(authorId)) {
+      throw new Error('Invalid author ID');
+    }
+
+    return this.getPrototypes({ ...filters, authorId });
+  }
+
+  /**
+   * Gets prototypes the user is a team member of
+   */
+  async getPrototypesByTeamMember(userId, filters = {}) {
+    if (!this.validateObjectId(userId)) {
+      throw new Error('Invalid user ID');
+    }
+
+    return this.getPrototypes({ ...filters, teamMemberId: userId });
+  }
+
   /**
    * Gets prototype statistics
    */
   async getPrototypeStats(authorId = null, ideaId = null) {
     try {
-      const matchStage = {};
+      const matchStage = { deletedAt: null };
       
       if (authorId) {
         if (!this.validateObjectId(authorId)) {
@@ -0,0 +1,143 @@
+// Sorts computed from vote and comment activity instead of a stored field
+export const RankingSort = {
+  TOP: 'top',
+  HOT: 'hot',
+  CONTROVERSIAL: 'controversial',
+  DISCUSSED: 'discussed'
+};
+
+// Reference point for the hot ranking; only relative ages matter
+const HOT_EPOCH = new Date('2025-01-01T00:00:00Z');
+
+// Seconds of age that offset one order of magnitude of score (12.5 hours)
+const HOT_DECAY_SECONDS = 45000;
+
+class RankingService {
+  /**
+   * Checks whether a sortBy value is a computed ranking
+   */
+  isRankingSort(sortBy) {
+    return Object.values(RankingSort).includes(sortBy);
+  }
+
+  /**
+   * Builds aggregation stages that total the denormalized vote and comment
+   * counters of child documents (e.g. an idea's sub-ideas) onto the parent
+   */
+  buildChildCounterStages(from, foreignField) {
+    return [
+      {
+        $lookup: {
+          from,
+          let: { parentId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: [`$${foreignField}`, '$$parentId'] }, deletedAt: null } },
+            { $project: { upvotes: 1, downvotes: 1, commentCount: 1 } }
+          ],
+          as: 'childCounters'
+        }
+      },
+      {
+        $addFields: {
+          upvotes: { $sum: '$childCounters.upvotes' },
+          downvotes: { $sum: '$childCounters.downvotes' },
+          commentCount: { $sum: '$childCounters.commentCount' }
+        }
+      },
+      { $addFields: { score: { $subtract: ['$upvotes', '$downvotes'] } } },
+      { $project: { childCounters: 0 } }
+    ];
+  }
+
+  /**
+   * Builds the expression used to rank by the given computed sort.
+   * Expects upvotes, downvotes, score, commentCount and createdAt fields.
+   */
+  buildRankExpression(sortBy) {
+    switch (sortBy) {
+      case RankingSort.TOP:
+        return '$score';
+
+      case RankingSort.HOT:
+        // log10 of the score magnitude plus a bonus that grows with recency
+        return {
+          $add: [
+            {
+              $multiply: [
+                { $cmp: ['$score', 0] },
+                { $log10: { $max: [{ $abs: '$score' }, 1] } }
+              ]
+            },
+            {
+              $divide: [
+                { $divide: [{ $subtract: ['$createdAt', HOT_EPOCH] }, 1000] },
+                HOT_DECAY_SECONDS
+              ]
+            }
+          ]
+        };
+
+      case RankingSort.CONTROVERSIAL:
+        // Many votes split evenly between up and down rank highest
+        return {
+          $cond: [
+            { $or: [{ $lte: ['$upvotes', 0] }, { $lte: ['$downvotes', 0] }] },
+            0,
+            {
+              $pow: [
+                { $add: ['$upvotes', '$downvotes'] },
+                {
+                  $cond: [
+                    { $gt: ['$upvotes', '$downvotes'] },
+                    { $divide: ['$downvotes', '$upvotes'] },
+                    { $divide: ['$upvotes', '$downvotes'] }
+                  ]
+                }
+              ]
+            }
+          ]
+        };
+
+      case RankingSort.DISCUSSED:
+        return '$commentCount';
+
+      default:
+        throw new Error('Invalid ranking sort');
+    }
+  }
+
+  /**
+   * Builds the stages that rank and sort documents
+   */
+  buildRankingStages(sortBy, sortOrder = 'desc') {
+    return [
+      { $addFields: { rank: this.buildRankExpression(sortBy) } },
+      { $sort: { rank: sortOrder === 'asc' ? 1 : -1, createdAt: -1, _id: -1 } }
+    ];
+  }
+
+  /**
+   * Builds stages that replace a reference with a small embedded document,
+   * mirroring what populate() would return
+   */
+  buildPopulateStages(from, localField, as, fields) {
+    const projection = Object.fromEntries(fields.map(field => [field, 1]));
+
+    return [
+      {
+        $lookup: {
+          from,
+          let: { refId: `$${localField}` },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$_id', '$$refId'] } } },
+            { $project: projection }
+          ],
+          as
+        }
+      },
+      { $unwind: { path: `$${as}`, preserveNullAndEmptyArrays: true } }
+    ];
+  }
+}
+
+export default new RankingService();
@@ -0,0 +1,404 @@
+import mongoose from 'mongoose';
+import { Idea, SubIdea, Proposal, Prototype, Revision } from '../models/index.js';
+import { AuditEntityType } from '../models/enums.js';
+import ideaService from './ideaService.js';
+import subIdeaService from './subIdeaService.js';
+import proposalService from './proposalService.js';
+import prototypeService from './prototypeService.js';
+
+// Content with a revision history: its model, a label for messages, the
+// fields kept in each revision and how a revert is saved through the owning
+// service, so it gets the same validation and checks as any other edit
+const REVISION_TARGETS = {
+  [AuditEntityType.IDEA]: {
+    model: Idea,
+    label: 'Idea',
+    fields: ['title', 'description', 'potentialDollarValue'],
+    update: (id, content, user) => ideaService.updateIdea(id, content, user.userId, user.role)
+  },
+  [AuditEntityType.SUB_IDEA]: {
+    model: SubIdea,
+    label: 'Sub-idea',
+    fields: ['title', 'description'],
+    update: (id, content, user) => subIdeaService.updateSubIdea(id, content, user.userId, user.role)
+  },
+  [AuditEntityType.PROPOSAL]: {
+    model: Proposal,
+    label: 'Proposal',
+    fields: ['title', 'description', 'presentationUrl'],
+    update: (id, content, user) => proposalService.updateProposal(id, content, user.userId)
+  },
+  [AuditEntityType.PROTOTYPE]: {
+    model: Prototype,
+    label: 'Prototype',
+    fields: ['title', 'description', 'imageUrl', 'liveUrl'],
+    update: (id, content, user) => prototypeService.updatePrototype(id, content, user.userId)
+  }
+};
+
+// Fields diffed word by word; the others are shown as a whole
+const TEXT_FIELDS = ['title', 'description'];
+
+// How often recording a revision is retried when another edit took its number
+const MAX_RECORD_ATTEMPTS = 3;
+
+class RevisionService {
+  /**
+   * Validates MongoDB ObjectId
+   */
+  validateObjectId(id) {
+    return mongoose.Types.ObjectId.isValid(id);
+  }
+
+  getTargetConfig(entityType) {
+    const config = REVISION_TARGETS[entityType];
+    if (!config) {
+      throw new Error('Invalid entity type');
+    }
+    return config;
+  }
+
+  /**
+   * Parses a revision number from the request
+   */
+  parseRevisionNumber(value, name = 'revision') {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+      throw new Error(`Invalid ${name} number`);
+    }
+    return number;
+  }
+
+  /**
+   * The fields of a piece of content that are kept in its revisions
+   */
+  toContent(entityType, doc) {
+    const { fields } = this.getTargetConfig(entityType);
+    return Object.fromEntries(fields.map(field => [field, doc[field] ?? null]));
+  }
+
+  /**
+   * Lists the fields that differ between two versions of the content
+   */
+  getChangedFields(entityType, from, to) {
+    const { fields } = this.getTargetConfig(entityType);
+    return fields.filter(field => (from[field] ?? null) !== (to[field] ?? null));
+  }
+
+  /**
+   * Splits text into words and the whitespace between them
+   */
+  tokenize(text) {
+    return text.split(/(\s+)/).filter(token => token.length > 0);
+  }
+
+  /**
+   * Word-level diff of two texts as a list of { type, text } parts, where
+   * type is 'equal', 'removed' or 'added'. Based on the longest common
+   * subsequence of words, after setting aside the common start and end.
+   */
+  diffWords(fromText, toText) {
+    const from = this.tokenize(fromText);
+    const to = this.tokenize(toText);
+
+    let start = 0;
+    while (start < from.length && start < to.length && from[start] === to[start]) {
+      start++;
+    }
+
+    let fromEnd = from.length;
+    let toEnd = to.length;
+    while (fromEnd > start && toEnd > start && from[fromEnd - 1] === to[toEnd - 1]) {
+      fromEnd--;
+      toEnd--;
+    }
+
+    // lcs[i * width + j] is the common subsequence length of from[i..] and to[j..]
+    const rows = fromEnd - start;
+    const cols = toEnd - start;
+    const width = cols + 1;
+    const lcs = new Uint16Array((rows + 1) * width);
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        lcs[i * width + j] = from[start + i] === to[start + j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    const parts = [];
+    const push = (type, text) => {
+      const last = parts[parts.length - 1];
+      if (last && last.type === type) {
+        last.text += text;
+      } else {
+        parts.push({ type, text });
+      }
+    };
+
+    from.slice(0, start).forEach(token => push('equal', token));
+
+    let i = 0;
+    let j = 0;
+    while (i < rows || j < cols) {
+      if (i < rows && j < cols && from[start + i] === to[start + j]) {
+        push('equal', from[start + i]);
+        i++;
+        j++;
+      } else if (j >= cols || (i < rows && lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+        push('removed', from[start + i]);
+        i++;
+      } else {
+        push('added', to[start + j]);
+        j++;
+      }
+    }
+
+    from.slice(fromEnd).forEach(token => push('equal', token));
+
+    return parts;
+  }
+
+  /**
+   * Stores a revision for an edit that changed the content. When the history
+   * does not end at the content the edit started from (content older than the
+   * history, or an edit whose revision could not be stored), that content is
+   * stored first so every revision can be diffed against the one before it.
+   * The edit is already saved when this runs, so failures are only logged.
+   */
+  async recordRevision(entityType, before, after, editorId, revertedFrom = null) {
+    const beforeContent = this.toContent(entityType, before);
+    const afterContent = this.toContent(entityType, after);
+
+    const changedFields = this.getChangedFields(entityType, beforeContent, afterContent);
+    if (changedFields.length === 0) {
+      return null;
+    }
+
+    try {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          const latest = await Revision.findOne({ entityType, entityId: after._id })
+            .sort({ revision: -1 })
+            .exec();
+
+          let nextRevision = latest ? latest.revision + 1 : 1;
+
+          const missedFields = latest ? this.getChangedFields(entityType, latest.content, beforeContent) : null;
+          if (!latest || missedFields.length > 0) {
+            await new Revision({
+              entityType,
+              entityId: after._id,
+              revision: nextRevision,
+              content: beforeContent,
+              changedFields: missedFields || [],
+              editorId: null,
+              createdAt: before.updatedAt || before.createdAt
+            }).save({ timestamps: false });
+
+            nextRevision += 1;
+          }
+
+          const revision = await Revision.create({
+            entityType,
+            entityId: after._id,
+            revision: nextRevision,
+            content: afterContent,
+            changedFields,
+            editorId,
+            revertedFrom
+          });
+
+          return revision.toObject();
+        } catch (error) {
+          // Another edit took the revision number; read the history again
+          if (error.code !== 11000 || attempt >= MAX_RECORD_ATTEMPTS) {
+            throw error;
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Database error in recordRevision:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Loads content with a revision history. Content in the trash counts as not
+   * found, and so does hidden content for anyone but moderators.
+   */
+  async findEntity(entityType, entityId, userRole = null) {
+    const { model, label } = this.getTargetConfig(entityType);
+
+    if (!this.validateObjectId(entityId)) {
+      throw new Error(`Invalid ${label.toLowerCase()} ID`);
+    }
+
+    const query = { _id: entityId, deletedAt: null };
+    if (userRole !== 'ADMIN' && userRole !== 'MODERATOR') {
+      query.hiddenAt = null;
+    }
+
+    const entity = await model.findOne(query).exec();
+    if (!entity) {
+      throw new Error(`${label} not found`);
+    }
+
+    return entity;
+  }
+
+  /**
+   * Loads one revision of a piece of content
+   */
+  async findRevision(entityType, entityId, revisionNumber) {
+    const revision = await Revision.findOne({ entityType, entityId, revision: revisionNumber })
+      .populate('editor', 'name avatarUrl')
+      .exec();
+
+    if (!revision) {
+      throw new Error(`Revision ${revisionNumber} not found`);
+    }
+
+    return revision;
+  }
+
+  /**
+   * Gets the revisions of a piece of content, newest first. Content that was
+   * never edited has none.
+   */
+  async getRevisions(entityType, entityId, filters = {}, userRole = null) {
+    const { page = 1, limit = 20 } = filters;
+
+    const entity = await this.findEntity(entityType, entityId, userRole);
+
+    try {
+      const query = { entityType, entityId: entity._id };
+
+      // Pagination
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const limitNum = parseInt(limit);
+
+      const [revisions, totalCount] = await Promise.all([
+        Revision.find(query)
+          .select('-content')
+          .populate('editor', 'name avatarUrl')
+          .sort({ revision: -1 })
+          .skip(skip)
+          .limit(limitNum)
+          .exec(),
+        Revision.countDocuments(query)
+      ]);
+
+      // Calculate pagination info
+      const totalPages = Math.ceil(totalCount / limitNum);
+      const hasNextPage = page < totalPages;
+      const hasPrevPage = page > 1;
+
+      return {
+        revisions: revisions.map(revision => revision.toObject({ virtuals: true })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage,
+          hasPrevPage,
+          limit: limitNum
+        }
+      };
+    } catch (error) {
+      console.error('Database error in getRevisions:', error);
+      throw new Error('Failed to fetch revisions');
+    }
+  }
+
+  /**
+   * Diffs a revision against the one before it, or against another revision.
+   * Every changed field is listed with its old and new value; text fields
+   * also get a word-level diff.
+   */
+  async getRevisionDiff(entityType, entityId, revisionValue, againstValue, userRole = null) {
+    const { fields } = this.getTargetConfig(entityType);
+    const revisionNumber = this.parseRevisionNumber(revisionValue);
+    const againstNumber = againstValue === undefined
+      ? revisionNumber - 1
+      : this.parseRevisionNumber(againstValue, 'against revision');
+
+    if (againstNumber === revisionNumber) {
+      throw new Error('Invalid against revision number: must differ from the revision');
+    }
+
+    const entity = await this.findEntity(entityType, entityId, userRole);
+
+    try {
+      const revision = await this.findRevision(entityType, entity._id, revisionNumber);
+
+      // The first revision is diffed against nothing: all of it was added
+      const base = againstNumber >= 1
+        ? await this.findRevision(entityType, entity._id, againstNumber)
+        : null;
+
+      const from = base ? base.content : {};
+      const to = revision.content;
+
+      const changes = {};
+      for (const field of fields) {
+        const oldValue = from[field] ?? null;
+        const newValue = to[field] ?? null;
+        if (oldValue === newValue) {
+          continue;
+        }
+
+        changes[field] = { from: oldValue, to: newValue };
+        if (TEXT_FIELDS.includes(field)) {
+          changes[field].words = this.diffWords(oldValue || '', newValue || '');
+        }
+      }
+
+      return {
+        entityType,
+        entityId: entity._id,
+        revision: revisionNumber,
+        against: base ? base.revision : null,
+        editor: revision.editor || null,
+        revertedFrom: revision.revertedFrom,
+        createdAt: revision.createdAt,
+        changes
+      };
+    } catch (error) {
+      console.error('Database error in getRevisionDiff:', error);
+
+      if (error.message.includes('not found')) {
+        throw error;
+      }
+
+      throw new Error('Failed to diff revisions');
+    }
+  }
+
+  /**
+   * Puts the content back as it was in an earlier revision. The revert is an
+   * edit of its own: it goes through the owning service and is stored as a
+   * new revision that records which one it restored.
+   */
+  async revertToRevision(entityType, entityId, revisionValue, user) {
+    const { label, update } = this.getTargetConfig(entityType);
+    const revisionNumber = this.parseRevisionNumber(revisionValue);
+
+    const entity = await this.findEntity(entityType, entityId, user.role);
+
+    if (entity.authorId.toString() !== user.userId) {
+      throw new Error(`Unauthorized: Only the ${label.toLowerCase()} author can revert it`);
+    }
+
+    const revision = await this.findRevision(entityType, entity._id, revisionNumber);
+    const content = this.toContent(entityType, revision.content);
+
+    if (this.getChangedFields(entityType, this.toContent(entityType, entity), content).length === 0) {
+      throw new Error(`${label} already matches revision ${revisionNumber}`);
+    }
+
+    return update(entity._id.toString(), { ...content, revertedFrom: revisionNumber }, user);
+  }
+}
+
+export default new RevisionService();
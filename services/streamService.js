@@ -0,0 +1,399 @@
+import mongoose from 'mongoose';
+import { SubIdea, Proposal, Prototype } from '../models/index.js';
+import { DomainEventType } from '../models/enums.js';
+import eventBus from './eventBus.js';
+
+// Event types pushed to stream clients
+const StreamEventType = {
+  IDEA_CREATED: 'idea.created',
+  IDEA_UPDATED: 'idea.updated',
+  IDEA_STATUS_CHANGED: 'idea.status_changed',
+  IDEA_STAGE_CHANGED: 'idea.stage_changed',
+  IDEA_DELETED: 'idea.deleted',
+  IDEA_RESTORED: 'idea.restored',
+  IDEA_HIDDEN: 'idea.hidden',
+  IDEA_UNHIDDEN: 'idea.unhidden',
+  SUBIDEA_CREATED: 'subIdea.created',
+  SUBIDEA_UPDATED: 'subIdea.updated',
+  SUBIDEA_STATUS_CHANGED: 'subIdea.status_changed',
+  SUBIDEA_DELETED: 'subIdea.deleted',
+  SUBIDEA_RESTORED: 'subIdea.restored',
+  SUBIDEA_HIDDEN: 'subIdea.hidden',
+  SUBIDEA_UNHIDDEN: 'subIdea.unhidden',
+  PROPOSAL_CREATED: 'proposal.created',
+  PROPOSAL_UPDATED: 'proposal.updated',
+  PROPOSAL_STATUS_CHANGED: 'proposal.status_changed',
+  PROPOSAL_DELETED: 'proposal.deleted',
+  PROPOSAL_RESTORED: 'proposal.restored',
+  PROPOSAL_HIDDEN: 'proposal.hidden',
+  PROPOSAL_UNHIDDEN: 'proposal.unhidden',
+  PROTOTYPE_CREATED: 'prototype.created',
+  PROTOTYPE_UPDATED: 'prototype.updated',
+  PROTOTYPE_DELETED: 'prototype.deleted',
+  PROTOTYPE_RESTORED: 'prototype.restored',
+  PROTOTYPE_HIDDEN: 'prototype.hidden',
+  PROTOTYPE_UNHIDDEN: 'prototype.unhidden',
+  VOTE_UPDATED: 'vote.updated',
+  COMMENT_CREATED: 'comment.created',
+  COMMENT_UPDATED: 'comment.updated',
+  COMMENT_DELETED: 'comment.deleted',
+  COMMENT_HIDDEN: 'comment.hidden',
+  COMMENT_UNHIDDEN: 'comment.unhidden'
+};
+
+// Stream event sent for each domain event
+const STREAM_EVENT_TYPES = {
+  [DomainEventType.IDEA_CREATED]: StreamEventType.IDEA_CREATED,
+  [DomainEventType.IDEA_UPDATED]: StreamEventType.IDEA_UPDATED,
+  [DomainEventType.IDEA_STATUS_CHANGED]: StreamEventType.IDEA_STATUS_CHANGED,
+  [DomainEventType.IDEA_STAGE_CHANGED]: StreamEventType.IDEA_STAGE_CHANGED,
+  [DomainEventType.IDEA_DELETED]: StreamEventType.IDEA_DELETED,
+  [DomainEventType.IDEA_RESTORED]: StreamEventType.IDEA_RESTORED,
+  [DomainEventType.IDEA_HIDDEN]: StreamEventType.IDEA_HIDDEN,
+  [DomainEventType.IDEA_UNHIDDEN]: StreamEventType.IDEA_UNHIDDEN,
+  [DomainEventType.SUBIDEA_CREATED]: StreamEventType.SUBIDEA_CREATED,
+  [DomainEventType.SUBIDEA_UPDATED]: StreamEventType.SUBIDEA_UPDATED,
+  [DomainEventType.SUBIDEA_STATUS_CHANGED]: StreamEventType.SUBIDEA_STATUS_CHANGED,
+  [DomainEventType.SUBIDEA_DELETED]: StreamEventType.SUBIDEA_DELETED,
+  [DomainEventType.SUBIDEA_RESTORED]: StreamEventType.SUBIDEA_RESTORED,
+  [DomainEventType.SUBIDEA_HIDDEN]: StreamEventType.SUBIDEA_HIDDEN,
+  [DomainEventType.SUBIDEA_UNHIDDEN]: StreamEventType.SUBIDEA_UNHIDDEN,
+  [DomainEventType.PROPOSAL_CREATED]: StreamEventType.PROPOSAL_CREATED,
+  [DomainEventType.PROPOSAL_UPDATED]: StreamEventType.PROPOSAL_UPDATED,
+  [DomainEventType.PROPOSAL_ACCEPTED]: StreamEventType.PROPOSAL_STATUS_CHANGED,
+  [DomainEventType.PROPOSAL_REJECTED]: StreamEventType.PROPOSAL_STATUS_CHANGED,
+  [DomainEventType.PROPOSAL_DELETED]: StreamEventType.PROPOSAL_DELETED,
+  [DomainEventType.PROPOSAL_RESTORED]: StreamEventType.PROPOSAL_RESTORED,
+  [DomainEventType.PROPOSAL_HIDDEN]: StreamEventType.PROPOSAL_HIDDEN,
+  [DomainEventType.PROPOSAL_UNHIDDEN]: StreamEventType.PROPOSAL_UNHIDDEN,
+  [DomainEventType.PROTOTYPE_CREATED]: StreamEventType.PROTOTYPE_CREATED,
+  [DomainEventType.PROTOTYPE_UPDATED]: StreamEventType.PROTOTYPE_UPDATED,
+  [DomainEventType.PROTOTYPE_DELETED]: StreamEventType.PROTOTYPE_DELETED,
+  [DomainEventType.PROTOTYPE_RESTORED]: StreamEventType.PROTOTYPE_RESTORED,
+  [DomainEventType.PROTOTYPE_HIDDEN]: StreamEventType.PROTOTYPE_HIDDEN,
+  [DomainEventType.PROTOTYPE_UNHIDDEN]: StreamEventType.PROTOTYPE_UNHIDDEN,
+  [DomainEventType.PROTOTYPE_TEAM_MEMBER_ADDED]: StreamEventType.PROTOTYPE_UPDATED,
+  [DomainEventType.PROTOTYPE_TEAM_MEMBER_REMOVED]: StreamEventType.PROTOTYPE_UPDATED,
+  [DomainEventType.VOTE_CHANGED]: StreamEventType.VOTE_UPDATED,
+  [DomainEventType.COMMENT_CREATED]: StreamEventType.COMMENT_CREATED,
+  [DomainEventType.COMMENT_UPDATED]: StreamEventType.COMMENT_UPDATED,
+  [DomainEventType.COMMENT_DELETED]: StreamEventType.COMMENT_DELETED,
+  [DomainEventType.COMMENT_HIDDEN]: StreamEventType.COMMENT_HIDDEN,
+  [DomainEventType.COMMENT_UNHIDDEN]: StreamEventType.COMMENT_UNHIDDEN
+};
+
+// Payload fields that stay private to the acting user
+const PRIVATE_FIELDS = {
+  [DomainEventType.VOTE_CHANGED]: ['actorId', 'value']
+};
+
+// Sent instead of a replay when the missed events are no longer buffered
+const RESET_EVENT = 'reset';
+
+const DEFAULT_REPLAY_SIZE = 1000;
+const DEFAULT_HEARTBEAT_MS = 25 * 1000;
+const DEFAULT_MAX_CONNECTIONS_PER_USER = 5;
+
+// Ideas a single connection can subscribe to
+const MAX_IDEAS_PER_CONNECTION = 20;
+
+// Clients that fall this far behind are disconnected and replay on reconnect
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+// Reconnection delay suggested to clients
+const RETRY_MS = 5000;
+
+class StreamService {
+  constructor() {
+    // Event ids are `${epoch}-${seq}`; the epoch tells ids from a previous
+    // process apart so they are never replayed against the wrong buffer
+    this.epoch = Date.now().toString(36);
+    this.seq = 0;
+    this.buffer = [];
+    this.clients = new Map();
+    this.nextClientId = 1;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Validates ObjectId
+   */
+  validateObjectId(id) {
+    return mongoose.Types.ObjectId.isValid(id);
+  }
+
+  getReplaySize() {
+    return parseInt(process.env.STREAM_REPLAY_SIZE) || DEFAULT_REPLAY_SIZE;
+  }
+
+  getMaxConnectionsPerUser() {
+    return parseInt(process.env.STREAM_MAX_CONNECTIONS_PER_USER) || DEFAULT_MAX_CONNECTIONS_PER_USER;
+  }
+
+  /**
+   * Parses the comma-separated idea channel list; null subscribes to all ideas
+   */
+  parseIdeaIds(ideas) {
+    if (ideas === undefined || ideas === null || ideas === '') {
+      return null;
+    }
+
+    const ideaIds = [...new Set(String(ideas).split(',').map(id => id.trim()).filter(Boolean))];
+
+    if (ideaIds.length > MAX_IDEAS_PER_CONNECTION) {
+      throw new Error(`Invalid ideas: a stream can follow at most ${MAX_IDEAS_PER_CONNECTION} ideas`);
+    }
+
+    const invalidId = ideaIds.find(id => !this.validateObjectId(id));
+    if (invalidId) {
+      throw new Error(`Invalid idea ID: ${invalidId}`);
+    }
+
+    return ideaIds.length > 0 ? new Set(ideaIds) : null;
+  }
+
+  /**
+   * Parses a Last-Event-ID into its sequence number, or null if it was not
+   * issued by this process
+   */
+  parseEventId(eventId) {
+    const match = /^([0-9a-z]+)-(\d+)$/.exec(String(eventId));
+    if (!match || match[1] !== this.epoch) {
+      return null;
+    }
+    return parseInt(match[2]);
+  }
+
+  /**
+   * Finds the idea an entity belongs to by walking up prototype -> proposal -> sub-idea
+   */
+  async resolveIdeaId({ ideaId, subIdeaId, proposalId, prototypeId } = {}) {
+    if (ideaId) {
+      return ideaId;
+    }
+
+    if (!subIdeaId && !proposalId && prototypeId) {
+      const prototype = await Prototype.findById(prototypeId).select('proposalId').exec();
+      proposalId = prototype?.proposalId;
+    }
+
+    if (!subIdeaId && proposalId) {
+      const proposal = await Proposal.findById(proposalId).select('subIdeaId').exec();
+      subIdeaId = proposal?.subIdeaId;
+    }
+
+    if (subIdeaId) {
+      const subIdea = await SubIdea.findById(subIdeaId).select('ideaId').exec();
+      return subIdea?.ideaId || null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Publishes an event to subscribed clients and keeps it for replay.
+   * Failures are logged, never thrown.
+   */
+  async publish(type, refs = {}, data = {}) {
+    try {
+      const ideaId = await this.resolveIdeaId(refs);
+
+      this.seq++;
+      const event = {
+        id: `${this.epoch}-${this.seq}`,
+        seq: this.seq,
+        type,
+        ideaId: ideaId ? ideaId.toString() : null,
+        data: { ...refs, ...data },
+        createdAt: new Date().toISOString()
+      };
+
+      this.buffer.push(event);
+      if (this.buffer.length > this.getReplaySize()) {
+        this.buffer.splice(0, this.buffer.length - this.getReplaySize());
+      }
+
+      for (const client of this.clients.values()) {
+        if (this.matches(client, event)) {
+          this.send(client, event);
+        }
+      }
+
+      return event;
+    } catch (error) {
+      console.error('Stream publish error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Turns a domain event into a stream event
+   */
+  async handleDomainEvent(event) {
+    // Before/after snapshots are kept for the audit log and left out of the stream
+    const { ideaId, subIdeaId, proposalId, prototypeId, before, after, ...data } = event.payload;
+    const refs = Object.fromEntries(
+      Object.entries({ ideaId, subIdeaId, proposalId, prototypeId }).filter(([, id]) => id)
+    );
+
+    for (const field of PRIVATE_FIELDS[event.type] || []) {
+      delete data[field];
+    }
+
+    await this.publish(STREAM_EVENT_TYPES[event.type], refs, data);
+  }
+
+  /**
+   * Checks whether a client follows the idea an event belongs to
+   */
+  matches(client, event) {
+    return !client.ideaIds || (event.ideaId !== null && client.ideaIds.has(event.ideaId));
+  }
+
+  /**
+   * Formats an event in the text/event-stream wire format
+   */
+  formatEvent(event) {
+    const payload = {
+      type: event.type,
+      ideaId: event.ideaId,
+      data: event.data,
+      createdAt: event.createdAt
+    };
+
+    return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(payload)}\n\n`;
+  }
+
+  /**
+   * Writes to a client, dropping it if it stopped reading
+   */
+  write(client, chunk) {
+    if (client.res.writableEnded) {
+      return;
+    }
+    if (client.res.writableLength > MAX_BUFFERED_BYTES) {
+      client.res.end();
+      return;
+    }
+    client.res.write(chunk);
+  }
+
+  send(client, event) {
+    this.write(client, this.formatEvent(event));
+  }
+
+  /**
+   * Replays the events a reconnecting client missed, or tells it to reload
+   * if they are no longer buffered
+   */
+  replay(client, lastEventId) {
+    const lastSeq = this.parseEventId(lastEventId);
+    const oldestSeq = this.buffer.length > 0 ? this.buffer[0].seq : this.seq + 1;
+
+    if (lastSeq === null || lastSeq > this.seq || lastSeq < oldestSeq - 1) {
+      this.write(client, `event: ${RESET_EVENT}\ndata: ${JSON.stringify({ reason: 'Missed events are no longer available' })}\n\n`);
+      return 0;
+    }
+
+    const missed = this.buffer.filter(event => event.seq > lastSeq && this.matches(client, event));
+    missed.forEach(event => this.send(client, event));
+    return missed.length;
+  }
+
+  /**
+   * Counts a user's open streams
+   */
+  countUserConnections(userId) {
+    let count = 0;
+    for (const client of this.clients.values()) {
+      if (client.userId === userId) {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Opens an event stream on the response. Validation errors are thrown
+   * before any headers are written.
+   */
+  subscribe(req, res, { userId, ideas, lastEventId }) {
+    const ideaIds = this.parseIdeaIds(ideas);
+
+    if (this.countUserConnections(userId) >= this.getMaxConnectionsPerUser()) {
+      throw new Error('Too many open streams for this user');
+    }
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      // no-transform keeps the compression middleware from buffering events
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const client = { id: this.nextClientId++, userId, ideaIds, res };
+    this.clients.set(client.id, client);
+
+    res.write(`retry: ${RETRY_MS}\n\n`);
+    if (lastEventId) {
+      this.replay(client, lastEventId);
+    }
+
+    this.startHeartbeat();
+
+    req.on('close', () => {
+      this.clients.delete(client.id);
+      if (this.clients.size === 0) {
+        this.stopHeartbeat();
+      }
+    });
+
+    return client;
+  }
+
+  /**
+   * Keeps idle connections open through proxies
+   */
+  startHeartbeat() {
+    if (this.heartbeatTimer) {
+      return;
+    }
+
+    const interval = parseInt(process.env.STREAM_HEARTBEAT_MS) || DEFAULT_HEARTBEAT_MS;
+    this.heartbeatTimer = setInterval(() => {
+      for (const client of this.clients.values()) {
+        this.write(client, ': ping\n\n');
+      }
+    }, interval);
+    this.heartbeatTimer.unref();
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * Ends every open stream so the HTTP server can shut down
+   */
+  closeAll() {
+    for (const client of this.clients.values()) {
+      client.res.end();
+    }
+    this.clients.clear();
+    this.stopHeartbeat();
+  }
+}
+
+export { StreamEventType };
+
+const streamService = new StreamService();
+
+// Push domain events to connected clients
+eventBus.subscribe('stream', Object.keys(STREAM_EVENT_TYPES), event => streamService.handleDomainEvent(event));
+
+export default streamService;
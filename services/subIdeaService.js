@@ -1,6 +1,10 @@
 import mongoose from 'mongoose';
 import { SubIdea, Idea, User } from '../models/index.js';
-import { SubIdeaStatus } from '../models/enums.js';
+import { SubIdeaStatus, DomainEventType, AuditEntityType } from '../models/enums.js';
+import rankingService from './rankingService.js';
+import cascadeService from './cascadeService.js';
+import revisionService from './revisionService.js';
+import eventBus from './eventBus.js';
 
 class SubIdeaService {
   /**
@@ -82,6 +86,17 @@ class SubIdeaService {
     return input.trim().replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '');
   }
 
+  /**
+   * Editable fields of a sub-idea, recorded before and after each change
+   */
+  toSnapshot(subIdea) {
+    return {
+      title: subIdea.title,
+      description: subIdea.description,
+      status: subIdea.status
+    };
+  }
+
   /**
    * Creates a new sub-idea
    */
@@ -110,7 +125,7 @@ class SubIdeaService {
       }
 
       // 2. Verify parent idea exists and is open
-      const parentIdea = await Idea.findById(ideaId);
+      const parentIdea = await Idea.findOne({ _id: ideaId, deletedAt: null });
       if (!parentIdea) {
         throw new Error('Parent idea not found');
       }
@@ -123,6 +138,7 @@ class SubIdeaService {
       const existingSubIdea = await SubIdea.findOne({
         authorId,
         ideaId,
+        deletedAt: null,
         title: { $regex: new RegExp(`^${title.trim()}$`, 'i') }
       });
 
@@ -148,6 +164,16 @@ class SubIdeaService {
       // 6. Populate author information
       await savedSubIdea.populate('author', 'name avatarUrl');
 
+      await eventBus.publish(DomainEventType.SUBIDEA_CREATED, {
+        ideaId: savedSubIdea.ideaId,
+        subIdeaId: savedSubIdea._id,
+        actorId: authorId,
+        title: savedSubIdea.title,
+        status: savedSubIdea.status,
+        before: null,
+        after: this.toSnapshot(savedSubIdea)
+      });
+
       return savedSubIdea.toObject();
     } catch (error) {
       console.error('Database error in createSubIdea:', error);
@@ -184,7 +210,7 @@ class SubIdeaService {
       } = filters;
 
       // Build query
-      const query = {};
+      const query = { hiddenAt: null, deletedAt: null };
 
       // Filter by idea
       if (ideaId) {
@@ -224,16 +250,19 @@ class SubIdeaService {
       const sortOptions = {};
       sortOptions[sortBy] = sortOrder === 'asc' ? 1 : -1;
 
-      // Execute query
+      // Execute query (computed rankings are sorted in an aggregation)
       const [subIdeas, totalCount] = await Promise.all([
-        SubIdea.find(query)
-          .populate('author', 'name avatarUrl')
-          .populate('idea', 'title status')
-          .select('title description status createdAt updatedAt')
-          .sort(sortOptions)
-          .skip(skip)
-          .limit(limitNum)
-          .exec(),
+        rankingService.isRankingSort(sortBy)
+          ? this.getRankedSubIdeas(query, { sortBy, sortOrder, skip, limit: limitNum })
+          : SubIdea.find(query)
+            .populate('author', 'name avatarUrl')
+            .populate('idea', 'title status')
+            .select('title description status score upvotes downvotes commentCount createdAt updatedAt')
+            .sort(sortOptions)
+            .skip(skip)
+            .limit(limitNum)
+            .exec()
+            .then(subIdeaDocs => subIdeaDocs.map(subIdea => subIdea.toObject())),
         SubIdea.countDocuments(query)
       ]);
 
@@ -243,7 +272,7 @@ class SubIdeaService {
       const hasPrevPage = page > 1;
 
       return {
-        subIdeas: subIdeas.map(subIdea => subIdea.toObject()),
+        subIdeas,
         pagination: {
           currentPage: parseInt(page),
           totalPages,
@@ -259,6 +288,42 @@ class SubIdeaService {
     }
   }
 
+  /**
+   * Gets a page of sub-ideas ranked by their vote and comment counters
+   */
+  async getRankedSubIdeas(query, { sortBy, sortOrder, skip, limit }) {
+    const matchStage = { ...query };
+    ['ideaId', 'authorId'].forEach(field => {
+      if (matchStage[field]) {
+        matchStage[field] = new mongoose.Types.ObjectId(matchStage[field]);
+      }
+    });
+
+    return SubIdea.aggregate([
+      { $match: matchStage },
+      ...rankingService.buildRankingStages(sortBy, sortOrder),
+      { $skip: skip },
+      { $limit: limit },
+      ...rankingService.buildPopulateStages(User.collection.name, 'authorId', 'author', ['name', 'avatarUrl']),
+      ...rankingService.buildPopulateStages(Idea.collection.name, 'ideaId', 'idea', ['title', 'status']),
+      {
+        $project: {
+          title: 1,
+          description: 1,
+          status: 1,
+          createdAt: 1,
+          updatedAt: 1,
+          author: 1,
+          idea: 1,
+          score: 1,
+          upvotes: 1,
+          downvotes: 1,
+          commentCount: 1
+        }
+      }
+    ]);
+  }
+
   /**
    * Gets sub-ideas for a specific idea
    */
@@ -276,7 +341,7 @@ class SubIdeaService {
         limit = 100
       } = filters;
 
-      const query = { status: SubIdeaStatus.OPEN_FOR_PROTOTYPING };
+      const query = { status: SubIdeaStatus.OPEN_FOR_PROTOTYPING, hiddenAt: null, deletedAt: null };
 
       // Search filter
       if (search) {
@@ -299,15 +364,21 @@ class SubIdeaService {
   }
 
   /**
-   * Gets a single sub-idea by ID
+   * Gets a single sub-idea by ID. Content hidden by a moderator is
+   * only shown to moderators.
    */
-  async getSubIdeaById(subIdeaId) {
+  async getSubIdeaById(subIdeaId, userRole = null) {
     if (!this.validateObjectId(subIdeaId)) {
       throw new Error('Invalid sub-idea ID');
     }
 
     try {
-      const subIdea = await SubIdea.findById(subIdeaId)
+      const query = { _id: subIdeaId, deletedAt: null };
+      if (userRole !== 'ADMIN' && userRole !== 'MODERATOR') {
+        query.hiddenAt = null;
+      }
+
+      const subIdea = await SubIdea.findOne(query)
         .populate('author', 'name avatarUrl')
         .populate('idea', 'title status authorId')
         .exec();
@@ -332,7 +403,7 @@ class SubIdeaService {
    * Updates a sub-idea
    */
   async updateSubIdea(subIdeaId, updateData, userId, userRole) {
-    const { title, description, status } = updateData;
+    const { title, description, status, revertedFrom } = updateData;
 
     // Validate input
     const validationErrors = this.validateSubIdeaUpdateInput(title, description, status);
@@ -347,7 +418,7 @@ class SubIdeaService {
 
     try {
       // 1. Get existing sub-idea
-      const existingSubIdea = await SubIdea.findById(subIdeaId).populate('idea');
+      const existingSubIdea = await SubIdea.findOne({ _id: subIdeaId, deletedAt: null }).populate('idea');
       if (!existingSubIdea) {
         throw new Error('Sub-idea not found');
       }
@@ -366,7 +437,8 @@ class SubIdeaService {
         const duplicateSubIdea = await SubIdea.findOne({
           ideaId: existingSubIdea.ideaId,
           title: { $regex: new RegExp(`^${title.trim()}$`, 'i') },
-          _id: { $ne: subIdeaId }
+          _id: { $ne: subIdeaId },
+          deletedAt: null
         });
 
         if (duplicateSubIdea) {
@@ -380,14 +452,33 @@ class SubIdeaService {
       if (description !== undefined) updateFields.description = this.sanitizeInput(description);
       if (status !== undefined) updateFields.status = status;
 
-      const updatedSubIdea = await SubIdea.findByIdAndUpdate(
-        subIdeaId,
+      // Skip the edit if the sub-idea was moved to the trash in the meantime
+      const updatedSubIdea = await SubIdea.findOneAndUpdate(
+        { _id: subIdeaId, deletedAt: null },
         updateFields,
         { new: true, runValidators: true }
       )
         .populate('author', 'name avatarUrl')
         .populate('idea', 'title status');
 
+      if (!updatedSubIdea) {
+        throw new Error('Sub-idea not found');
+      }
+
+      await revisionService.recordRevision(AuditEntityType.SUB_IDEA, existingSubIdea, updatedSubIdea, userId, revertedFrom);
+
+      const statusChanged = status !== undefined && status !== existingSubIdea.status;
+      await eventBus.publish(statusChanged ? DomainEventType.SUBIDEA_STATUS_CHANGED : DomainEventType.SUBIDEA_UPDATED, {
+        ideaId: existingSubIdea.ideaId,
+        subIdeaId: updatedSubIdea._id,
+        actorId: userId,
+        title: updatedSubIdea.title,
+        status: updatedSubIdea.status,
+        previousStatus: existingSubIdea.status,
+        before: this.toSnapshot(existingSubIdea),
+        after: this.toSnapshot(updatedSubIdea)
+      });
+
       return updatedSubIdea.toObject();
     } catch (error) {
       console.error('Database error in updateSubIdea:', error);
@@ -408,52 +499,184 @@ class SubIdeaService {
   }
 
   /**
-   * Deletes a sub-idea
+   * Finds a sub-idea the user may delete
    */
-  async deleteSubIdea(subIdeaId, userId, userRole) {
+  async findDeletableSubIdea(subIdeaId, userId, userRole) {
     // Validate ID
     if (!this.validateObjectId(subIdeaId)) {
       throw new Error('Invalid sub-idea ID');
     }
 
+    // 1. Get existing sub-idea
+    const existingSubIdea = await SubIdea.findOne({ _id: subIdeaId, deletedAt: null }).populate('idea');
+    if (!existingSubIdea) {
+      throw new Error('Sub-idea not found');
+    }
+
+    // 2. Check authorization (author, idea author, moderator or admin can delete)
+    const isAuthor = existingSubIdea.authorId.toString() === userId;
+    const isIdeaAuthor = existingSubIdea.idea.authorId.toString() === userId;
+    const isModerator = userRole === 'ADMIN' || userRole === 'MODERATOR';
+
+    if (!isAuthor && !isIdeaAuthor && !isModerator) {
+      throw new Error('Unauthorized: Only the sub-idea author, idea author, moderator or admin can delete this sub-idea');
+    }
+
+    return existingSubIdea;
+  }
+
+  /**
+   * Dry run of deleteSubIdea: lists the proposals and prototypes that would be
+   * deleted with the sub-idea and counts their votes and comments
+   */
+  async getSubIdeaDeletionPreview(subIdeaId, userId, userRole) {
     try {
-      // 1. Get existing sub-idea
-      const existingSubIdea = await SubIdea.findById(subIdeaId).populate('idea');
-      if (!existingSubIdea) {
-        throw new Error('Sub-idea not found');
-      }
+      const existingSubIdea = await this.findDeletableSubIdea(subIdeaId, userId, userRole);
+      const descendants = await cascadeService.findDescendants([existingSubIdea._id]);
 
-      // 2. Check authorization (author, idea author, or admin can delete)
-      const isAuthor = existingSubIdea.authorId.toString() === userId;
-      const isIdeaAuthor = existingSubIdea.idea.authorId.toString() === userId;
-      const isAdmin = userRole === 'ADMIN';
+      return {
+        subIdea: { id: existingSubIdea._id, ideaId: existingSubIdea.ideaId, title: existingSubIdea.title },
+        ...await cascadeService.describe([], descendants, [existingSubIdea._id])
+      };
+    } catch (error) {
+      console.error('Database error in getSubIdeaDeletionPreview:', error);
 
-      if (!isAuthor && !isIdeaAuthor && !isAdmin) {
-        throw new Error('Unauthorized: Only the sub-idea author, idea author, or admin can delete this sub-idea');
+      if (error.message.includes('not found') ||
+          error.message.includes('Invalid') ||
+          error.message.includes('Unauthorized')) {
+        throw error;
       }
 
-      // 3. Check if sub-idea has proposals (prevent deletion if it has proposals)
-      const { Proposal } = await import('../models/index.js');
-      const proposalCount = await Proposal.countDocuments({ subIdeaId });
-      
-      if (proposalCount > 0) {
-        throw new Error('Cannot delete sub-idea that has proposals. Please delete proposals first.');
-      }
+      throw new Error('Failed to preview sub-idea deletion');
+    }
+  }
 
-      // 4. Delete sub-idea
-      await SubIdea.findByIdAndDelete(subIdeaId);
+  /**
+   * Deletes a sub-idea together with its proposals and their prototypes, in
+   * one transaction, by moving them to the trash
+   */
+  async deleteSubIdea(subIdeaId, userId, userRole) {
+    const session = await mongoose.startSession();
+
+    try {
+      const existingSubIdea = await this.findDeletableSubIdea(subIdeaId, userId, userRole);
+
+      const result = await session.withTransaction(async () => {
+        const deletion = { deletedAt: new Date(), deletedBy: userId };
+
+        // 3. Find the proposals and prototypes under the sub-idea
+        const descendants = await cascadeService.findDescendants([existingSubIdea._id], { session });
+
+        // 4. Soft-delete sub-idea and its descendants
+        await SubIdea.findByIdAndUpdate(subIdeaId, deletion, { session });
+        await cascadeService.trashDescendants(existingSubIdea.ideaId, descendants, deletion, session);
 
-      return { message: 'Sub-idea deleted successfully' };
+        // 5. Publish the deletions with the transaction
+        await eventBus.publish(DomainEventType.SUBIDEA_DELETED, {
+          ideaId: existingSubIdea.ideaId,
+          subIdeaId: existingSubIdea._id,
+          actorId: userId,
+          title: existingSubIdea.title,
+          before: this.toSnapshot(existingSubIdea),
+          after: null
+        }, session);
+
+        await cascadeService.publishDescendants(existingSubIdea.ideaId, descendants, userId, false, session);
+
+        return {
+          message: 'Sub-idea deleted successfully',
+          deleted: {
+            proposals: descendants.proposals.length,
+            prototypes: descendants.prototypes.length
+          }
+        };
+      });
+
+      return result;
     } catch (error) {
       console.error('Database error in deleteSubIdea:', error);
       
       if (error.message.includes('not found') || 
-          error.message.includes('Unauthorized') ||
-          error.message.includes('Cannot delete')) {
+          error.message.includes('Invalid') ||
+          error.message.includes('Unauthorized')) {
         throw error;
       }
       
       throw new Error('Failed to delete sub-idea');
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Restores a deleted sub-idea from the trash, along with the proposals and
+   * prototypes that were deleted with it. Its idea has to be restored first.
+   */
+  async restoreSubIdea(subIdeaId, userId) {
+    // Validate ID
+    if (!this.validateObjectId(subIdeaId)) {
+      throw new Error('Invalid sub-idea ID');
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      const result = await session.withTransaction(async () => {
+        const existingSubIdea = await SubIdea.findById(subIdeaId).populate('idea').session(session);
+        if (!existingSubIdea) {
+          throw new Error('Sub-idea not found');
+        }
+
+        if (!existingSubIdea.deletedAt) {
+          throw new Error('Sub-idea is not deleted');
+        }
+
+        if (!existingSubIdea.idea || existingSubIdea.idea.deletedAt) {
+          throw new Error('Cannot restore a sub-idea whose idea is deleted. Restore the idea first.');
+        }
+
+        // 1. Find what the same delete took with it; anything deleted before stays in the trash
+        const descendants = await cascadeService.findDescendants([existingSubIdea._id], {
+          deletedAt: existingSubIdea.deletedAt,
+          session
+        });
+
+        // 2. Restore the sub-idea and its descendants
+        const restoredSubIdea = await SubIdea.findByIdAndUpdate(
+          subIdeaId,
+          { deletedAt: null, deletedBy: null },
+          { new: true, session }
+        );
+        await cascadeService.restoreDescendants(existingSubIdea.ideaId, descendants, session);
+
+        // 3. Publish the restores with the transaction
+        await eventBus.publish(DomainEventType.SUBIDEA_RESTORED, {
+          ideaId: restoredSubIdea.ideaId,
+          subIdeaId: restoredSubIdea._id,
+          actorId: userId,
+          title: restoredSubIdea.title,
+          before: null,
+          after: this.toSnapshot(restoredSubIdea)
+        }, session);
+
+        await cascadeService.publishDescendants(restoredSubIdea.ideaId, descendants, userId, true, session);
+
+        return restoredSubIdea.toObject();
+      });
+
+      return result;
+    } catch (error) {
+      console.error('Database error in restoreSubIdea:', error);
+
+      if (error.message.includes('not found') ||
+          error.message.includes('not deleted') ||
+          error.message.includes('Cannot restore')) {
+        throw error;
+      }
+
+      throw new Error('Failed to restore sub-idea');
+    } finally {
+      await session.endSession();
     }
   }
 
@@ -473,7 +696,7 @@ class SubIdeaService {
    */
   async getSubIdeaStats(authorId = null, ideaId = null) {
     try {
-      const matchStage = {};
+      const matchStage = { deletedAt: null };
       
       if (authorId) {
         if (!this.validateObjectId(authorId)) {
@@ -508,18 +731,17 @@ class SubIdeaService {
       // Get proposal counts for sub-ideas
       const { Proposal } = await import('../models/index.js');
       const proposalStats = await Proposal.aggregate([
-        ...(Object.keys(matchStage).length > 0 ? [
-          {
-            $lookup: {
-              from: 'subideas',
-              localField: 'subIdeaId',
-              foreignField: '_id',
-              as: 'subIdea'
-            }
-          },
-          { $unwind: '$subIdea' },
-          { $match: Object.fromEntries(Object.entries(matchStage).map(([key, value]) => [`subIdea.${key}`, value])) }
-        ] : []),
+        { $match: { deletedAt: null } },
+        {
+          $lookup: {
+            from: 'subideas',
+            localField: 'subIdeaId',
+            foreignField: '_id',
+            as: 'subIdea'
+          }
+        },
+        { $unwind: '$subIdea' },
+        { $match: Object.fromEntries(Object.entries(matchStage).map(([key, value]) => [`subIdea.${key}`, value])) },
         {
           $group: {
             _id: null,
@@ -564,7 +786,7 @@ class SubIdeaService {
 
     try {
       // 1. Get existing sub-idea
-      const existingSubIdea = await SubIdea.findById(subIdeaId).populate('idea');
+      const existingSubIdea = await SubIdea.findOne({ _id: subIdeaId, deletedAt: null }).populate('idea');
       if (!existingSubIdea) {
         throw new Error('Sub-idea not found');
       }
@@ -579,14 +801,31 @@ class SubIdeaService {
       }
 
       // 3. Update status
-      const updatedSubIdea = await SubIdea.findByIdAndUpdate(
-        subIdeaId,
+      const updatedSubIdea = await SubIdea.findOneAndUpdate(
+        { _id: subIdeaId, deletedAt: null },
         { status: newStatus },
         { new: true, runValidators: true }
       )
         .populate('author', 'name avatarUrl')
         .populate('idea', 'title status');
 
+      if (!updatedSubIdea) {
+        throw new Error('Sub-idea not found');
+      }
+
+      if (newStatus !== existingSubIdea.status) {
+        await eventBus.publish(DomainEventType.SUBIDEA_STATUS_CHANGED, {
+          ideaId: existingSubIdea.ideaId,
+          subIdeaId: updatedSubIdea._id,
+          actorId: userId,
+          title: updatedSubIdea.title,
+          status: updatedSubIdea.status,
+          previousStatus: existingSubIdea.status,
+          before: this.toSnapshot(existingSubIdea),
+          after: this.toSnapshot(updatedSubIdea)
+        });
+      }
+
       return updatedSubIdea.toObject();
     } catch (error) {
       console.error('Database error in changeSubIdeaStatus:', error);
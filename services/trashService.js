@@ -0,0 +1,240 @@
+import { Idea, SubIdea, Proposal, Prototype, Vote, Comment, Revision, ProposalReview, User } from '../models/index.js';
+import { AuditEntityType } from '../models/enums.js';
+import ideaService from './ideaService.js';
+import subIdeaService from './subIdeaService.js';
+import proposalService from './proposalService.js';
+import prototypeService from './prototypeService.js';
+import rankingService from './rankingService.js';
+
+// How long deleted content stays in the trash before it is purged
+const DEFAULT_RETENTION_DAYS = 30;
+
+// How often the trash is checked for expired content
+const DEFAULT_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Content that can be in the trash: its model, how the owning service restores
+// it, and the vote, comment and review fields pointing at it that go when it is purged
+const TRASH_TARGETS = {
+  [AuditEntityType.IDEA]: {
+    model: Idea,
+    restore: (id, userId) => ideaService.restoreIdea(id, userId),
+    voteField: null,
+    commentField: null,
+    reviewField: null
+  },
+  [AuditEntityType.SUB_IDEA]: {
+    model: SubIdea,
+    restore: (id, userId) => subIdeaService.restoreSubIdea(id, userId),
+    voteField: 'subIdeaId',
+    commentField: 'subIdeaId',
+    reviewField: null
+  },
+  [AuditEntityType.PROPOSAL]: {
+    model: Proposal,
+    restore: (id, userId) => proposalService.restoreProposal(id, userId),
+    voteField: 'proposalId',
+    commentField: null,
+    reviewField: 'proposalId'
+  },
+  [AuditEntityType.PROTOTYPE]: {
+    model: Prototype,
+    restore: (id, userId) => prototypeService.restorePrototype(id, userId),
+    voteField: 'prototypeId',
+    commentField: 'prototypeId',
+    reviewField: null
+  }
+};
+
+class TrashService {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  getTargetConfig(entityType) {
+    const config = TRASH_TARGETS[entityType];
+    if (!config) {
+      throw new Error(`Invalid entity type: must be one of ${Object.keys(TRASH_TARGETS).join(', ')}`);
+    }
+    return config;
+  }
+
+  getRetentionDays() {
+    return parseInt(process.env.TRASH_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+  }
+
+  /**
+   * Builds the stages that shape deleted documents of one type into trash items
+   */
+  buildTrashStages(entityType) {
+    return [
+      { $match: { deletedAt: { $ne: null } } },
+      {
+        $project: {
+          _id: 0,
+          entityType: { $literal: entityType },
+          id: '$_id',
+          title: 1,
+          authorId: 1,
+          deletedAt: 1,
+          deletedBy: 1,
+          createdAt: 1
+        }
+      }
+    ];
+  }
+
+  /**
+   * Gets deleted content across all types or one type, most recently deleted first
+   */
+  async getTrash(filters = {}) {
+    const { entityType, page = 1, limit = 20 } = filters;
+
+    const entityTypes = entityType ? [entityType] : Object.keys(TRASH_TARGETS);
+    entityTypes.forEach(type => this.getTargetConfig(type));
+
+    try {
+      // Pagination
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const limitNum = parseInt(limit);
+
+      const retentionMs = this.getRetentionDays() * 24 * 60 * 60 * 1000;
+      const [firstType, ...otherTypes] = entityTypes;
+
+      const [{ items, total }] = await TRASH_TARGETS[firstType].model.aggregate([
+        ...this.buildTrashStages(firstType),
+        ...otherTypes.map(type => ({
+          $unionWith: {
+            coll: TRASH_TARGETS[type].model.collection.name,
+            pipeline: this.buildTrashStages(type)
+          }
+        })),
+        {
+          $facet: {
+            items: [
+              { $sort: { deletedAt: -1, id: -1 } },
+              { $skip: skip },
+              { $limit: limitNum },
+              ...rankingService.buildPopulateStages(User.collection.name, 'deletedBy', 'deletedBy', ['name', 'email']),
+              { $addFields: { purgeAt: { $add: ['$deletedAt', retentionMs] } } }
+            ],
+            total: [{ $count: 'count' }]
+          }
+        }
+      ]);
+
+      const totalCount = total.length > 0 ? total[0].count : 0;
+
+      // Calculate pagination info
+      const totalPages = Math.ceil(totalCount / limitNum);
+      const hasNextPage = page < totalPages;
+      const hasPrevPage = page > 1;
+
+      return {
+        items,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage,
+          hasPrevPage,
+          limit: limitNum
+        }
+      };
+    } catch (error) {
+      console.error('Database error in getTrash:', error);
+      throw new Error('Failed to fetch trash');
+    }
+  }
+
+  /**
+   * Restores deleted content through the owning service
+   */
+  async restore(entityType, id, adminId) {
+    const { restore } = this.getTargetConfig(entityType);
+    return restore(id, adminId);
+  }
+
+  /**
+   * Permanently deletes content that has been in the trash longer than the
+   * retention period, together with its votes, comments, reviews and revisions
+   */
+  async purgeExpired(now = new Date()) {
+    const cutoff = new Date(now.getTime() - this.getRetentionDays() * 24 * 60 * 60 * 1000);
+    const purged = {};
+
+    for (const [entityType, { model, voteField, commentField, reviewField }] of Object.entries(TRASH_TARGETS)) {
+      const expired = await model.find({ deletedAt: { $ne: null, $lt: cutoff } }).select('_id').lean();
+      purged[entityType] = 0;
+
+      for (const { _id } of expired) {
+        // Re-check deletedAt so content restored in the meantime is kept
+        const removed = await model.findOneAndDelete({ _id, deletedAt: { $ne: null, $lt: cutoff } });
+        if (!removed) {
+          continue;
+        }
+
+        if (voteField) {
+          await Vote.deleteMany({ [voteField]: _id });
+        }
+        if (commentField) {
+          await Comment.deleteMany({ [commentField]: _id });
+        }
+        if (reviewField) {
+          await ProposalReview.deleteMany({ [reviewField]: _id });
+        }
+        await Revision.deleteMany({ entityType, entityId: _id });
+
+        purged[entityType] += 1;
+      }
+    }
+
+    return purged;
+  }
+
+  /**
+   * Purges expired content. Runs never overlap within one process.
+   */
+  async runOnce(now = new Date()) {
+    if (this.isRunning) {
+      return null;
+    }
+
+    this.isRunning = true;
+    try {
+      return await this.purgeExpired(now);
+    } catch (error) {
+      console.error('Trash purge error:', error);
+      return null;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Starts the purge job
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const interval = parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || DEFAULT_PURGE_INTERVAL_MS;
+    this.timer = setInterval(() => this.runOnce(), interval);
+
+    // The purge job alone should not keep the process alive
+    this.timer.unref();
+  }
+
+  /**
+   * Stops the purge job
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+export default new TrashService();
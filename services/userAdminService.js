@@ -0,0 +1,405 @@
+import mongoose from 'mongoose';
+import {
+  User,
+  Idea,
+  SubIdea,
+  Proposal,
+  Prototype,
+  Vote,
+  Comment,
+  RefreshToken,
+  AuditLog
+} from '../models/index.js';
+import { UserRole } from '../models/enums.js';
+import authMiddleware from '../middleware/authMiddleware.js';
+import authService from './authService.js';
+
+// Reset links sent by an admin stay valid longer than self-service ones
+const FORCED_RESET_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Audit log entries shown in a user's activity summary
+const RECENT_ACTIVITY_LIMIT = 10;
+
+const USER_SORT_FIELDS = ['createdAt', 'name', 'email'];
+
+class UserAdminService {
+  /**
+   * Validates MongoDB ObjectId
+   */
+  validateObjectId(id) {
+    return mongoose.Types.ObjectId.isValid(id);
+  }
+
+  /**
+   * Sanitizes input strings
+   */
+  sanitizeInput(input) {
+    if (typeof input !== 'string') return input;
+    return input.trim().replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '');
+  }
+
+  /**
+   * Escapes characters that have a meaning in regular expressions
+   */
+  escapeRegex(input) {
+    return input.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Formats the fields of a user that admins may see
+   */
+  formatUser(user) {
+    return {
+      id: user._id.toHexString(),
+      name: user.name,
+      email: user.email,
+      avatarUrl: user.avatarUrl,
+      role: user.role,
+      emailVerified: user.emailVerified,
+      suspendedAt: user.suspendedAt,
+      suspendedBy: user.suspendedBy,
+      suspensionReason: user.suspensionReason,
+      passwordResetRequired: user.passwordResetRequired,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt
+    };
+  }
+
+  async findUser(userId) {
+    if (!this.validateObjectId(userId)) {
+      throw new Error('Invalid user ID');
+    }
+
+    const user = await User.findById(userId).exec();
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return user;
+  }
+
+  /**
+   * Searches users by name or email with filtering and pagination
+   */
+  async getUsers(filters = {}) {
+    const {
+      search,
+      role,
+      status,
+      page = 1,
+      limit = 20,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = filters;
+
+    if (role && !Object.values(UserRole).includes(role)) {
+      throw new Error('Invalid role');
+    }
+
+    if (status && !['active', 'suspended'].includes(status)) {
+      throw new Error('Invalid status: must be active or suspended');
+    }
+
+    try {
+      // Build query
+      const query = {};
+
+      if (role) {
+        query.role = role;
+      }
+
+      if (status === 'active') {
+        query.suspendedAt = null;
+      } else if (status === 'suspended') {
+        query.suspendedAt = { $ne: null };
+      }
+
+      if (search) {
+        const pattern = this.escapeRegex(this.sanitizeInput(search));
+        query.$or = [
+          { name: { $regex: pattern, $options: 'i' } },
+          { email: { $regex: pattern, $options: 'i' } }
+        ];
+      }
+
+      // Pagination
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const limitNum = parseInt(limit);
+
+      // Sorting
+      const sortField = USER_SORT_FIELDS.includes(sortBy) ? sortBy : 'createdAt';
+      const sort = { [sortField]: sortOrder === 'asc' ? 1 : -1, _id: 1 };
+
+      const [users, totalCount] = await Promise.all([
+        User.find(query)
+          .sort(sort)
+          .skip(skip)
+          .limit(limitNum)
+          .exec(),
+        User.countDocuments(query)
+      ]);
+
+      // Calculate pagination info
+      const totalPages = Math.ceil(totalCount / limitNum);
+      const hasNextPage = page < totalPages;
+      const hasPrevPage = page > 1;
+
+      return {
+        users: users.map(user => this.formatUser(user)),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage,
+          hasPrevPage,
+          limit: limitNum
+        }
+      };
+    } catch (error) {
+      console.error('Database error in getUsers:', error);
+      throw new Error('Failed to fetch users');
+    }
+  }
+
+  /**
+   * Gets a user with an activity summary: content counts, sessions and
+   * their most recent audited changes
+   */
+  async getUserActivity(userId) {
+    try {
+      const user = await this.findUser(userId);
+      const authorId = user._id;
+      const now = new Date();
+
+      const [
+        ideas,
+        subIdeas,
+        proposalsByStatus,
+        prototypes,
+        teamMemberships,
+        votes,
+        comments,
+        activeSessions,
+        lastSession,
+        recentActivity
+      ] = await Promise.all([
+        Idea.countDocuments({ authorId, deletedAt: null }),
+        SubIdea.countDocuments({ authorId, deletedAt: null }),
+        Proposal.aggregate([
+          { $match: { authorId, deletedAt: null } },
+          { $group: { _id: '$status', count: { $sum: 1 } } }
+        ]),
+        Prototype.countDocuments({ authorId, deletedAt: null }),
+        Prototype.countDocuments({ 'team.userId': authorId, deletedAt: null }),
+        Vote.countDocuments({ userId: authorId }),
+        Comment.countDocuments({ authorId }),
+        RefreshToken.countDocuments({ userId: authorId, usedAt: null, revokedAt: null, expiresAt: { $gt: now } }),
+        RefreshToken.findOne({ userId: authorId }).sort({ createdAt: -1 }).select('createdAt').exec(),
+        AuditLog.find({ actorId: authorId })
+          .sort({ createdAt: -1, _id: -1 })
+          .limit(RECENT_ACTIVITY_LIMIT)
+          .exec()
+      ]);
+
+      const proposals = Object.fromEntries(proposalsByStatus.map(({ _id, count }) => [_id, count]));
+
+      return {
+        user: this.formatUser(user),
+        counts: {
+          ideas,
+          subIdeas,
+          proposals: {
+            total: proposalsByStatus.reduce((sum, { count }) => sum + count, 0),
+            byStatus: proposals
+          },
+          prototypes,
+          teamMemberships,
+          votes,
+          comments
+        },
+        sessions: {
+          active: activeSessions,
+          // Sessions rotate on every refresh, so this is the last time the user was seen
+          lastActiveAt: lastSession ? lastSession.createdAt : null
+        },
+        recentActivity: recentActivity.map(entry => entry.toObject({ virtuals: true }))
+      };
+    } catch (error) {
+      console.error('Database error in getUserActivity:', error);
+
+      if (error.message.includes('not found') || error.message.includes('Invalid')) {
+        throw error;
+      }
+
+      throw new Error('Failed to fetch user activity');
+    }
+  }
+
+  /**
+   * Changes a user's role. Admins cannot change their own role, so there is
+   * always at least one admin left.
+   */
+  async changeRole(userId, role, adminId) {
+    if (!Object.values(UserRole).includes(role)) {
+      throw new Error(`Invalid role: must be one of ${Object.values(UserRole).join(', ')}`);
+    }
+
+    if (userId === adminId) {
+      throw new Error('Cannot change your own role');
+    }
+
+    try {
+      const user = await this.findUser(userId);
+      const previousRole = user.role;
+
+      if (previousRole !== role) {
+        user.role = role;
+        await user.save();
+
+        authMiddleware.logSecurityEvent('USER_ROLE_CHANGED', {
+          userId,
+          changedBy: adminId,
+          previousRole,
+          role
+        });
+      }
+
+      return this.formatUser(user);
+    } catch (error) {
+      console.error('Database error in changeRole:', error);
+
+      if (error.message.includes('not found') || error.message.includes('Invalid')) {
+        throw error;
+      }
+
+      throw new Error('Failed to change user role');
+    }
+  }
+
+  /**
+   * Suspends a user: they can no longer log in, and existing access and
+   * refresh tokens are rejected
+   */
+  async suspendUser(userId, adminId, reason) {
+    if (reason !== undefined && reason !== null &&
+        (typeof reason !== 'string' || reason.trim().length > 500)) {
+      throw new Error('Reason must be a string of at most 500 characters');
+    }
+
+    if (userId === adminId) {
+      throw new Error('Cannot suspend your own account');
+    }
+
+    try {
+      const user = await this.findUser(userId);
+
+      if (user.suspendedAt) {
+        throw new Error('User is already suspended');
+      }
+
+      user.suspendedAt = new Date();
+      user.suspendedBy = adminId;
+      user.suspensionReason = reason ? this.sanitizeInput(reason) : null;
+      await user.save();
+
+      // Refreshing is refused for suspended users as well; revoking keeps the sessions list accurate
+      await RefreshToken.updateMany(
+        { userId: user._id, revokedAt: null },
+        { revokedAt: new Date() }
+      ).exec();
+
+      authMiddleware.logSecurityEvent('USER_SUSPENDED', {
+        userId,
+        suspendedBy: adminId,
+        reason: user.suspensionReason
+      });
+
+      return this.formatUser(user);
+    } catch (error) {
+      console.error('Database error in suspendUser:', error);
+
+      if (error.message.includes('not found') ||
+          error.message.includes('Invalid') ||
+          error.message.includes('already')) {
+        throw error;
+      }
+
+      throw new Error('Failed to suspend user');
+    }
+  }
+
+  /**
+   * Lifts a suspension; the user has to log in again
+   */
+  async unsuspendUser(userId, adminId) {
+    try {
+      const user = await this.findUser(userId);
+
+      if (!user.suspendedAt) {
+        throw new Error('User is not suspended');
+      }
+
+      user.suspendedAt = null;
+      user.suspendedBy = null;
+      user.suspensionReason = null;
+      await user.save();
+
+      authMiddleware.logSecurityEvent('USER_UNSUSPENDED', {
+        userId,
+        unsuspendedBy: adminId
+      });
+
+      return this.formatUser(user);
+    } catch (error) {
+      console.error('Database error in unsuspendUser:', error);
+
+      if (error.message.includes('not found') ||
+          error.message.includes('Invalid') ||
+          error.message.includes('not suspended')) {
+        throw error;
+      }
+
+      throw new Error('Failed to unsuspend user');
+    }
+  }
+
+  /**
+   * Logs the user out everywhere, refuses logins until the password is
+   * reset and emails a reset link
+   */
+  async forcePasswordReset(userId, adminId) {
+    try {
+      const user = await this.findUser(userId);
+
+      const resetToken = authService.generateResetToken();
+      user.resetToken = resetToken;
+      user.resetTokenExpiry = new Date(Date.now() + FORCED_RESET_TOKEN_TTL_MS);
+      user.passwordResetRequired = true;
+      await user.save();
+
+      await authService.logoutAllDevices(user._id);
+      await authService.sendPasswordResetEmail(user.email, resetToken);
+
+      authMiddleware.logSecurityEvent('PASSWORD_RESET_FORCED', {
+        userId,
+        requestedBy: adminId
+      });
+
+      return {
+        user: this.formatUser(user),
+        // In development, you might want to return the token for testing
+        ...(process.env.NODE_ENV === 'development' && { resetToken })
+      };
+    } catch (error) {
+      console.error('Database error in forcePasswordReset:', error);
+
+      if (error.message.includes('not found') || error.message.includes('Invalid')) {
+        throw error;
+      }
+
+      throw new Error('Failed to force password reset');
+    }
+  }
+}
+
+export default new UserAdminService();
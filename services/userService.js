@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+import { User } from '../models/index.js';
+import ideaService from './ideaService.js';
+import subIdeaService from './subIdeaService.js';
+import proposalService from './proposalService.js';
+import prototypeService from './prototypeService.js';
+
+class UserService {
+  /**
+   * Validates ObjectId
+   */
+  validateObjectId(id) {
+    return mongoose.Types.ObjectId.isValid(id);
+  }
+
+  /**
+   * Formats the fields of a user that anyone may see
+   */
+  formatPublicUser(user) {
+    return {
+      id: user._id.toHexString(),
+      name: user.name,
+      avatarUrl: user.avatarUrl,
+      role: user.role,
+      joinedAt: user.createdAt
+    };
+  }
+
+  /**
+   * Gets a user's public profile with counts and paginated lists of their
+   * ideas, sub-ideas, proposals, prototypes and prototype team memberships
+   */
+  async getPublicProfile(userId, filters = {}) {
+    if (!this.validateObjectId(userId)) {
+      throw new Error('Invalid user ID');
+    }
+
+    const { page = 1, limit = 10 } = filters;
+
+    // Every status is shown on a profile, not just open ideas
+    const listFilters = { page, limit, status: null, sortBy: 'createdAt', sortOrder: 'desc' };
+
+    try {
+      const user = await User.findById(userId)
+        .select('name avatarUrl role createdAt')
+        .exec();
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const [ideas, subIdeas, proposals, prototypes, teamPrototypes] = await Promise.all([
+        ideaService.getIdeasByAuthor(userId, listFilters),
+        subIdeaService.getSubIdeasByAuthor(userId, listFilters),
+        proposalService.getProposalsByAuthor(userId, listFilters),
+        prototypeService.getPrototypesByAuthor(userId, listFilters),
+        prototypeService.getPrototypesByTeamMember(userId, listFilters)
+      ]);
+
+      return {
+        user: this.formatPublicUser(user),
+        counts: {
+          ideas: ideas.pagination.totalCount,
+          subIdeas: subIdeas.pagination.totalCount,
+          proposals: proposals.pagination.totalCount,
+          prototypes: prototypes.pagination.totalCount,
+          teamMemberships: teamPrototypes.pagination.totalCount
+        },
+        ideas: { items: ideas.ideas, pagination: ideas.pagination },
+        subIdeas: { items: subIdeas.subIdeas, pagination: subIdeas.pagination },
+        proposals: { items: proposals.proposals, pagination: proposals.pagination },
+        prototypes: { items: prototypes.prototypes, pagination: prototypes.pagination },
+        teamPrototypes: { items: teamPrototypes.prototypes, pagination: teamPrototypes.pagination }
+      };
+    } catch (error) {
+      console.error('Database error in getPublicProfile:', error);
+
+      if (error.message.includes('not found') || error.message.includes('Invalid')) {
+        throw error;
+      }
+
+      throw new Error('Failed to fetch user profile');
+    }
+  }
+}
+
+export default new UserService();
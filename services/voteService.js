@@ -0,0 +1,264 @@
+import mongoose from 'mongoose';
+import { Vote, SubIdea, Proposal, Prototype } from '../models/index.js';
+import { DomainEventType } from '../models/enums.js';
+import eventBus from './eventBus.js';
+
+// Votable entities and the Vote field that points at each of them
+const VOTE_TARGETS = {
+  subIdea: { model: SubIdea, field: 'subIdeaId', label: 'Sub-idea' },
+  proposal: { model: Proposal, field: 'proposalId', label: 'Proposal' },
+  prototype: { model: Prototype, field: 'prototypeId', label: 'Prototype' }
+};
+
+class VoteService {
+  /**
+   * Validates vote value
+   */
+  validateVoteValue(value) {
+    const errors = [];
+
+    if (value !== 1 && value !== -1) {
+      errors.push('Vote value must be either 1 or -1');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validates ObjectId
+   */
+  validateObjectId(id) {
+    return mongoose.Types.ObjectId.isValid(id);
+  }
+
+  /**
+   * Resolves the model and Vote field for a target type
+   */
+  getTargetConfig(targetType) {
+    const config = VOTE_TARGETS[targetType];
+    if (!config) {
+      throw new Error('Invalid vote target type');
+    }
+    return config;
+  }
+
+  /**
+   * Verifies that the voted entity exists
+   */
+  async verifyTargetExists(targetType, targetId) {
+    const { model, label } = this.getTargetConfig(targetType);
+
+    if (!this.validateObjectId(targetId)) {
+      throw new Error(`Invalid ${label.toLowerCase()} ID`);
+    }
+
+    const target = await model.findOne({ _id: targetId, deletedAt: null }).select('_id').exec();
+    if (!target) {
+      throw new Error(`${label} not found`);
+    }
+
+    return target;
+  }
+
+  /**
+   * Builds the counter changes for moving a user's vote from oldValue to
+   * newValue (0 means no vote)
+   */
+  buildCounterDelta(oldValue, newValue) {
+    return {
+      score: newValue - oldValue,
+      upvotes: (newValue === 1 ? 1 : 0) - (oldValue === 1 ? 1 : 0),
+      downvotes: (newValue === -1 ? 1 : 0) - (oldValue === -1 ? 1 : 0)
+    };
+  }
+
+  /**
+   * Formats the vote counters of a target for API responses
+   */
+  formatVoteSummary(target, userVote) {
+    return {
+      score: target.score || 0,
+      upvotes: target.upvotes || 0,
+      downvotes: target.downvotes || 0,
+      userVote
+    };
+  }
+
+  /**
+   * Publishes a target's new counters after a vote changed, with the vote's
+   * transaction
+   */
+  async publishVoteChanged(targetType, targetId, userId, summary, session) {
+    const { field } = this.getTargetConfig(targetType);
+    const { score, upvotes, downvotes, userVote } = summary;
+
+    await eventBus.publish(DomainEventType.VOTE_CHANGED, {
+      [field]: targetId,
+      actorId: userId,
+      targetType,
+      value: userVote,
+      score,
+      upvotes,
+      downvotes
+    }, session);
+  }
+
+  /**
+   * Gets score totals for a target and the given user's current vote
+   */
+  async getVoteSummary(targetType, targetId, userId = null) {
+    const { model, field } = this.getTargetConfig(targetType);
+    await this.verifyTargetExists(targetType, targetId);
+
+    try {
+      const [target, userVote] = await Promise.all([
+        model.findById(targetId).select('score upvotes downvotes').exec(),
+        userId ? Vote.findOne({ userId, [field]: targetId }).select('value').exec() : null
+      ]);
+
+      return this.formatVoteSummary(target, userVote ? userVote.value : 0);
+    } catch (error) {
+      console.error('Database error in getVoteSummary:', error);
+      throw new Error('Failed to fetch vote summary');
+    }
+  }
+
+  /**
+   * Casts, changes or toggles off a user's vote on a target
+   */
+  async castVote(targetType, targetId, userId, value) {
+    // Validate input
+    const validationErrors = this.validateVoteValue(value);
+    if (validationErrors.length > 0) {
+      throw new Error(validationErrors.join(', '));
+    }
+
+    if (!this.validateObjectId(userId)) {
+      throw new Error('Invalid user ID');
+    }
+
+    const { model, field, label } = this.getTargetConfig(targetType);
+    if (!this.validateObjectId(targetId)) {
+      throw new Error(`Invalid ${label.toLowerCase()} ID`);
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      const result = await session.withTransaction(async () => {
+        // 1. Verify target exists
+        const target = await model.findOne({ _id: targetId, deletedAt: null }).select('_id').session(session);
+        if (!target) {
+          throw new Error(`${label} not found`);
+        }
+
+        // 2. Apply the vote (repeating the same vote removes it)
+        const existingVote = await Vote.findOne({ userId, [field]: targetId }).session(session);
+        const oldValue = existingVote ? existingVote.value : 0;
+        const newValue = oldValue === value ? 0 : value;
+
+        if (newValue === 0) {
+          await Vote.deleteOne({ _id: existingVote._id }).session(session);
+        } else if (existingVote) {
+          existingVote.value = newValue;
+          await existingVote.save({ session });
+        } else {
+          await new Vote({ value: newValue, userId, [field]: targetId }).save({ session });
+        }
+
+        // 3. Update denormalized counters on the target
+        const updatedTarget = await model.findByIdAndUpdate(
+          targetId,
+          { $inc: this.buildCounterDelta(oldValue, newValue) },
+          { new: true, session }
+        ).select('score upvotes downvotes');
+
+        const summary = this.formatVoteSummary(updatedTarget, newValue);
+
+        // 4. Publish the new counters
+        await this.publishVoteChanged(targetType, targetId, userId, summary, session);
+
+        return summary;
+      });
+
+      return result;
+    } catch (error) {
+      console.error('Database error in castVote:', error);
+
+      if (error.message.includes('not found')) {
+        throw error;
+      }
+
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(err => err.message);
+        throw new Error(messages.join(', '));
+      }
+
+      throw new Error('Failed to cast vote');
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Removes a user's vote from a target
+   */
+  async removeVote(targetType, targetId, userId) {
+    if (!this.validateObjectId(userId)) {
+      throw new Error('Invalid user ID');
+    }
+
+    const { model, field, label } = this.getTargetConfig(targetType);
+    if (!this.validateObjectId(targetId)) {
+      throw new Error(`Invalid ${label.toLowerCase()} ID`);
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      const result = await session.withTransaction(async () => {
+        // 1. Verify target exists
+        const target = await model.findOne({ _id: targetId, deletedAt: null })
+          .select('score upvotes downvotes')
+          .session(session);
+        if (!target) {
+          throw new Error(`${label} not found`);
+        }
+
+        // 2. Remove the vote, if any
+        const existingVote = await Vote.findOneAndDelete({ userId, [field]: targetId }).session(session);
+        if (!existingVote) {
+          return this.formatVoteSummary(target, 0);
+        }
+
+        // 3. Update denormalized counters on the target
+        const updatedTarget = await model.findByIdAndUpdate(
+          targetId,
+          { $inc: this.buildCounterDelta(existingVote.value, 0) },
+          { new: true, session }
+        ).select('score upvotes downvotes');
+
+        const summary = this.formatVoteSummary(updatedTarget, 0);
+
+        // 4. Publish the new counters
+        await this.publishVoteChanged(targetType, targetId, userId, summary, session);
+
+        return summary;
+      });
+
+      return result;
+    } catch (error) {
+      console.error('Database error in removeVote:', error);
+
+      if (error.message.includes('not found')) {
+        throw error;
+      }
+
+      throw new Error('Failed to remove vote');
+    } finally {
+      await session.endSession();
+    }
+  }
+}
+
+export default new VoteService();
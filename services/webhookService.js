@@ -0,0 +1,608 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import validator from 'validator';
+import { Webhook, WebhookDelivery } from '../models/index.js';
+import { DomainEventType, WebhookDeliveryStatus } from '../models/enums.js';
+import eventBus from './eventBus.js';
+
+// Events webhooks can subscribe to: idea, sub-idea, proposal and prototype changes
+const WEBHOOK_EVENT_TYPES = Object.values(DomainEventType)
+  .filter(type => /^(Idea|SubIdea|Proposal|Prototype)/.test(type));
+
+// The first retry waits RETRY_BASE_DELAY_MS and each later retry doubles the wait
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 8;
+
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const DEFAULT_POLL_INTERVAL_MS = 30 * 1000;
+const DELIVERY_BATCH_SIZE = 50;
+
+// How long a process may hold a delivery before others consider it abandoned
+const LOCK_DURATION_MS = 60 * 1000;
+
+// Response bodies are truncated to this many characters in the delivery log
+const MAX_RESPONSE_BODY_LENGTH = 1000;
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+class WebhookService {
+  constructor() {
+    this.timer = null;
+    this.isProcessing = false;
+    this.hasQueuedRun = false;
+  }
+
+  /**
+   * Validates webhook input; partial updates only validate the given fields
+   */
+  validateWebhookInput({ url, eventTypes, description, active }, isUpdate = false) {
+    const errors = [];
+
+    if (!isUpdate || url !== undefined) {
+      if (!url || typeof url !== 'string' ||
+          !validator.isURL(url, { protocols: ['http', 'https'], require_protocol: true, require_tld: process.env.NODE_ENV === 'production' })) {
+        errors.push('Invalid webhook URL: must be an http or https URL');
+      }
+    }
+
+    if (!isUpdate || eventTypes !== undefined) {
+      if (!Array.isArray(eventTypes) || eventTypes.length === 0) {
+        errors.push('At least one event type is required');
+      } else {
+        const invalidTypes = eventTypes.filter(type => !WEBHOOK_EVENT_TYPES.includes(type));
+        if (invalidTypes.length > 0) {
+          errors.push(`Invalid event types: ${invalidTypes.join(', ')}`);
+        }
+      }
+    }
+
+    if (description !== undefined && (typeof description !== 'string' || description.length > 200)) {
+      errors.push('Description must be a string of at most 200 characters');
+    }
+
+    if (active !== undefined && typeof active !== 'boolean') {
+      errors.push('Active must be true or false');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validates ObjectId
+   */
+  validateObjectId(id) {
+    return mongoose.Types.ObjectId.isValid(id);
+  }
+
+  getMaxAttempts() {
+    return parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS;
+  }
+
+  getTimeoutMs() {
+    return parseInt(process.env.WEBHOOK_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Signs a delivery: HMAC-SHA256 over "<timestamp>.<body>" with the webhook secret
+   */
+  signPayload(secret, timestamp, body) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${signature}`;
+  }
+
+  /**
+   * Formats a webhook for API responses; the secret is only included when
+   * it was just created or rotated
+   */
+  formatWebhook(webhook, secret = null) {
+    const formatted = {
+      id: webhook._id.toHexString(),
+      url: webhook.url,
+      description: webhook.description,
+      eventTypes: webhook.eventTypes,
+      active: webhook.active,
+      createdBy: webhook.createdBy,
+      lastDeliveryAt: webhook.lastDeliveryAt,
+      createdAt: webhook.createdAt,
+      updatedAt: webhook.updatedAt
+    };
+
+    if (secret) {
+      formatted.secret = secret;
+    }
+
+    return formatted;
+  }
+
+  async findWebhook(webhookId) {
+    if (!this.validateObjectId(webhookId)) {
+      throw new Error('Invalid webhook ID');
+    }
+
+    const webhook = await Webhook.findById(webhookId).exec();
+    if (!webhook) {
+      throw new Error('Webhook not found');
+    }
+
+    return webhook;
+  }
+
+  /**
+   * Lists the event types webhooks can subscribe to
+   */
+  getEventTypes() {
+    return WEBHOOK_EVENT_TYPES;
+  }
+
+  /**
+   * Creates a webhook subscription and returns its signing secret once
+   */
+  async createWebhook(webhookData, adminId) {
+    const { url, eventTypes, description, active } = webhookData;
+
+    const validationErrors = this.validateWebhookInput({ url, eventTypes, description, active });
+    if (validationErrors.length > 0) {
+      throw new Error(validationErrors.join(', '));
+    }
+
+    try {
+      const secret = this.generateSecret();
+
+      const webhook = await Webhook.create({
+        url: url.trim(),
+        description: description ? description.trim() : '',
+        eventTypes: [...new Set(eventTypes)],
+        active: active !== undefined ? active : true,
+        secret,
+        createdBy: adminId
+      });
+
+      return this.formatWebhook(webhook, secret);
+    } catch (error) {
+      console.error('Database error in createWebhook:', error);
+
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(err => err.message);
+        throw new Error(messages.join(', '));
+      }
+
+      throw new Error('Failed to create webhook');
+    }
+  }
+
+  /**
+   * Lists all webhook subscriptions
+   */
+  async getWebhooks() {
+    try {
+      const webhooks = await Webhook.find().sort({ createdAt: -1 }).exec();
+      return webhooks.map(webhook => this.formatWebhook(webhook));
+    } catch (error) {
+      console.error('Database error in getWebhooks:', error);
+      throw new Error('Failed to fetch webhooks');
+    }
+  }
+
+  async getWebhookById(webhookId) {
+    try {
+      const webhook = await this.findWebhook(webhookId);
+      return this.formatWebhook(webhook);
+    } catch (error) {
+      console.error('Database error in getWebhookById:', error);
+
+      if (error.message.includes('not found') || error.message.includes('Invalid')) {
+        throw error;
+      }
+
+      throw new Error('Failed to fetch webhook');
+    }
+  }
+
+  /**
+   * Updates a webhook; rotateSecret issues a new signing secret
+   */
+  async updateWebhook(webhookId, updateData) {
+    const { url, eventTypes, description, active, rotateSecret } = updateData;
+
+    const validationErrors = this.validateWebhookInput({ url, eventTypes, description, active }, true);
+    if (validationErrors.length > 0) {
+      throw new Error(validationErrors.join(', '));
+    }
+
+    try {
+      await this.findWebhook(webhookId);
+
+      const updateFields = {};
+      if (url !== undefined) updateFields.url = url.trim();
+      if (eventTypes !== undefined) updateFields.eventTypes = [...new Set(eventTypes)];
+      if (description !== undefined) updateFields.description = description.trim();
+      if (active !== undefined) updateFields.active = active;
+
+      let secret = null;
+      if (rotateSecret === true) {
+        secret = this.generateSecret();
+        updateFields.secret = secret;
+      }
+
+      const webhook = await Webhook.findByIdAndUpdate(
+        webhookId,
+        updateFields,
+        { new: true, runValidators: true }
+      ).exec();
+
+      return this.formatWebhook(webhook, secret);
+    } catch (error) {
+      console.error('Database error in updateWebhook:', error);
+
+      if (error.message.includes('not found') || error.message.includes('Invalid')) {
+        throw error;
+      }
+
+      if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(err => err.message);
+        throw new Error(messages.join(', '));
+      }
+
+      throw new Error('Failed to update webhook');
+    }
+  }
+
+  /**
+   * Deletes a webhook together with its delivery log
+   */
+  async deleteWebhook(webhookId) {
+    try {
+      await this.findWebhook(webhookId);
+
+      await Webhook.findByIdAndDelete(webhookId).exec();
+      await WebhookDelivery.deleteMany({ webhookId }).exec();
+
+      return { message: 'Webhook deleted successfully' };
+    } catch (error) {
+      console.error('Database error in deleteWebhook:', error);
+
+      if (error.message.includes('not found') || error.message.includes('Invalid')) {
+        throw error;
+      }
+
+      throw new Error('Failed to delete webhook');
+    }
+  }
+
+  /**
+   * Builds the JSON body sent for an event
+   */
+  buildPayload(event) {
+    return {
+      eventId: event.id,
+      type: event.type,
+      occurredAt: event.occurredAt,
+      data: event.payload
+    };
+  }
+
+  /**
+   * Queues a delivery to every active webhook subscribed to the event
+   */
+  async handleDomainEvent(event) {
+    const webhooks = await Webhook.find({ active: true, eventTypes: event.type })
+      .select('_id')
+      .exec();
+
+    if (webhooks.length === 0) {
+      return;
+    }
+
+    const payload = this.buildPayload(event);
+
+    // Upserts keep a retried subscriber from queueing the same delivery twice
+    try {
+      await WebhookDelivery.bulkWrite(webhooks.map(webhook => ({
+        updateOne: {
+          filter: { webhookId: webhook._id, eventId: event.id, redeliveryOf: null },
+          update: { $setOnInsert: { eventType: event.type, payload } },
+          upsert: true
+        }
+      })), { ordered: false });
+    } catch (error) {
+      // A concurrent run for the same event queued them first; the unique index kept them single
+      const writeErrors = [].concat(error.writeErrors || []);
+      if (writeErrors.length === 0 || !writeErrors.every(writeError => writeError.code === 11000)) {
+        throw error;
+      }
+    }
+
+    // Send in the background so publishing is not held up by slow endpoints
+    this.processDueDeliveries().catch(error => {
+      console.error('Webhook delivery error:', error);
+    });
+  }
+
+  /**
+   * Sends one delivery and records the response. Failed deliveries are
+   * rescheduled with exponential backoff until the attempt limit.
+   */
+  async attemptDelivery(deliveryId) {
+    const now = new Date();
+
+    // Lock the delivery so concurrent senders skip it
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      {
+        _id: deliveryId,
+        status: WebhookDeliveryStatus.PENDING,
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      { lockedUntil: new Date(now.getTime() + LOCK_DURATION_MS) },
+      { new: true }
+    ).exec();
+
+    if (!delivery) {
+      return null;
+    }
+
+    const webhook = await Webhook.findById(delivery.webhookId).select('+secret').exec();
+    if (!webhook) {
+      await WebhookDelivery.updateOne({ _id: deliveryId }, {
+        status: WebhookDeliveryStatus.FAILED,
+        error: 'Webhook no longer exists',
+        lockedUntil: null
+      }).exec();
+      return null;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(now.getTime() / 1000).toString();
+    const result = { responseStatus: null, responseBody: null, error: null };
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'IdeationPlatform-Webhooks/1.0',
+          'X-Webhook-Id': webhook._id.toHexString(),
+          'X-Webhook-Delivery': delivery._id.toHexString(),
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Timestamp': timestamp,
+          [SIGNATURE_HEADER]: this.signPayload(webhook.secret, timestamp, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.getTimeoutMs())
+      });
+
+      result.responseStatus = response.status;
+      result.responseBody = (await response.text()).substring(0, MAX_RESPONSE_BODY_LENGTH);
+      if (!response.ok) {
+        result.error = `Endpoint responded with status ${response.status}`;
+      }
+    } catch (error) {
+      result.error = error.name === 'TimeoutError' ? 'Request timed out' : error.message;
+    }
+
+    const finishedAt = new Date();
+    const attempts = delivery.attempts + 1;
+    const update = {
+      ...result,
+      attempts,
+      lastAttemptAt: finishedAt,
+      durationMs: finishedAt.getTime() - now.getTime(),
+      lockedUntil: null
+    };
+
+    if (!result.error) {
+      update.status = WebhookDeliveryStatus.SUCCEEDED;
+    } else if (attempts >= this.getMaxAttempts()) {
+      update.status = WebhookDeliveryStatus.FAILED;
+    } else {
+      update.nextAttemptAt = new Date(finishedAt.getTime() + RETRY_BASE_DELAY_MS * 2 ** (attempts - 1));
+    }
+
+    const updatedDelivery = await WebhookDelivery.findByIdAndUpdate(deliveryId, update, { new: true }).exec();
+    await Webhook.updateOne({ _id: webhook._id }, { lastDeliveryAt: finishedAt }).exec();
+
+    return updatedDelivery;
+  }
+
+  /**
+   * Sends deliveries that are due, oldest first. A call made while a run is
+   * in progress makes that run check again once it finishes.
+   */
+  async processDueDeliveries() {
+    if (this.isProcessing) {
+      this.hasQueuedRun = true;
+      return 0;
+    }
+
+    this.isProcessing = true;
+    try {
+      let attemptedCount = 0;
+
+      do {
+        this.hasQueuedRun = false;
+        const now = new Date();
+
+        const dueDeliveries = await WebhookDelivery.find({
+          status: WebhookDeliveryStatus.PENDING,
+          nextAttemptAt: { $lte: now },
+          $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+        })
+          .sort({ nextAttemptAt: 1 })
+          .limit(DELIVERY_BATCH_SIZE)
+          .select('_id')
+          .exec();
+
+        for (const { _id } of dueDeliveries) {
+          if (await this.attemptDelivery(_id)) {
+            attemptedCount++;
+          }
+        }
+      } while (this.hasQueuedRun);
+
+      return attemptedCount;
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Gets a webhook's delivery log, newest first
+   */
+  async getDeliveries(webhookId, filters = {}) {
+    const { page = 1, limit = 20, status } = filters;
+
+    if (status && !Object.values(WebhookDeliveryStatus).includes(status)) {
+      throw new Error('Invalid delivery status');
+    }
+
+    try {
+      await this.findWebhook(webhookId);
+
+      const query = { webhookId };
+      if (status) {
+        query.status = status;
+      }
+
+      // Pagination
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      const limitNum = parseInt(limit);
+
+      const [deliveries, totalCount] = await Promise.all([
+        WebhookDelivery.find(query)
+          .select('-payload -responseBody')
+          .sort({ createdAt: -1, _id: -1 })
+          .skip(skip)
+          .limit(limitNum)
+          .exec(),
+        WebhookDelivery.countDocuments(query)
+      ]);
+
+      // Calculate pagination info
+      const totalPages = Math.ceil(totalCount / limitNum);
+      const hasNextPage = page < totalPages;
+      const hasPrevPage = page > 1;
+
+      return {
+        deliveries: deliveries.map(delivery => delivery.toObject()),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalCount,
+          hasNextPage,
+          hasPrevPage,
+          limit: limitNum
+        }
+      };
+    } catch (error) {
+      console.error('Database error in getDeliveries:', error);
+
+      if (error.message.includes('not found') || error.message.includes('Invalid')) {
+        throw error;
+      }
+
+      throw new Error('Failed to fetch webhook deliveries');
+    }
+  }
+
+  async findDelivery(webhookId, deliveryId) {
+    if (!this.validateObjectId(deliveryId)) {
+      throw new Error('Invalid delivery ID');
+    }
+
+    const delivery = await WebhookDelivery.findOne({ _id: deliveryId, webhookId }).exec();
+    if (!delivery) {
+      throw new Error('Delivery not found');
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Gets a delivery with the payload sent and the response received
+   */
+  async getDeliveryById(webhookId, deliveryId) {
+    try {
+      await this.findWebhook(webhookId);
+      const delivery = await this.findDelivery(webhookId, deliveryId);
+      return delivery.toObject();
+    } catch (error) {
+      console.error('Database error in getDeliveryById:', error);
+
+      if (error.message.includes('not found') || error.message.includes('Invalid')) {
+        throw error;
+      }
+
+      throw new Error('Failed to fetch webhook delivery');
+    }
+  }
+
+  /**
+   * Sends a delivery's payload again as a new delivery and returns its outcome
+   */
+  async redeliver(webhookId, deliveryId, adminId) {
+    try {
+      await this.findWebhook(webhookId);
+      const original = await this.findDelivery(webhookId, deliveryId);
+
+      const redelivery = await WebhookDelivery.create({
+        webhookId,
+        eventId: original.eventId,
+        eventType: original.eventType,
+        payload: original.payload,
+        redeliveryOf: original.redeliveryOf || original._id,
+        requestedBy: adminId
+      });
+
+      const attempted = await this.attemptDelivery(redelivery._id);
+      return (attempted || redelivery).toObject();
+    } catch (error) {
+      console.error('Database error in redeliver:', error);
+
+      if (error.message.includes('not found') || error.message.includes('Invalid')) {
+        throw error;
+      }
+
+      throw new Error('Failed to redeliver webhook');
+    }
+  }
+
+  /**
+   * Starts the retry poller
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const interval = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || DEFAULT_POLL_INTERVAL_MS;
+    this.timer = setInterval(() => {
+      this.processDueDeliveries().catch(error => {
+        console.error('Webhook delivery error:', error);
+      });
+    }, interval);
+
+    // The poller alone should not keep the process alive
+    this.timer.unref();
+  }
+
+  /**
+   * Stops the retry poller
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+const webhookService = new WebhookService();
+
+// Queue deliveries for idea, sub-idea, proposal and prototype events
+eventBus.subscribe('webhooks', WEBHOOK_EVENT_TYPES, event => webhookService.handleDomainEvent(event));
+
+export default webhookService;